@@ -6,58 +6,74 @@
  * and backtracking to the earliest odd k, incrementing it by 2 to change parity and avoid r = 0.
  */
 
+// Scoped so that several variants loaded into one page (see demo.html) keep their own
+// checkSpecialCases, inverseModFull, ... instead of overwriting each other as globals.
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('../../inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('../../inverseModTrace.js')
+    : window.InverseModTrace;
+const Parse = (typeof require !== 'undefined')
+    ? require('../../inverseModParse.js')
+    : window.InverseModParse;
+const Errors = (typeof require !== 'undefined')
+    ? require('../../inverseModErrors.js')
+    : window.InverseModErrors;
+
 /**
- * Simple GCD function
+ * Simple GCD function (Numbers or BigInts)
  */
 function gcd(a, b) {
-    while (b !== 0) {
-        const temp = b;
-        b = a % b;
-        a = temp;
-    }
-    return a;
+    return Arithmetic.gcd(a, b);
 }
 
 /**
- * Extended Euclidean algorithm to find the correct inverse for validation
+ * Extended Euclidean algorithm to find the correct inverse for validation (Numbers or BigInts)
  */
 function extendedGcd(a, b) {
-    if (b === 0) {
-        return { x: 1, y: 0, gcd: a };
-    }
-    const result = extendedGcd(b, a % b);
-    return {
-        x: result.y,
-        y: result.x - Math.floor(a / b) * result.y,
-        gcd: result.gcd
-    };
+    return Arithmetic.extendedGcd(a, b);
 }
 
 /**
  * Checks for special cases that would prevent finding an inverse
- * @param {number} x
- * @param {number} y
- * @returns {{isSpecialCase:boolean, message:string}}
+ * @param {number|bigint} x
+ * @param {number|bigint} y
+ * @returns {{isSpecialCase:boolean, message:string, code?:string, gcd?:(number|bigint), operands?:string[], operand?:string}}
  */
 function checkSpecialCases(x, y) {
     let isSpecialCase = false;
     let message = "";
+    const zeroOperands = [];
 
-    if (x === 0) {
+    if (Arithmetic.isZero(x)) {
         isSpecialCase = true;
         message += "Error: x cannot be zero.";
+        zeroOperands.push('x');
     }
-    if (y === 0) {
+    if (Arithmetic.isZero(y)) {
         isSpecialCase = true;
         message += "Error: y cannot be zero.";
+        zeroOperands.push('y');
     }
     if (isSpecialCase) {
-        return { isSpecialCase, message };
+        return { isSpecialCase, message, code: Trace.OutcomeCode.ZERO_OPERAND, operands: zeroOperands };
     }
 
-    if (gcd(x, y) !== 1) {
+    // The modulus must be positive; x may be any integer, only its residue mod y matters
+    if (y < 0) {
+        return { isSpecialCase: true, message: `Error: y must be positive, got ${y}.`, code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
+    }
+    const residue = Arithmetic.leastResidue(x, y);
+
+    const divisor = gcd(residue, y);
+    if (!Arithmetic.isOne(divisor)) {
         isSpecialCase = true;
-        message += `${x} and ${y} are not coprime (GCD = ${gcd(x, y)}), no inverse exists`;
+        message += `${x} and ${y} are not coprime (GCD = ${divisor}), no inverse exists`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.NOT_COPRIME, gcd: divisor };
     }
     return { isSpecialCase, message };
 }
@@ -77,20 +93,21 @@ function normalizeKForBounds(rValue, y, initialK) {
  * Compute next k value using the fixed-rule plus bounds normalization.
  */
 function computeNextK(rValue, y) {
-    let k = Math.floor(y / rValue) + 1;
+    const ops = typeof y === 'bigint' ? Arithmetic.BigIntArithmetic : Arithmetic.NumberArithmetic;
+    let k = ops.div(y, rValue) + ops.one;
     return normalizeKForBounds(rValue, y, k);
 }
 
 /**
  * Recalculate remainders from start up to current k list.
- * Returns { r, resultLogAppend, failedAtZero:boolean }
+ * Returns { r, steps, failedAtZero:boolean } where steps are trace step entries for the replay
  */
 function recalcRemaindersWithGivenK(x, y, kList) {
     let r = [];
-    let log = "";
+    let steps = [];
     let current = x % y;
-    if (current === 0) {
-        return { r: [0], resultLogAppend: log, failedAtZero: true };
+    if (Arithmetic.isZero(current)) {
+        return { r: [current], steps, failedAtZero: true };
     }
 
     for (let i = 0; i < kList.length; i++) {
@@ -99,12 +116,12 @@ function recalcRemaindersWithGivenK(x, y, kList) {
         const prevR = i === 0 ? current : r[i - 1];
         const newR = (prevR * k) % y;
         r.push(newR);
-        log += `Step ${i + 1}: ${y} < (${prevR} * ${k}) < (${prevR} + ${y}), ((${prevR} * ${k}) % ${y}) = ${newR}\n`;
-        if (newR === 0) {
-            return { r, resultLogAppend: log, failedAtZero: true };
+        steps.push(Trace.createStep(i + 1, prevR, k, newR, y));
+        if (Arithmetic.isZero(newR)) {
+            return { r, steps, failedAtZero: true };
         }
     }
-    return { r, resultLogAppend: log, failedAtZero: false };
+    return { r, steps, failedAtZero: false };
 }
 
 /**
@@ -112,21 +129,22 @@ function recalcRemaindersWithGivenK(x, y, kList) {
  */
 function findEarliestOddKIndex(kList) {
     for (let i = 0; i < kList.length; i++) {
-        if (kList[i] % 2 === 1) return i;
+        if (Arithmetic.isOne(kList[i] % (typeof kList[i] === 'bigint' ? 2n : 2))) return i;
     }
     return -1;
 }
 
 /**
  * Try small local adjustments to current k to avoid r = 0 or non-decreasing remainder.
+ * Tries currentK + 1 ... currentK + maxTweak.
  * Returns { adjustedK, adjustedR } or null if no good adjustment found.
  */
-function tryLocalAdjustK(prevR, y, currentK) {
-    const maxTweak = 5;
+function tryLocalAdjustK(prevR, y, currentK, maxTweak = 5) {
+    const ops = typeof y === 'bigint' ? Arithmetic.BigIntArithmetic : Arithmetic.NumberArithmetic;
     for (let tweak = 1; tweak <= maxTweak; tweak++) {
-        const candidateK = currentK + tweak;
+        const candidateK = currentK + ops.from(tweak);
         const candidateR = (prevR * candidateK) % y;
-        if (candidateR !== 0 && candidateR < prevR) {
+        if (!Arithmetic.isZero(candidateR) && candidateR < prevR) {
             return { adjustedK: candidateK, adjustedR: candidateR };
         }
     }
@@ -135,75 +153,120 @@ function tryLocalAdjustK(prevR, y, currentK) {
 
 /**
  * InverseMod with parity-aware backtracking
- * @returns {{result:string, z:number}}
+ *
+ * Number operands run on plain Numbers and are promoted to BigInt internally if an
+ * intermediate value could exceed 2^53. BigInt or numeric-string operands run entirely
+ * on BigInt, so arbitrarily large moduli are supported.
+ * @param {number|bigint|string} x
+ * @param {number|bigint|string} y
+ * @param {Object} [options] - {hybrid: boolean} fall back to the extended Euclidean inverse when the chain fails;
+ *   {maxIterations = 200, maxBacktracks = 5, maxTweak = 5} search limits. When a limit stops the run,
+ *   trace.termination.limitReached names it. {debug: boolean} checks every step, replays after a backtrack
+ *   included, and throws an InvariantViolationError (inverseModTrace.js) with the partial trace on the first violation.
+ *   {throwOnError: boolean} throws the InverseModError for a run without a valid inverse (inverseModErrors.js).
+ *   {representation: 'least-positive' | 'symmetric'} writes z in [0, y) (default) or (-y/2, y/2].
+ *   Negative x and x >= y are reduced mod y first.
+ * @returns {{result:string, z:number|bigint, trace:Object}} (z is a BigInt for BigInt/string input;
+ *   see inverseModTrace.js for the trace shape, result is renderTrace(trace))
  */
-function inverseModFull(x, y) {
+function inverseModFull(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('backtrack', x, y);
+    if (rejected) {
+        if (options.throwOnError) {
+            Errors.throwIfFailed(rejected);
+        }
+        return { result: Trace.renderTrace(rejected), z: 0, trace: rejected };
+    }
+    const operands = Arithmetic.prepareOperands(x, y);
+    const ops = operands.ops;
+    x = operands.x;
+    y = operands.y;
+
     let k = [];
     let r = [];
-    let z = 0;
-    let result = `\n\nCalculating the inverse of ${x} mod ${y}...\n`;
+    const trace = Trace.createTrace('backtrack', x, y);
+    const finish = () => {
+        if (options.throwOnError) Errors.throwIfFailed(trace);
+        const z = trace.valid ? Arithmetic.toRepresentation(trace.z, y, options.representation) : trace.z;
+        return { result: Trace.renderTrace(trace), z: operands.toOutput(z), trace };
+    };
 
     const special = checkSpecialCases(x, y);
     if (special.isSpecialCase) {
-        result += special.message;
-        return { result, z: 0 };
+        Trace.terminateSpecialCase(trace, special);
+        return finish();
     }
 
-    const maxIterations = 200;
-    const maxBacktracks = 5;
+    // Negative x and x >= y run from their least residue (trace.reducedFrom keeps the x passed in)
+    x = Trace.reduceOperand(trace);
+
+    const maxIterations = options.maxIterations ?? 200;
+    const maxBacktracks = options.maxBacktracks ?? 5;
+    const maxTweak = options.maxTweak ?? 5;
+    trace.limits = { maxIterations, maxBacktracks, maxTweak };
+    if (options.debug) {
+        // Upper bound relaxed as in normalizeKForBounds; local adjustments must make progress
+        Trace.enableDebug(trace, { bounds: 'relaxed' });
+    }
     let backtrackCount = 0;
+    const yIsEven = Arithmetic.isZero(y % ops.two);
 
     // Initialize
     const xNorm = x % y;
-    if (xNorm === 0) {
-        result += `${x} is a multiple of ${y}, no inverse exists`;
-        return { result, z: 0 };
+    if (Arithmetic.isZero(xNorm)) {
+        Trace.terminate(trace, Trace.OutcomeCode.ZERO_OPERAND, { operands: ['x'], message: `${x} is a multiple of ${y}, no inverse exists` });
+        return finish();
     }
 
     // Initial k
-    let k1 = Math.floor(y / xNorm);
+    let k1 = ops.div(y, xNorm);
     if (k1 * xNorm <= y) k1++;
     k1 = normalizeKForBounds(xNorm, y, k1);
     k.push(k1);
     let newR = (xNorm * k1) % y;
     r.push(newR);
-    result += `Step 1: ${y} < (${xNorm} * ${k1}) < (${xNorm} + ${y}), ((${xNorm} * ${k1}) % ${y}) = ${newR}\n`;
-    if (newR === 0) {
-        result += `\nAlgorithm terminated: reached remainder 0, no inverse found\n`;
-        return { result, z: 0 };
+    Trace.recordStep(trace, 1, xNorm, k1, newR);
+    if (Arithmetic.isZero(newR)) {
+        Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: newR });
+        trace.k = k;
+        trace.r = r;
+        return finish();
     }
 
     let n = 1;
-    while (r[n - 1] > 1 && n < maxIterations) {
+    while (r[n - 1] > ops.one && n < maxIterations) {
         const prevR = r[n - 1];
+        let limitReached = null; // limit that prevented a rescue at this step, if any
         let kn = computeNextK(prevR, y);
         let tentativeR = (prevR * kn) % y;
         // If immediate failure or stagnation, try local adjustment first
-        if (tentativeR === 0 || tentativeR >= prevR || (gcd(prevR, y) > 1 && y % 2 === 0)) {
-            const tweak = tryLocalAdjustK(prevR, y, kn);
+        if (Arithmetic.isZero(tentativeR) || tentativeR >= prevR || (gcd(prevR, y) > ops.one && yIsEven)) {
+            const tweak = tryLocalAdjustK(prevR, y, kn, maxTweak);
             if (tweak) {
+                Trace.recordAdjustment(trace, n + 1, kn, tweak.adjustedK, tweak.adjustedR);
                 kn = tweak.adjustedK;
                 tentativeR = tweak.adjustedR;
-                result += `Adjusted k locally to ${kn} to avoid trap; new remainder = ${tentativeR}\n`;
+            } else {
+                limitReached = 'maxTweak';
             }
         }
         k.push(kn);
         newR = tentativeR;
         r.push(newR);
-        result += `Step ${n + 1}: ${y} < (${prevR} * ${kn}) < (${prevR} + ${y}), ((${prevR} * ${kn}) % ${y}) = ${newR}\n`;
+        Trace.recordStep(trace, n + 1, prevR, kn, newR);
 
         // Parity-aware backtracking trigger: even remainder -> 0 with even modulus
-        if (newR === 0 && (y % 2 === 0) && (prevR % 2 === 0) && backtrackCount < maxBacktracks) {
+        if (Arithmetic.isZero(newR) && yIsEven && Arithmetic.isZero(prevR % ops.two) && backtrackCount < maxBacktracks) {
             const idx = findEarliestOddKIndex(k);
             if (idx >= 0) {
                 backtrackCount++;
-                k[idx] += 2; // keep it odd, move to next odd
+                k[idx] += ops.two; // keep it odd, move to next odd
 
                 // Recalculate from scratch using current k prefix up to idx
                 const kPrefix = k.slice(0, idx + 1);
                 const recalc = recalcRemaindersWithGivenK(x, y, kPrefix);
-                result += `\nBacktrack ${backtrackCount}: incremented k[${idx + 1}] to ${k[idx]} and recalculated.\n`;
-                result += recalc.resultLogAppend;
+                Trace.recordBacktrack(trace, backtrackCount, idx, k[idx], 'parity');
+                Trace.recordSteps(trace, recalc.steps);
                 if (recalc.failedAtZero) {
                     // Could not fix; continue to try further steps or future backtracks
                     r = recalc.r;
@@ -220,64 +283,78 @@ function inverseModFull(x, y) {
         }
 
         // Generalized backtrack: newR = 0 with gcd(prevR, y) > 1 (covers odd remainder mod even, odd mod odd traps)
-        if (newR === 0 && gcd(prevR, y) > 1 && backtrackCount < maxBacktracks) {
+        if (Arithmetic.isZero(newR) && gcd(prevR, y) > ops.one && backtrackCount < maxBacktracks) {
             const idx = findEarliestOddKIndex(k);
             if (idx >= 0) {
                 backtrackCount++;
-                k[idx] += 2;
+                k[idx] += ops.two;
                 const kPrefix = k.slice(0, idx + 1);
                 const recalc = recalcRemaindersWithGivenK(x, y, kPrefix);
-                result += `\nBacktrack ${backtrackCount} (gcd-based): incremented k[${idx + 1}] to ${k[idx]} and recalculated.\n`;
-                result += recalc.resultLogAppend;
+                Trace.recordBacktrack(trace, backtrackCount, idx, k[idx], 'gcd');
+                Trace.recordSteps(trace, recalc.steps);
                 k = kPrefix.slice();
                 r = recalc.r.slice();
                 n = r.length;
-                if (r[r.length - 1] === 0) {
+                if (Arithmetic.isZero(r[r.length - 1])) {
                     // still stuck; continue to attempt further steps
                 }
                 continue;
             }
         }
 
-        if (newR === 0) {
-            result += `\nAlgorithm terminated: reached remainder 0, no inverse found\n`;
+        // Neither backtrack ran: say so when the backtrack budget is why
+        if (Arithmetic.isZero(newR) && gcd(prevR, y) > ops.one && backtrackCount >= maxBacktracks && findEarliestOddKIndex(k) >= 0) {
+            limitReached = 'maxBacktracks';
+        }
+        const limitContext = limitReached ? { limitReached } : {};
+
+        if (Arithmetic.isZero(newR)) {
+            Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: newR, ...limitContext });
             break;
         }
 
         if (newR >= prevR) {
-            result += `\nAlgorithm terminated: remainder not decreasing, may not converge\n`;
+            Trace.terminate(trace, Trace.OutcomeCode.NON_DECREASING, { remainder: newR, ...limitContext });
             break;
         }
         n++;
     }
 
-    if (r[r.length - 1] === 1) {
-        z = 1;
-        for (const valueK of k) {
-            z *= valueK;
-        }
-        z = z % y;
-        result += `(k[1] * k[2] * ... * k[n]) mod y = ${z}\n`;
+    trace.k = k;
+    trace.r = r;
+    trace.backtracks = backtrackCount;
+
+    if (r[r.length - 1] === ops.one) {
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+        const accumulated = Arithmetic.accumulateProduct(k, y);
+        trace.z = accumulated.product;
+        trace.precisionAtRisk = accumulated.precisionAtRisk;
+        trace.method = 'kchain';
     } else {
-        z = 0;
-        result += `\nAlgorithm failed to find inverse: final remainder = ${r[r.length - 1]}\n`;
+        const lastR = r[r.length - 1];
+        if (!trace.termination && Arithmetic.isZero(lastR)) {
+            // A backtrack that still ended at 0 leaves the loop without a terminating branch
+            Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: lastR });
+        } else if (!trace.termination) {
+            Trace.terminate(trace, Trace.OutcomeCode.ITERATION_LIMIT, { limit: maxIterations, limitReached: 'maxIterations', remainder: lastR });
+        }
         const eg = extendedGcd(x, y);
-        if (eg.gcd === 1) {
+        if (eg.gcd === ops.one) {
             let inv = eg.x % y;
-            if (inv < 0) inv += y;
-            result += `\nNote: Correct inverse (extended Euclidean) = ${inv}\n`;
+            if (inv < ops.zero) inv += y;
+            trace.expectedInverse = inv;
         }
     }
+    trace.valid = Arithmetic.mulMod(trace.z, x, y) === ops.one;
 
-    result += `\n\nFinal Values:\n`;
-    result += `x = ${x}\n`;
-    result += `y = ${y}\n`;
-    result += `k[] = [${k.join(', ')}]\n`;
-    result += `r[] = [${r.join(', ')}]\n`;
-    result += `z = ${z}\n`;
-    result += `\n\nValidation step:\n`;
-    result += `((${z} * ${x}) mod ${y}) == 1 is ${((z * x) % y) === 1}\n`;
-    return { result, z };
+    // Hybrid mode: keep the failed chain for diagnostics but still return an exact inverse
+    if (options.hybrid && !trace.valid) {
+        const exact = Arithmetic.modInverse(x, y);
+        if (exact !== null) {
+            Trace.applyFallback(trace, exact);
+        }
+    }
+    return finish();
 }
 
 function inverseModSteps(x, y) {
@@ -285,28 +362,29 @@ function inverseModSteps(x, y) {
     return result;
 }
 
-function inverseMod(x, y) {
-    const { z } = inverseModFull(x, y);
+function inverseMod(x, y, options = {}) {
+    const { z } = inverseModFull(x, y, options);
     return z;
 }
 
 function isPositiveInteger(value) {
-    const num = parseInt(value);
-    return !isNaN(num) && num > 0 && Number.isInteger(num);
+    return Parse.parsePositiveInteger(value).ok;
 }
 
-function runInverseMod(xInput, yInput, showSteps = true) {
-    if (!isPositiveInteger(xInput) || !isPositiveInteger(yInput)) {
-        return { success: false, result: "Error: x and y must be positive integers", z: 0 };
+function runInverseMod(xInput, yInput, showSteps = true, options = {}) {
+    const parsed = Parse.parseOperands(xInput, yInput);
+    if (!parsed.ok) {
+        const outcome = Parse.failureOutcome(parsed.error);
+        if (options.throwOnError) throw Errors.errorFromOutcome(outcome, { x: xInput, y: yInput, message: parsed.error.message });
+        return { success: false, result: `Error: ${parsed.error.message}`, z: 0, outcome };
     }
-    const x = parseInt(xInput);
-    const y = parseInt(yInput);
+    const { x, y } = parsed;
     if (showSteps) {
-        const { result, z } = inverseModFull(x, y);
-        return { success: true, result, z };
+        const { result, z, trace } = inverseModFull(x, y, options);
+        return { success: true, result, z, trace, outcome: trace.termination };
     } else {
-        const z = inverseMod(x, y);
-        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z };
+        const { z, trace } = inverseModFull(x, y, options);
+        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z, outcome: trace.termination };
     }
 }
 
@@ -332,3 +410,4 @@ if (typeof module !== 'undefined' && module.exports) {
     };
 }
 
+})();
@@ -1,28 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 
-const Original = require('../inverseMod.js');
-const Fixed = require('../inverseModFixed.js');
 const Human = require('./modularInverse.js');
+const Registry = require('../inverseModRegistry.js');
+const Trace = require('../inverseModTrace.js');
+const { isPrime } = require('../inverseModFactor.js');
+
+// Strategies compared in the CSV: registry name and column prefix
+const COMPARED = [
+	{ strategy: 'original', column: 'orig' },
+	{ strategy: 'fixed', column: 'fix' },
+	{ strategy: 'humanized', column: 'human' }
+];
 
 function runOne(x, y) {
-	function runOriginal() {
-		const z = Original.inverseMod(x,y);
-		const success = (z * x) % y === 1;
-		return { steps: null, success, z };
-	}
-	function runFixed() {
-		const s = Fixed.inverseModFull(x,y);
-		const stepMatches = s.result.match(/Step \d+:/g) || [];
-		const steps = stepMatches.length;
-		const success = ((s.z * x) % y) === 1;
-		return { steps, success, z: s.z };
-	}
-	function runHuman() {
-		const r = Human.computeModularInverse(x,y);
-		return { steps: (r.details ? r.details.remainders.length : null), success: r.success, z: r.inverse };
+	const results = {};
+	for (const { strategy, column } of COMPARED) {
+		const r = Registry.solve(x, y, { strategy });
+		results[column] = { steps: (r.trace ? Trace.countSteps(r.trace) : null), success: r.success, z: r.inverse, precisionAtRisk: r.trace ? r.trace.precisionAtRisk : false };
 	}
-	return { original: runOriginal(), fixed: runFixed(), human: runHuman() };
+	return results;
 }
 
 function analyze(maxY = 200, samplePerY = 0) {
@@ -41,21 +38,26 @@ function analyze(maxY = 200, samplePerY = 0) {
 		}
 		for (const x of xs) {
 			const r = runOne(x,y);
-			rows.push({ x,y,
-				orig_success: r.original.success ? 1:0,
-				fix_success: r.fixed.success ? 1:0,
-				human_success: r.human.success ? 1:0,
-				fix_steps: r.fixed.steps ?? '',
-				human_steps: r.human.steps ?? ''
-			});
+			const row = { x, y };
+			for (const { column } of COMPARED) {
+				row[`${column}_success`] = r[column].success ? 1:0;
+				row[`${column}_steps`] = r[column].steps ?? '';
+				row[`${column}_precision_risk`] = r[column].precisionAtRisk ? 1 : 0;
+			}
+			rows.push(row);
 		}
 	}
 	return rows;
 }
 
+function csvColumns() {
+	return ['x', 'y', ...COMPARED.map(c => `${c.column}_success`), ...COMPARED.map(c => `${c.column}_steps`), ...COMPARED.map(c => `${c.column}_precision_risk`)];
+}
+
 function writeCsv(rows, outPath) {
-	const header = 'x,y,orig_success,fix_success,human_success,fix_steps,human_steps\n';
-	const lines = rows.map(r => `${r.x},${r.y},${r.orig_success},${r.fix_success},${r.human_success},${r.fix_steps},${r.human_steps}`).join('\n');
+	const columns = csvColumns();
+	const header = columns.join(',') + '\n';
+	const lines = rows.map(r => columns.map(c => r[c]).join(',')).join('\n');
 	fs.writeFileSync(outPath, header + lines);
 }
 
@@ -80,9 +82,25 @@ function summarize(rows) {
 	return summary;
 }
 
+// Success rate of each compared strategy over prime y and over composite y
+function summarizeByPrimality(rows) {
+	const primes = new Map();
+	const kindOf = y => {
+		if (!primes.has(y)) primes.set(y, isPrime(y));
+		return primes.get(y) ? 'prime' : 'composite';
+	};
+	return ['prime', 'composite'].map(kind => {
+		const arr = rows.filter(r => kindOf(r.y) === kind);
+		const rates = COMPARED.map(({ column }) => arr.length ? arr.reduce((a,b)=>a+b[`${column}_success`],0) / arr.length : null);
+		return { kind, pairs: arr.length, rates };
+	});
+}
+
 function main() {
-	const maxY = parseInt(process.argv[2] || '200', 10);
-	const sample = parseInt(process.argv[3] || '0', 10);
+	const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+	const byPrimality = process.argv.includes('--by-primality');
+	const maxY = parseInt(args[0] || '200', 10);
+	const sample = parseInt(args[1] || '0', 10);
 	console.log(`Analyzing up to y=${maxY} samplePerY=${sample} ...`);
 	const rows = analyze(maxY, sample);
 	const outPath = path.join(__dirname, 'complexity.csv');
@@ -93,6 +111,12 @@ function main() {
 	for (const s of summary) {
 		console.log(`${s.y}, ${(s.origSuccess*100).toFixed(1)}%, ${(s.fixSuccess*100).toFixed(1)}%, ${(s.humanSuccess*100).toFixed(1)}%, ${s.avgFixSteps??''}, ${s.avgHumanSteps??''}, ${Math.log2(s.y).toFixed(3)}`);
 	}
+	if (byPrimality) {
+		console.log(`\ny kind, pairs, ${COMPARED.map(c => `${c.column}Success`).join(', ')}`);
+		for (const s of summarizeByPrimality(rows)) {
+			console.log(`${s.kind}, ${s.pairs}, ${s.rates.map(rate => rate === null ? '' : `${(rate*100).toFixed(1)}%`).join(', ')}`);
+		}
+	}
 }
 
 if (require.main === module) main();
\ No newline at end of file
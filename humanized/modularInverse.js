@@ -12,154 +12,744 @@
  * - Guard clauses and explicit edge handling
  * - Bounded search with small, explainable heuristics
  * - Self-documenting code and structured result objects
+ *
+ * Every function accepts Numbers, BigInts or numeric strings. BigInt and string inputs are
+ * searched with BigInt arithmetic and produce BigInt results, so very large moduli work.
+ *
+ * In the browser, load it after inverseModErrors.js, inverseModArithmetic.js and inverseModTrace.js;
+ * it is exported as window.InverseModHumanized.
  */
 
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+	? require('../inverseModArithmetic.js')
+	: window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+	? require('../inverseModTrace.js')
+	: window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+	? require('../inverseModErrors.js')
+	: window.InverseModErrors;
+
 /**
  * Compute the greatest common divisor using the standard Euclidean algorithm.
- * Returns a non-negative integer.
+ * Returns a non-negative integer (BigInt when either input is a BigInt).
  */
 function computeGreatestCommonDivisor(a, b) {
-	let valueA = Math.abs(a);
-	let valueB = Math.abs(b);
-	while (valueB !== 0) {
-		const remainder = valueA % valueB;
-		valueA = valueB;
-		valueB = remainder;
-	}
-	return valueA;
+	const arithmetic = Arithmetic.selectArithmetic(a, b);
+	const absolute = (value) => (value < arithmetic.zero ? -value : value);
+	return Arithmetic.gcd(absolute(arithmetic.from(a)), absolute(arithmetic.from(b)));
 }
 
 /**
- * Compute the ceiling of division (as integer) for positive integers.
+ * Compute the ceiling of division (as integer) for positive integers (Numbers or BigInts).
  */
 function ceilDiv(numerator, denominator) {
+	if (typeof numerator === 'bigint') {
+		return (numerator + denominator - 1n) / denominator;
+	}
 	return Math.floor((numerator + denominator - 1) / denominator);
 }
 
 /**
- * Attempt to find a modular inverse using the k-multiplier heuristic with bounded backtracking.
- *
- * High-level idea:
- * - Start with currentValue = base % modulus
- * - Choose multiplier so that currentValue * multiplier > modulus (ceil(modulus/currentValue))
- * - Update remainder = (currentValue * multiplier) % modulus; iterate until remainder === 1
- * - If we get remainder === 0 or remainder does not decrease, backtrack and try slightly larger multipliers
- *
- * The search explores multiplier choices with small offsets (e.g., +0, +1, +2, +3), and backtracks up to a depth.
+ * Describe a finished search as a step trace (same shape as the inverseModFull variants).
+ * remainderHistory starts with the normalized base, so step i maps remainders[i] to remainders[i + 1].
+ * stop is set when the async search was cancelled or ran out of time: { code, bestRemainder }.
  */
-function findInverseWithBacktracking(base, modulus, options = {}) {
+function buildSearchTrace(base, modulus, multipliers, remainderHistory, inverse, exploredNodes, maxNodes, stop = null) {
+	const trace = Trace.createTrace('humanized', base, modulus);
+	const found = inverse !== null;
+	if (found && multipliers.length === 1 && remainderHistory.length === 1) {
+		// base ≡ 1: the identity step
+		Trace.recordStep(trace, 1, remainderHistory[0], multipliers[0], remainderHistory[0]).identity = true;
+	} else {
+		multipliers.forEach((multiplier, index) => {
+			Trace.recordStep(trace, index + 1, remainderHistory[index], multiplier, remainderHistory[index + 1]);
+		});
+	}
+	trace.k = multipliers.slice();
+	trace.r = found ? trace.steps.map(step => step.newR) : remainderHistory.slice(-1);
+	trace.exploredNodes = exploredNodes;
+	if (found) {
+		trace.z = inverse;
+		trace.method = 'kchain';
+		trace.valid = Arithmetic.isOne(Arithmetic.mulMod(inverse, remainderHistory[0], modulus));
+		Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+	} else if (stop) {
+		const context = { exploredNodes, bestRemainder: stop.bestRemainder, remainder: remainderHistory[0] };
+		if (stop.code === Trace.OutcomeCode.DEADLINE_EXCEEDED) {
+			context.limitReached = 'deadline';
+		}
+		Trace.terminate(trace, stop.code, context);
+	} else if (Arithmetic.isZero(remainderHistory[0])) {
+		Trace.terminate(trace, Trace.OutcomeCode.ZERO_OPERAND, { operands: ['x'], message: `${base} is a multiple of ${modulus}, no inverse exists` });
+	} else if (exploredNodes >= maxNodes) {
+		Trace.terminate(trace, Trace.OutcomeCode.NODE_BUDGET_EXHAUSTED, { limit: maxNodes, limitReached: 'maxNodes', exploredNodes, remainder: remainderHistory[0] });
+	} else {
+		// Every branch was pruned (remainder 0 or no progress) before the budget ran out
+		Trace.terminate(trace, Trace.OutcomeCode.SEARCH_EXHAUSTED, { exploredNodes, remainder: remainderHistory[0] });
+	}
+	return trace;
+}
+
+/**
+ * Shared setup of the sync and async searches: arithmetic kit, settings and normalized operands.
+ */
+function prepareSearch(base, modulus, options) {
+	const arithmetic = Arithmetic.selectArithmetic(base, modulus);
 	const settings = {
 		maxDepth: options.maxDepth ?? 64,
 		maxNodes: options.maxNodes ?? 2000,
-		multiplierOffsets: options.multiplierOffsets ?? [0, 1, 2, 3],
+		multiplierOffsets: (options.multiplierOffsets ?? [0, 1, 2, 3]).map(arithmetic.from),
 		progressRequired: true,
+		searchStrategy: options.searchStrategy ?? 'dfs',
+		beamWidth: options.beamWidth ?? 3,
+		debug: options.debug ?? false,
 	};
+	if (!Object.prototype.hasOwnProperty.call(searchStrategies, settings.searchStrategy)) {
+		throw new Error(`Unknown search strategy "${settings.searchStrategy}"; available: ${SEARCH_STRATEGIES.join(', ')}`);
+	}
 
+	const toOutput = Arithmetic.prepareOperands(base, modulus).toOutput;
+	base = arithmetic.from(base);
+	modulus = arithmetic.from(modulus);
 	const normalizedBase = ((base % modulus) + modulus) % modulus;
-	if (normalizedBase === 0) {
-		return { found: false, inverse: 0, multipliers: [], remainders: [0], exploredNodes: 0 };
+	const table = options.transpositionTable ?? (options.memoize ? createTranspositionTable() : null);
+	const memo = table ? remainderEntries(table, arithmetic, modulus, settings.multiplierOffsets) : null;
+	return { arithmetic, settings, toOutput, base, modulus, normalizedBase, memo };
+}
+
+/**
+ * A transposition table for the search: what is known about each remainder, per modulus.
+ * The multiplier tree below a remainder depends only on the remainder and the modulus, so
+ * pass the same table as options.transpositionTable to reuse work across calls (e.g. every
+ * base for one modulus). Entries record dead ends (no chain within some number of steps)
+ * and solved remainders (the rest of a chain to 1).
+ */
+function createTranspositionTable() {
+	return new Map();
+}
+
+/**
+ * The remainder -> entry map of one modulus. Different multiplier offsets build different
+ * trees, and Numbers and BigInts make different keys, so both are part of the key.
+ */
+function remainderEntries(table, arithmetic, modulus, multiplierOffsets) {
+	const key = `${arithmetic.kind}:${modulus}:${multiplierOffsets.join(',')}`;
+	if (!table.has(key)) {
+		table.set(key, new Map());
 	}
-	if (normalizedBase === 1) {
-		return { found: true, inverse: 1, multipliers: [1], remainders: [1], exploredNodes: 1 };
+	return table.get(key);
+}
+
+/**
+ * Remember that no chain to 1 starts at remainder within remainingDepth steps.
+ */
+function recordDeadEnd(memo, remainder, remainingDepth) {
+	const entry = memo.get(remainder);
+	if (!entry || (!entry.chain && entry.deadWithin < remainingDepth)) {
+		memo.set(remainder, { deadWithin: remainingDepth });
 	}
+}
 
-	let exploredNodes = 0;
+/**
+ * Remember, for every remainder of a chain that reached 1, the rest of that chain.
+ */
+function recordChain(memo, multipliers, remainders) {
+	multipliers.forEach((multiplier, index) => {
+		memo.set(remainders[index], { chain: { multipliers: multipliers.slice(index), remainders: remainders.slice(index) } });
+	});
+}
 
-	// Depth-first search over multiplier choices
-	function dfs(currentRemainder, depth, chosenMultipliers, remainderHistory) {
-		if (exploredNodes >= settings.maxNodes) {
-			return null;
-		}
-		exploredNodes++;
+/**
+ * Answer inputs that need no search (base ≡ 0 or base ≡ 1 mod modulus); null otherwise.
+ */
+function trivialSearchResult(search) {
+	const { arithmetic, settings, toOutput, base, modulus, normalizedBase } = search;
+	const { searchStrategy } = settings;
+	if (normalizedBase === arithmetic.zero) {
+		const trace = buildSearchTrace(base, modulus, [], [normalizedBase], null, 0, settings.maxNodes);
+		return { found: false, inverse: toOutput(0), multipliers: [], remainders: [normalizedBase], exploredNodes: 0, cacheHits: 0, bestRemainder: normalizedBase, searchStrategy, trace };
+	}
+	if (normalizedBase === arithmetic.one) {
+		const trace = buildSearchTrace(base, modulus, [normalizedBase], [normalizedBase], arithmetic.one, 1, settings.maxNodes);
+		return { found: true, inverse: toOutput(1), multipliers: [normalizedBase], remainders: [normalizedBase], exploredNodes: 1, cacheHits: 0, bestRemainder: normalizedBase, searchStrategy, trace };
+	}
+	return null;
+}
+
+/**
+ * A node of the multiplier tree: the current remainder and the path that led to it.
+ */
+function searchNode(remainder, depth, chosenMultipliers, remainderHistory) {
+	return { remainder, depth, chosenMultipliers, remainderHistory };
+}
+
+/**
+ * The children of a node that are not obviously hopeless, in multiplierOffsets order.
+ */
+function childNodes(search, node) {
+	const { arithmetic, settings, modulus } = search;
+	const baseMultiplier = ceilDiv(modulus, node.remainder);
+	const children = [];
+	for (const offset of settings.multiplierOffsets) {
+		const multiplier = baseMultiplier + offset;
+		// Guard: multiplier must be positive
+		if (multiplier <= arithmetic.zero) continue;
+
+		// mulMod: remainder * multiplier can pass 2^53 for Number moduli near it
+		const nextRemainder = Arithmetic.mulMod(node.remainder, multiplier, modulus);
 
-		if (currentRemainder === 1) {
-			return { multipliers: chosenMultipliers.slice(), remainders: remainderHistory.slice() };
+		// Avoid obviously hopeless branches
+		if (nextRemainder === arithmetic.zero) {
+			continue;
 		}
-		if (depth >= settings.maxDepth) {
-			return null;
+		if (settings.progressRequired && nextRemainder >= node.remainder) {
+			continue;
 		}
 
-		const baseMultiplier = ceilDiv(modulus, currentRemainder);
+		children.push(searchNode(
+			nextRemainder,
+			node.depth + 1,
+			[...node.chosenMultipliers, multiplier],
+			[...node.remainderHistory, nextRemainder]
+		));
+	}
+	return children;
+}
+
+/**
+ * Budget and pause checks made before each visit: the value advanceSearch should return, or null to go on.
+ */
+function checkBudget(search, progress, visited, nodeLimit) {
+	if (progress.exploredNodes >= search.settings.maxNodes) {
+		return { done: true, value: null };
+	}
+	if (visited >= nodeLimit) {
+		return { done: false };
+	}
+	return null;
+}
+
+/**
+ * Debug mode: replay a chain through a checked trace, so a multiplier or remainder that breaks
+ * the k-chain invariants throws an InvariantViolationError carrying the chain up to that step.
+ * Every recorded step must satisfy modulus < remainder * multiplier and strictly decrease the remainder.
+ */
+function assertChainInvariants(search, multipliers, remainders) {
+	const trace = Trace.createTrace('humanized', search.base, search.modulus);
+	Trace.enableDebug(trace, { bounds: 'relaxed', decreasing: true });
+	multipliers.forEach((multiplier, index) => {
+		Trace.recordStep(trace, index + 1, remainders[index], multiplier, remainders[index + 1]);
+	});
+}
+
+/**
+ * Count a visit to node and report the chain when its remainder is 1 (null otherwise).
+ */
+function visitNode(search, progress, node) {
+	if (search.settings.debug) {
+		assertChainInvariants(search, node.chosenMultipliers, node.remainderHistory);
+	}
+	progress.exploredNodes++;
+	if (node.remainder < progress.bestRemainder) {
+		progress.bestRemainder = node.remainder;
+	}
+	if (node.remainder === search.arithmetic.one) {
+		return { done: true, value: { multipliers: node.chosenMultipliers.slice(), remainders: node.remainderHistory.slice() } };
+	}
+	return null;
+}
+
+function compareRemainders(a, b) {
+	if (a.remainder < b.remainder) return -1;
+	return a.remainder > b.remainder ? 1 : 0;
+}
+
+/**
+ * Depth-first search with an explicit stack. Stops at the first chain found, which is not
+ * necessarily the shortest. state.depthLimit (iterative deepening) overrides settings.maxDepth.
+ * With a transposition table (search.memo), remainders known to be dead ends are not searched
+ * again and known chains are reused; each such shortcut counts as a cache hit.
+ */
+function advanceDepthFirst(search, state, nodeLimit) {
+	const { memo } = search;
+	const { stack, progress } = state;
+	const depthLimit = state.depthLimit ?? search.settings.maxDepth;
+	let visited = 0;
 
-		for (const offset of settings.multiplierOffsets) {
-			const multiplier = baseMultiplier + offset;
-			// Guard: multiplier must be positive
-			if (multiplier <= 0) continue;
+	while (stack.length > 0) {
+		const frame = stack[stack.length - 1];
+		const { node } = frame;
 
-			const nextRemainder = (currentRemainder * multiplier) % modulus;
+		// First time at this node
+		if (frame.children === null) {
+			const stop = checkBudget(search, progress, visited, nodeLimit);
+			if (stop) return stop;
+			visited++;
+			const found = visitNode(search, progress, node);
+			if (found) return found;
 
-			// Avoid obviously hopeless branches
-			if (nextRemainder === 0) {
+			const entry = memo ? memo.get(node.remainder) : undefined;
+			if (entry && entry.chain && node.depth + entry.chain.multipliers.length <= depthLimit) {
+				progress.cacheHits++;
+				return {
+					done: true,
+					value: {
+						multipliers: [...node.chosenMultipliers, ...entry.chain.multipliers],
+						remainders: [...node.remainderHistory, ...entry.chain.remainders.slice(1)]
+					}
+				};
+			}
+			if (entry && !entry.chain && entry.deadWithin >= depthLimit - node.depth) {
+				// The dead end may stand for a depth cutoff, so iterative deepening must not stop here
+				progress.cacheHits++;
+				state.cutOff = true;
+				stack.pop();
 				continue;
 			}
-			if (settings.progressRequired && nextRemainder >= currentRemainder) {
+
+			if (node.depth >= depthLimit) {
+				state.cutOff = true;
+				stack.pop();
 				continue;
 			}
+			frame.children = childNodes(search, node);
+		}
+
+		// Descend into the next child
+		if (frame.childIndex < frame.children.length) {
+			stack.push({ node: frame.children[frame.childIndex++], children: null, childIndex: 0 });
+		} else {
+			// Every child was searched to the end without reaching 1
+			if (memo) recordDeadEnd(memo, node.remainder, depthLimit - node.depth);
+			stack.pop();
+		}
+	}
+	return { done: true, value: null };
+}
+
+/**
+ * Search strategies over the multiplier tree. Each one creates its own resumable state with
+ * start(search, progress) and visits up to nodeLimit nodes per advance(search, state, nodeLimit) call.
+ */
+const searchStrategies = {
+	// Depth-first (the default): cheapest in memory, finds some chain
+	dfs: {
+		start: (search, progress) => ({ stack: [{ node: rootNode(search), children: null, childIndex: 0 }], progress }),
+		advance: advanceDepthFirst
+	},
+
+	// Breadth-first: level by level, so the first chain found is a shortest one
+	bfs: {
+		start: (search, progress) => ({ queue: [rootNode(search)], head: 0, progress }),
+		advance(search, state, nodeLimit) {
+			const { queue, progress } = state;
+			let visited = 0;
+			while (state.head < queue.length) {
+				const stop = checkBudget(search, progress, visited, nodeLimit);
+				if (stop) return stop;
+				const node = queue[state.head];
+				queue[state.head++] = undefined;
+				visited++;
+				const found = visitNode(search, progress, node);
+				if (found) return found;
+				if (node.depth < search.settings.maxDepth) {
+					queue.push(...childNodes(search, node));
+				}
+			}
+			return { done: true, value: null };
+		}
+	},
+
+	// Best-first: always expands the open node with the smallest remainder (ties: first opened)
+	'best-first': {
+		start: (search, progress) => ({ open: [rootNode(search)], progress }),
+		advance(search, state, nodeLimit) {
+			// open is sorted by descending remainder, so pop() takes the smallest
+			const { open, progress } = state;
+			let visited = 0;
+			while (open.length > 0) {
+				const stop = checkBudget(search, progress, visited, nodeLimit);
+				if (stop) return stop;
+				const node = open.pop();
+				visited++;
+				const found = visitNode(search, progress, node);
+				if (found) return found;
+				if (node.depth >= search.settings.maxDepth) continue;
+				for (const child of childNodes(search, node)) {
+					let low = 0;
+					let high = open.length;
+					while (low < high) {
+						const mid = (low + high) >> 1;
+						if (compareRemainders(open[mid], child) > 0) low = mid + 1;
+						else high = mid;
+					}
+					open.splice(low, 0, child);
+				}
+			}
+			return { done: true, value: null };
+		}
+	},
+
+	// Beam: breadth-first, keeping only the beamWidth smallest remainders of each level
+	beam: {
+		start: (search, progress) => ({ level: [rootNode(search)], index: 0, nextLevel: [], progress }),
+		advance(search, state, nodeLimit) {
+			const { progress } = state;
+			let visited = 0;
+			while (state.level.length > 0) {
+				if (state.index >= state.level.length) {
+					state.level = state.nextLevel.sort(compareRemainders).slice(0, search.settings.beamWidth);
+					state.nextLevel = [];
+					state.index = 0;
+					continue;
+				}
+				const stop = checkBudget(search, progress, visited, nodeLimit);
+				if (stop) return stop;
+				const node = state.level[state.index++];
+				visited++;
+				const found = visitNode(search, progress, node);
+				if (found) return found;
+				if (node.depth < search.settings.maxDepth) {
+					state.nextLevel.push(...childNodes(search, node));
+				}
+			}
+			return { done: true, value: null };
+		}
+	},
 
-			const result = dfs(
-				nextRemainder,
-				depth + 1,
-				[...chosenMultipliers, multiplier],
-				[...remainderHistory, nextRemainder]
-			);
-			if (result) return result;
+	// Iterative deepening: depth-first with a depth limit of 1, 2, 3, ... so the chain found is
+	// a shortest one; nodes revisited by later rounds count again in exploredNodes
+	'iterative-deepening': {
+		start: (search, progress) => ({ ...searchStrategies.dfs.start(search, progress), depthLimit: 1, cutOff: false }),
+		advance(search, state, nodeLimit) {
+			const { settings } = search;
+			const sliceEnd = state.progress.exploredNodes + nodeLimit;
+			for (;;) {
+				const outcome = advanceDepthFirst(search, state, sliceEnd - state.progress.exploredNodes);
+				// Next round only if this one was complete and cut some branch short
+				if (!outcome.done || outcome.value || state.progress.exploredNodes >= settings.maxNodes ||
+					!state.cutOff || state.depthLimit >= settings.maxDepth) {
+					return outcome;
+				}
+				state.depthLimit++;
+				state.cutOff = false;
+				state.stack = searchStrategies.dfs.start(search, state.progress).stack;
+			}
 		}
-		return null;
 	}
+};
+
+const SEARCH_STRATEGIES = Object.keys(searchStrategies);
+
+function rootNode(search) {
+	return searchNode(search.normalizedBase, 0, [], [search.normalizedBase]);
+}
+
+/**
+ * Search over multiplier choices with the strategy named by options.searchStrategy. The search
+ * can stop after any number of nodes and resume later (the async search pauses between slices
+ * of nodes). Create the state with startSearch(), then call advanceSearch() until it reports done.
+ */
+function startSearch(search) {
+	const progress = { exploredNodes: 0, cacheHits: 0, bestRemainder: search.normalizedBase };
+	return searchStrategies[search.settings.searchStrategy].start(search, progress);
+}
+
+/**
+ * Visit up to nodeLimit more nodes. Returns { done: false } when paused, otherwise
+ * { done: true, value } with value = { multipliers, remainders } or null (no chain found).
+ * state.progress.exploredNodes and state.progress.bestRemainder (smallest remainder reached)
+ * are kept up to date.
+ */
+function advanceSearch(search, state, nodeLimit = Infinity) {
+	return searchStrategies[search.settings.searchStrategy].advance(search, state, nodeLimit);
+}
 
-	const initialRemainder = normalizedBase;
-	const searchResult = dfs(initialRemainder, 0, [], [initialRemainder]);
+/**
+ * Turn the outcome of advanceSearch into the public search result.
+ * stopCode is CANCELLED or DEADLINE_EXCEEDED when the async search stopped early.
+ */
+function finishSearch(search, searchResult, progress, stopCode = null) {
+	const { settings, toOutput, base, modulus, normalizedBase } = search;
+	const { exploredNodes, cacheHits, bestRemainder } = progress;
+	const { searchStrategy } = settings;
 	if (!searchResult) {
-		return { found: false, inverse: 0, multipliers: [], remainders: [initialRemainder], exploredNodes };
+		const stop = stopCode ? { code: stopCode, bestRemainder } : null;
+		const trace = buildSearchTrace(base, modulus, [], [normalizedBase], null, exploredNodes, settings.maxNodes, stop);
+		return { found: false, inverse: toOutput(0), multipliers: [], remainders: [normalizedBase], exploredNodes, cacheHits, bestRemainder, searchStrategy, trace };
+	}
+	if (settings.debug) {
+		// Chains completed from the transposition table were not visited node by node
+		assertChainInvariants(search, searchResult.multipliers, searchResult.remainders);
+	}
+	if (search.memo) {
+		recordChain(search.memo, searchResult.multipliers, searchResult.remainders);
+	}
+
+	// Compute the inverse as the product of multipliers modulo modulus, reduced after every multiplier
+	const { product: inverse, precisionAtRisk } = Arithmetic.accumulateProduct(searchResult.multipliers, modulus);
+	const trace = buildSearchTrace(base, modulus, searchResult.multipliers, searchResult.remainders, inverse, exploredNodes, settings.maxNodes);
+	trace.precisionAtRisk = precisionAtRisk;
+	// A chain is only reported as found once its product checks out
+	return { found: trace.valid, inverse: toOutput(inverse), multipliers: searchResult.multipliers, remainders: searchResult.remainders, exploredNodes, cacheHits, bestRemainder, searchStrategy, trace };
+}
+
+/**
+ * Attempt to find a modular inverse using the k-multiplier heuristic with bounded backtracking.
+ *
+ * High-level idea:
+ * - Start with currentValue = base % modulus
+ * - Choose multiplier so that currentValue * multiplier > modulus (ceil(modulus/currentValue))
+ * - Update remainder = (currentValue * multiplier) % modulus; iterate until remainder === 1
+ * - If we get remainder === 0 or remainder does not decrease, backtrack and try slightly larger multipliers
+ *
+ * The search explores multiplier choices with small offsets (e.g., +0, +1, +2, +3), and backtracks up to a depth.
+ *
+ * options.searchStrategy picks the order in which the tree is explored (see searchStrategies):
+ * 'dfs' (default), 'bfs', 'best-first', 'beam' (options.beamWidth, default 3) or 'iterative-deepening'.
+ * 'bfs' and 'iterative-deepening' return a shortest chain; the result's exploredNodes lets them be compared.
+ *
+ * options.memoize gives the depth-first strategies a transposition table for this call, and
+ * options.transpositionTable (from createTranspositionTable()) shares one across calls; the
+ * result's cacheHits counts the remainders answered from it.
+ *
+ * options.debug checks every visited node's chain as it is reached: each remainder must be
+ * (previous remainder * multiplier) % modulus with modulus < previous remainder * multiplier, must be
+ * below the previous one, and (product of multipliers * base) % modulus must equal it. The first
+ * violation throws an InvariantViolationError (inverseModTrace.js) whose trace holds the chain so far.
+ */
+function findInverseWithBacktracking(base, modulus, options = {}) {
+	const search = prepareSearch(base, modulus, options);
+	const trivial = trivialSearchResult(search);
+	if (trivial) return trivial;
+
+	const state = startSearch(search);
+	const outcome = advanceSearch(search, state);
+	return finishSearch(search, outcome.value, state.progress);
+}
+
+/**
+ * Let pending timers, I/O and abort events run before the search continues.
+ * setImmediate in Node.js; browsers post a MessageChannel message (a zero-delay setTimeout is
+ * clamped to 4 ms once nested), with setTimeout as the last resort.
+ */
+function yieldToEventLoop() {
+	if (typeof setImmediate === 'function') {
+		return new Promise(resolve => setImmediate(resolve));
+	}
+	if (typeof MessageChannel === 'function') {
+		return new Promise(resolve => {
+			const channel = new MessageChannel();
+			channel.port1.onmessage = () => {
+				channel.port1.close();
+				resolve();
+			};
+			channel.port2.postMessage(null);
+		});
 	}
+	return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Async, cancellable version of findInverseWithBacktracking for servers and pages that must stay responsive.
+ *
+ * Extra options:
+ * - signal: AbortSignal; aborting stops the search at its next pause
+ * - deadline: wall-clock time (ms since epoch, as Date.now()) after which the search stops
+ * - timeoutMs: shorthand for deadline = Date.now() + timeoutMs
+ * - yieldEvery: nodes explored between pauses, where the search yields to the event loop and
+ *   checks the signal and the deadline (default 128)
+ *
+ * Resolves (never rejects on cancellation) with the findInverseWithBacktracking result plus
+ * cancelled and timedOut flags. A stopped search reports its partial progress: exploredNodes,
+ * bestRemainder (smallest remainder reached) and trace.termination.code CANCELLED or DEADLINE_EXCEEDED.
+ */
+async function findInverseWithBacktrackingAsync(base, modulus, options = {}) {
+	const { signal } = options;
+	const yieldEvery = options.yieldEvery ?? 128;
+	const deadline = options.deadline ?? (options.timeoutMs !== undefined ? Date.now() + options.timeoutMs : Infinity);
 
-	// Compute the inverse as the product of multipliers modulo modulus
-	let inverse = 1;
-	for (const multiplier of searchResult.multipliers) {
-		inverse = (inverse * multiplier) % modulus;
+	const search = prepareSearch(base, modulus, options);
+	const state = startSearch(search);
+	const stopped = (code) => ({
+		...finishSearch(search, null, state.progress, code),
+		cancelled: code === Trace.OutcomeCode.CANCELLED,
+		timedOut: code === Trace.OutcomeCode.DEADLINE_EXCEEDED
+	});
+
+	if (signal && signal.aborted) return stopped(Trace.OutcomeCode.CANCELLED);
+	const trivial = trivialSearchResult(search);
+	if (trivial) return { ...trivial, cancelled: false, timedOut: false };
+
+	let outcome = advanceSearch(search, state, yieldEvery);
+	while (!outcome.done) {
+		await yieldToEventLoop();
+		if (signal && signal.aborted) return stopped(Trace.OutcomeCode.CANCELLED);
+		if (Date.now() >= deadline) return stopped(Trace.OutcomeCode.DEADLINE_EXCEEDED);
+		outcome = advanceSearch(search, state, yieldEvery);
 	}
-	return { found: true, inverse, multipliers: searchResult.multipliers, remainders: searchResult.remainders, exploredNodes };
+	return { ...finishSearch(search, outcome.value, state.progress), cancelled: false, timedOut: false };
+}
+
+/**
+ * True for safe integer Numbers, BigInts and numeric strings.
+ */
+function isIntegerInput(value) {
+	return Number.isSafeInteger(value) || typeof value === 'bigint' || Arithmetic.isNumericString(value);
 }
 
 /**
- * Public API: compute the modular inverse using heuristic search only.
+ * Public API: compute the modular inverse using heuristic search only, or with
+ * options.hybrid, fall back to the extended Euclidean algorithm when the search fails.
  *
  * Returns an object:
  * {
  *   success: boolean,
- *   inverse: number | null,
- *   method: 'heuristic' | 'none',
- *   details: { multipliers, remainders, exploredNodes } | null
+ *   inverse: number | bigint | null,
+ *   method: 'heuristic' | 'fallback' | 'none',
+ *   details: { multipliers, remainders, exploredNodes, cacheHits, bestRemainder, searchStrategy, trace } | null,
+ *   outcome: { code, ... },     // OutcomeCode and context, as in trace.termination
+ *   reason?: string              // human-readable explanation of a failure
  * }
+ *
+ * details.trace has the same shape as the trace returned by inverseModFull (see inverseModTrace.js).
+ * Negative bases and bases >= modulus are searched from their residue; options.representation
+ * ('least-positive' or 'symmetric') chooses how the inverse is written.
+ * With options.throwOnError a failure throws the InverseModError for outcome.code instead
+ * (inverseModErrors.js).
  */
 function computeModularInverse(base, modulus, options = {}) {
+	const rejected = rejectInput(base, modulus);
+	if (rejected) return settle(base, modulus, rejected, options);
+
+	// Heuristic with backtracking only
+	return settle(base, modulus, inverseFromSearch(base, modulus, findInverseWithBacktracking(base, modulus, options), options), options);
+}
+
+/**
+ * Async, cancellable computeModularInverse (see findInverseWithBacktrackingAsync for the extra
+ * options). When the search is cancelled or times out, outcome.code is CANCELLED or DEADLINE_EXCEEDED
+ * and details holds the partial progress; with options.hybrid the exact inverse is still returned.
+ */
+async function computeModularInverseAsync(base, modulus, options = {}) {
+	const rejected = rejectInput(base, modulus);
+	if (rejected) return settle(base, modulus, rejected, options);
+
+	const heuristic = await findInverseWithBacktrackingAsync(base, modulus, options);
+	return settle(base, modulus, inverseFromSearch(base, modulus, heuristic, options), options);
+}
+
+/**
+ * Throwing mode: turn a failed result into its InverseModError; other results pass through.
+ */
+function settle(base, modulus, result, options) {
+	if (options.throwOnError && !result.success) {
+		const trace = result.details ? result.details.trace : undefined;
+		throw Errors.errorFromOutcome(result.outcome, { x: base, y: modulus, trace, message: result.reason });
+	}
+	return result;
+}
+
+/**
+ * Result for inputs that cannot have an inverse; null when the search should run.
+ */
+function rejectInput(base, modulus) {
+	// Numbers past 2^53 have already lost precision
+	const unsafe = [base, modulus].find(value => Number.isInteger(value) && !Number.isSafeInteger(value));
+	if (unsafe !== undefined) {
+		return { success: false, inverse: null, method: 'none', details: null, outcome: { code: Trace.OutcomeCode.PRECISION_LOSS, value: unsafe, limit: Number.MAX_SAFE_INTEGER }, reason: `${unsafe} is not a safe integer; pass large values as BigInt or numeric strings` };
+	}
+
 	// Validate inputs
-	if (!Number.isInteger(base) || !Number.isInteger(modulus) || modulus <= 0) {
-		return { success: false, inverse: null, method: 'none', details: null, reason: 'Inputs must be integers with modulus > 0' };
+	if (!isIntegerInput(base) || !isIntegerInput(modulus) || Number(modulus) <= 0) {
+		return { success: false, inverse: null, method: 'none', details: null, outcome: { code: Trace.OutcomeCode.INVALID_INPUT }, reason: 'Inputs must be integers with modulus > 0' };
 	}
 
 	// If gcd > 1, inverse does not exist
 	const gcd = computeGreatestCommonDivisor(base, modulus);
-	if (gcd !== 1) {
-		return { success: false, inverse: null, method: 'none', details: null, reason: `No inverse exists; gcd(${base}, ${modulus}) = ${gcd}` };
+	if (!Arithmetic.isOne(gcd)) {
+		return { success: false, inverse: null, method: 'none', details: null, outcome: { code: Trace.OutcomeCode.NOT_COPRIME, step: 0, gcd }, reason: `No inverse exists; gcd(${base}, ${modulus}) = ${gcd}` };
 	}
+	return null;
+}
 
-	// Heuristic with backtracking only
-	const heuristic = findInverseWithBacktracking(base, modulus, options);
+/**
+ * Build the public result from a search result (found, hybrid fallback or failure).
+ */
+function inverseFromSearch(base, modulus, heuristic, options) {
+	const details = {
+		multipliers: heuristic.multipliers,
+		remainders: heuristic.remainders,
+		exploredNodes: heuristic.exploredNodes,
+		cacheHits: heuristic.cacheHits,
+		bestRemainder: heuristic.bestRemainder,
+		searchStrategy: heuristic.searchStrategy,
+		trace: heuristic.trace
+	};
 	if (heuristic.found) {
-		return {
-			success: true,
-			inverse: heuristic.inverse,
-			method: 'heuristic',
-			details: {
-				multipliers: heuristic.multipliers,
-				remainders: heuristic.remainders,
-				exploredNodes: heuristic.exploredNodes
-			}
-		};
+		return { success: true, inverse: represent(heuristic.inverse, modulus, options), method: 'heuristic', details, outcome: heuristic.trace.termination };
+	}
+
+	// Hybrid mode: the search failed but the inverse exists, so answer with the exact method
+	if (options.hybrid) {
+		const arithmetic = Arithmetic.selectArithmetic(base, modulus);
+		const exact = Arithmetic.modInverse(arithmetic.from(base), arithmetic.from(modulus));
+		if (exact !== null) {
+			Trace.applyFallback(heuristic.trace, exact);
+			return {
+				success: true,
+				inverse: represent(Arithmetic.prepareOperands(base, modulus).toOutput(exact), modulus, options),
+				method: 'fallback',
+				details,
+				outcome: heuristic.trace.termination
+			};
+		}
+	}
+
+	const stopped = heuristic.cancelled || heuristic.timedOut;
+	return {
+		success: false,
+		inverse: null,
+		method: 'none',
+		details: stopped ? details : null,
+		outcome: heuristic.trace.termination,
+		reason: failureReason(heuristic)
+	};
+}
+
+/**
+ * Explains a failed search from its outcome code, so the reason never contradicts outcome.code.
+ */
+function failureReason(heuristic) {
+	const termination = heuristic.trace.termination;
+	switch (termination.code) {
+		case Trace.OutcomeCode.CANCELLED:
+			return `Heuristic search was cancelled after ${heuristic.exploredNodes} nodes`;
+		case Trace.OutcomeCode.DEADLINE_EXCEEDED:
+			return `Heuristic search ran out of time after ${heuristic.exploredNodes} nodes`;
+		case Trace.OutcomeCode.NODE_BUDGET_EXHAUSTED:
+			return `Heuristic search used its budget of ${termination.limit} nodes without finding an inverse`;
+		case Trace.OutcomeCode.SEARCH_EXHAUSTED:
+			return 'Heuristic search did not find an inverse within bounds';
+		case Trace.OutcomeCode.REACHED_ONE:
+			return `Heuristic chain reached 1, but its product ${heuristic.trace.z} does not invert the base`;
+		default:
+			// Rejections carry their own message (e.g. ZERO_OPERAND when the base is a multiple of the modulus)
+			return termination.message ?? `Heuristic search stopped with ${termination.code}`;
 	}
+}
 
-	return { success: false, inverse: null, method: 'none', details: null, reason: 'Heuristic search did not find an inverse within bounds' };
+/**
+ * Write an inverse in options.representation: 'least-positive' (default) or 'symmetric' (-modulus/2, modulus/2].
+ */
+function represent(inverse, modulus, options) {
+	const typedModulus = typeof inverse === 'bigint' ? BigInt(String(modulus).trim()) : Number(modulus);
+	return Arithmetic.toRepresentation(inverse, typedModulus, options.representation);
 }
 
 /**
@@ -175,7 +765,7 @@ function modularInverse(base, modulus, options = {}) {
  */
 function explainHeuristicRun(base, modulus, options = {}) {
 	const gcd = computeGreatestCommonDivisor(base, modulus);
-	if (gcd !== 1) {
+	if (!Arithmetic.isOne(gcd)) {
 		return `No inverse exists because gcd(${base}, ${modulus}) = ${gcd}`;
 	}
 	const attempt = findInverseWithBacktracking(base, modulus, options);
@@ -189,15 +779,41 @@ function explainHeuristicRun(base, modulus, options = {}) {
 	lines.push(`Remainders: ${attempt.remainders.join(' -> ')}`);
 	lines.push(`Multipliers: ${attempt.multipliers.join(' × ')}`);
 	lines.push(`Inverse = (product of multipliers) mod ${modulus} = ${attempt.inverse}`);
-	lines.push(`Validation: (${attempt.inverse} * ${base}) % ${modulus} = ${(attempt.inverse * base) % modulus}`);
+	const arithmetic = Arithmetic.selectArithmetic(base, modulus);
+	const check = Arithmetic.mulMod(arithmetic.from(attempt.inverse), arithmetic.from(base), arithmetic.from(modulus));
+	lines.push(`Validation: (${attempt.inverse} * ${base}) % ${modulus} = ${check}`);
 	return lines.join('\n');
 }
 
-module.exports = {
-	computeGreatestCommonDivisor,
-	computeModularInverse,
-	modularInverse,
-	explainHeuristicRun,
-	findInverseWithBacktracking,
-	ceilDiv
-};
\ No newline at end of file
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+	// Node.js environment
+	module.exports = {
+		computeGreatestCommonDivisor,
+		computeModularInverse,
+		computeModularInverseAsync,
+		modularInverse,
+		explainHeuristicRun,
+		findInverseWithBacktracking,
+		findInverseWithBacktrackingAsync,
+		ceilDiv,
+		createTranspositionTable,
+		SEARCH_STRATEGIES
+	};
+} else if (typeof window !== 'undefined') {
+	// Browser environment
+	window.InverseModHumanized = {
+		computeGreatestCommonDivisor,
+		computeModularInverse,
+		computeModularInverseAsync,
+		modularInverse,
+		explainHeuristicRun,
+		findInverseWithBacktracking,
+		findInverseWithBacktrackingAsync,
+		ceilDiv,
+		createTranspositionTable,
+		SEARCH_STRATEGIES
+	};
+}
+
+})();
\ No newline at end of file
@@ -52,6 +52,14 @@ function run() {
 		console.log(`No inverse as expected for ${x} mod ${y} (${res.reason})`);
 	}
 
+	// The reason agrees with the outcome code
+	const multiple = Human.computeModularInverse(3, 1);
+	assert.strictEqual(multiple.outcome.code, 'ZERO_OPERAND');
+	assert.strictEqual(multiple.reason, multiple.outcome.message);
+	const budget = Human.computeModularInverse(31, 37, { maxNodes: 1 });
+	assert.strictEqual(budget.outcome.code, 'NODE_BUDGET_EXHAUSTED');
+	assert.ok(budget.reason.includes('budget of 1 nodes'), budget.reason);
+
 	console.log('All humanized tests passed.');
 }
 
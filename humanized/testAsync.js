@@ -0,0 +1,136 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Human = require('./modularInverse.js');
+const Trace = require('../inverseModTrace.js');
+
+// 597 mod 598: the search explores ~34k nodes before giving up, long enough to interrupt
+const SLOW = { x: 597, y: 598, options: { maxNodes: 200000, yieldEvery: 100 } };
+
+async function testMatchesSyncSearch() {
+	console.log('=== Async search matches the synchronous search ===');
+	for (const [x, y] of [[31, 37], [5, 12], [1, 10], [2n ** 200n + 7n, (1n << 255n) - 19n]]) {
+		const sync = Human.findInverseWithBacktracking(x, y);
+		const async = await Human.findInverseWithBacktrackingAsync(x, y, { yieldEvery: 1 });
+		assert.strictEqual(async.inverse, sync.inverse);
+		assert.strictEqual(async.exploredNodes, sync.exploredNodes);
+		assert.deepStrictEqual(async.trace, sync.trace);
+		assert.strictEqual(async.cancelled, false);
+		assert.strictEqual(async.timedOut, false);
+		console.log(`${x} mod ${y}: inverse ${async.inverse} after ${async.exploredNodes} nodes`);
+	}
+}
+
+async function testYieldsToEventLoop() {
+	console.log('\n=== Yields to the event loop ===');
+	let ticks = 0;
+	const timer = setInterval(() => ticks++, 0);
+	const res = await Human.findInverseWithBacktrackingAsync(SLOW.x, SLOW.y, SLOW.options);
+	clearInterval(timer);
+	assert.strictEqual(res.found, false);
+	assert.strictEqual(res.exploredNodes, Human.findInverseWithBacktracking(SLOW.x, SLOW.y, SLOW.options).exploredNodes);
+	assert.ok(ticks > 0, 'timers should run while the search is in progress');
+	console.log(`${res.exploredNodes} nodes, ${ticks} timer ticks during the search`);
+}
+
+async function testAbortSignal() {
+	console.log('\n=== AbortSignal ===');
+	const before = new AbortController();
+	before.abort();
+	const immediate = await Human.findInverseWithBacktrackingAsync(31, 37, { signal: before.signal });
+	assert.strictEqual(immediate.cancelled, true);
+	assert.strictEqual(immediate.exploredNodes, 0);
+
+	const controller = new AbortController();
+	setImmediate(() => setImmediate(() => controller.abort()));
+	const res = await Human.findInverseWithBacktrackingAsync(SLOW.x, SLOW.y, { ...SLOW.options, signal: controller.signal });
+	assert.strictEqual(res.found, false);
+	assert.strictEqual(res.cancelled, true);
+	assert.ok(res.exploredNodes > 0 && res.exploredNodes < 34076, `partial progress, got ${res.exploredNodes}`);
+	assert.ok(res.bestRemainder < SLOW.x);
+	const termination = res.trace.termination;
+	assert.strictEqual(termination.code, Trace.OutcomeCode.CANCELLED);
+	assert.strictEqual(termination.exploredNodes, res.exploredNodes);
+	assert.strictEqual(termination.bestRemainder, res.bestRemainder);
+	console.log(`Cancelled after ${res.exploredNodes} nodes, best remainder ${res.bestRemainder}`);
+}
+
+async function testDeadline() {
+	console.log('\n=== Deadline ===');
+	const res = await Human.findInverseWithBacktrackingAsync(SLOW.x, SLOW.y, { ...SLOW.options, deadline: Date.now() });
+	assert.strictEqual(res.timedOut, true);
+	assert.strictEqual(res.exploredNodes, SLOW.options.yieldEvery);
+	assert.strictEqual(res.trace.termination.code, Trace.OutcomeCode.DEADLINE_EXCEEDED);
+	assert.strictEqual(res.trace.termination.limitReached, 'deadline');
+
+	const timed = await Human.findInverseWithBacktrackingAsync(SLOW.x, SLOW.y, { ...SLOW.options, timeoutMs: 0 });
+	assert.strictEqual(timed.timedOut, true);
+}
+
+async function testComputeModularInverseAsync() {
+	console.log('\n=== computeModularInverseAsync ===');
+	const ok = await Human.computeModularInverseAsync(31, 37);
+	assert.strictEqual(ok.inverse, 6);
+
+	assert.strictEqual((await Human.computeModularInverseAsync(4, 6)).outcome.code, Trace.OutcomeCode.NOT_COPRIME);
+
+	const timedOut = await Human.computeModularInverseAsync(SLOW.x, SLOW.y, { ...SLOW.options, timeoutMs: 0 });
+	assert.strictEqual(timedOut.success, false);
+	assert.strictEqual(timedOut.outcome.code, Trace.OutcomeCode.DEADLINE_EXCEEDED);
+	assert.strictEqual(timedOut.details.exploredNodes, SLOW.options.yieldEvery);
+
+	// Hybrid mode still answers exactly when the search is stopped
+	const hybrid = await Human.computeModularInverseAsync(SLOW.x, SLOW.y, { ...SLOW.options, timeoutMs: 0, hybrid: true });
+	assert.deepStrictEqual([hybrid.success, hybrid.inverse, hybrid.method], [true, 597, 'fallback']);
+}
+
+/**
+ * Loads the browser build into a fresh context: classic scripts sharing one global, with
+ * MessageChannel but no setImmediate, as in a page
+ */
+function loadInBrowserContext(withMessageChannel) {
+	const context = { setTimeout, clearTimeout, AbortController, Date };
+	if (withMessageChannel) context.MessageChannel = MessageChannel;
+	context.window = context;
+	vm.createContext(context);
+	for (const file of ['inverseModErrors.js', 'inverseModArithmetic.js', 'inverseModTrace.js', 'humanized/modularInverse.js']) {
+		const script = path.join(__dirname, '..', file);
+		vm.runInContext(fs.readFileSync(script, 'utf8'), context, { filename: script });
+	}
+	return context.InverseModHumanized;
+}
+
+async function testBrowserBuild() {
+	console.log('\n=== Browser build without setImmediate ===');
+	for (const withMessageChannel of [true, false]) {
+		const Browser = loadInBrowserContext(withMessageChannel);
+		const found = await Browser.computeModularInverseAsync(31, 37, { yieldEvery: 1 });
+		assert.deepStrictEqual([found.success, found.inverse], [true, 6]);
+
+		const controller = new AbortController();
+		const pending = Browser.findInverseWithBacktrackingAsync(SLOW.x, SLOW.y, { ...SLOW.options, signal: controller.signal });
+		setTimeout(() => controller.abort(), 5);
+		const stopped = await pending;
+		assert.strictEqual(stopped.trace.termination.code, Trace.OutcomeCode.CANCELLED);
+		console.log(`${withMessageChannel ? 'MessageChannel' : 'setTimeout'}: cancelled after ${stopped.exploredNodes} nodes`);
+	}
+}
+
+async function run() {
+	await testMatchesSyncSearch();
+	await testYieldsToEventLoop();
+	await testAbortSignal();
+	await testDeadline();
+	await testComputeModularInverseAsync();
+	await testBrowserBuild();
+	console.log('\nAll async search tests passed.');
+}
+
+if (require.main === module) {
+	run().catch(error => {
+		console.error(error);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,116 @@
+const assert = require('assert');
+
+const Human = require('./modularInverse.js');
+const Trace = require('../inverseModTrace.js');
+
+const SHORTEST = ['bfs', 'iterative-deepening'];
+
+function chainLength(x, y, searchStrategy) {
+	const res = Human.findInverseWithBacktracking(x, y, { searchStrategy, maxNodes: 100000 });
+	return res.found ? res.multipliers.length : null;
+}
+
+function testEveryStrategyFindsValidInverses() {
+	console.log('=== Every strategy returns valid inverses ===');
+	for (const searchStrategy of Human.SEARCH_STRATEGIES) {
+		let found = 0;
+		let nodes = 0;
+		for (let y = 2; y <= 60; y++) {
+			for (let x = 1; x < y; x++) {
+				const res = Human.computeModularInverse(x, y, { searchStrategy });
+				if (!res.success) continue;
+				assert.strictEqual((res.inverse * x) % y, 1, `${searchStrategy}: ${x} mod ${y}`);
+				assert.strictEqual(res.details.searchStrategy, searchStrategy);
+				assert.strictEqual(res.details.trace.exploredNodes, res.details.exploredNodes);
+				found++;
+				nodes += res.details.exploredNodes;
+			}
+		}
+		assert.ok(found > 0);
+		console.log(`${searchStrategy}: ${found} inverses, ${nodes} nodes explored`);
+	}
+}
+
+function testShortestChains() {
+	console.log('\n=== BFS and iterative deepening find shortest chains ===');
+	for (let y = 3; y <= 80; y++) {
+		for (let x = 2; x < y; x++) {
+			const lengths = ['dfs', 'best-first', ...SHORTEST].map(strategy => chainLength(x, y, strategy));
+			const shortest = lengths[2];
+			assert.strictEqual(lengths[3], shortest, `${x} mod ${y}`);
+			for (const length of lengths.slice(0, 2)) {
+				if (length !== null) assert.ok(shortest !== null && shortest <= length, `${x} mod ${y}`);
+			}
+		}
+	}
+	// 31 mod 37: DFS takes 31 -> 25 -> 1 and BFS agrees
+	assert.deepStrictEqual(Human.findInverseWithBacktracking(31, 37, { searchStrategy: 'bfs' }).multipliers, [2, 3]);
+}
+
+function testBeamWidth() {
+	console.log('\n=== Beam width ===');
+	const narrow = Human.findInverseWithBacktracking(597, 599, { searchStrategy: 'beam', beamWidth: 1 });
+	const wide = Human.findInverseWithBacktracking(597, 599, { searchStrategy: 'beam', beamWidth: 8 });
+	assert.ok(narrow.exploredNodes <= wide.exploredNodes);
+	// A beam of width 1 follows a single path: one node per step plus the root
+	assert.strictEqual(narrow.found, true);
+	assert.strictEqual(narrow.exploredNodes, narrow.multipliers.length + 1);
+	console.log(`width 1: ${narrow.exploredNodes} nodes, width 8: ${wide.exploredNodes} nodes`);
+}
+
+function testBudgetAndUnknownStrategy() {
+	console.log('\n=== Budget and unknown strategies ===');
+	for (const searchStrategy of Human.SEARCH_STRATEGIES) {
+		const res = Human.computeModularInverse(597, 598, { searchStrategy, maxNodes: 10 });
+		assert.strictEqual(res.success, false);
+		assert.strictEqual(res.outcome.code, Trace.OutcomeCode.NODE_BUDGET_EXHAUSTED, searchStrategy);
+	}
+	assert.throws(() => Human.findInverseWithBacktracking(31, 37, { searchStrategy: 'random' }), /Unknown search strategy "random"/);
+}
+
+function testLargeNumberModuli() {
+	console.log('\n=== Number moduli near 2^52 ===');
+	// remainder * multiplier passes 2^53 here; a plain Number product once reported a wrong inverse
+	const y = 4000000000000037;
+	for (const searchStrategy of Human.SEARCH_STRATEGIES) {
+		for (const x of [3666183471679720, 3999999999999999, 3000000000000028]) {
+			const res = Human.computeModularInverse(x, y, { searchStrategy, debug: true });
+			const exact = Human.computeModularInverse(BigInt(x), BigInt(y), { searchStrategy });
+			assert.strictEqual(res.success, exact.success, `${searchStrategy}: ${x}`);
+			if (res.success) {
+				assert.strictEqual(BigInt(res.inverse), exact.inverse, `${searchStrategy}: ${x}`);
+				assert.strictEqual((exact.inverse * BigInt(x)) % BigInt(y), 1n, `${searchStrategy}: ${x}`);
+				assert.strictEqual(res.details.trace.valid, true);
+			}
+		}
+	}
+}
+
+async function testAsyncStrategies() {
+	console.log('\n=== Async search with every strategy ===');
+	for (const searchStrategy of Human.SEARCH_STRATEGIES) {
+		const options = { searchStrategy, maxNodes: 5000 };
+		for (const [x, y] of [[31, 37], [597, 598], [1234, 4567]]) {
+			const sync = Human.findInverseWithBacktracking(x, y, options);
+			const async = await Human.findInverseWithBacktrackingAsync(x, y, { ...options, yieldEvery: 7 });
+			assert.deepStrictEqual(async.trace, sync.trace, `${searchStrategy}: ${x} mod ${y}`);
+		}
+	}
+}
+
+async function run() {
+	testEveryStrategyFindsValidInverses();
+	testShortestChains();
+	testBeamWidth();
+	testBudgetAndUnknownStrategy();
+	testLargeNumberModuli();
+	await testAsyncStrategies();
+	console.log('All search strategy tests passed.');
+}
+
+if (require.main === module) {
+	run().catch(error => {
+		console.error(error);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+const Human = require('./modularInverse.js');
+
+function testSameChainsWithFewerNodes() {
+	console.log('=== Per-call table: same chains, fewer nodes ===');
+	let plainNodes = 0;
+	let memoNodes = 0;
+	for (let y = 2; y <= 150; y++) {
+		for (let x = 1; x < y; x++) {
+			if (Human.computeGreatestCommonDivisor(x, y) !== 1) continue;
+			const plain = Human.findInverseWithBacktracking(x, y);
+			const memo = Human.findInverseWithBacktracking(x, y, { memoize: true });
+			assert.ok(memo.exploredNodes <= plain.exploredNodes, `${x} mod ${y}`);
+			if (plain.found) {
+				// Skipping subtrees known to fail does not change the first chain found
+				assert.deepStrictEqual(memo.multipliers, plain.multipliers, `${x} mod ${y}`);
+			}
+			if (memo.found) assert.strictEqual((memo.inverse * x) % y, 1);
+			plainNodes += plain.exploredNodes;
+			memoNodes += memo.exploredNodes;
+		}
+	}
+	assert.strictEqual(Human.findInverseWithBacktracking(31, 37).cacheHits, 0);
+	console.log(`${plainNodes} nodes without the table, ${memoNodes} with it`);
+}
+
+function testSharedTableSweep() {
+	console.log('\n=== Shared table: sweep every base for one modulus ===');
+	const modulus = 997;
+	const table = Human.createTranspositionTable();
+	let plainNodes = 0;
+	let sharedNodes = 0;
+	let cacheHits = 0;
+	for (let base = 1; base < modulus; base++) {
+		const plain = Human.computeModularInverse(base, modulus);
+		const shared = Human.computeModularInverse(base, modulus, { transpositionTable: table });
+		if (plain.success) assert.strictEqual(shared.success, true, `${base} mod ${modulus}`);
+		if (shared.success) {
+			assert.strictEqual((shared.inverse * base) % modulus, 1);
+			assert.strictEqual(shared.details.trace.valid, true);
+			cacheHits += shared.details.cacheHits;
+		}
+		plainNodes += plain.details ? plain.details.exploredNodes : 0;
+		sharedNodes += shared.details ? shared.details.exploredNodes : 0;
+	}
+	assert.ok(cacheHits > 0);
+	assert.ok(sharedNodes < plainNodes);
+	console.log(`${plainNodes} nodes without the table, ${sharedNodes} with it (${cacheHits} cache hits)`);
+
+	// A known chain is reused: the second search stops at the root
+	const again = Human.computeModularInverse(31, modulus, { transpositionTable: table });
+	assert.deepStrictEqual([again.details.exploredNodes, again.details.cacheHits], [1, 1]);
+}
+
+function testEntriesArePerModulus() {
+	console.log('\n=== Entries are kept per modulus and number type ===');
+	const table = Human.createTranspositionTable();
+	for (const [x, y] of [[31, 37], [31, 41], [31n, 37n]]) {
+		const res = Human.computeModularInverse(x, y, { transpositionTable: table });
+		assert.strictEqual(res.success, true);
+		assert.strictEqual(res.details.cacheHits, 0);
+		assert.strictEqual(typeof res.inverse, typeof y);
+	}
+	assert.strictEqual(table.size, 3);
+	// A deeper limit needs a fresh search: dead ends are only trusted within the depth they were searched to
+	const shallow = Human.findInverseWithBacktracking(597, 599, { transpositionTable: table, maxDepth: 3 });
+	const deep = Human.findInverseWithBacktracking(597, 599, { transpositionTable: table });
+	assert.strictEqual(shallow.found, false);
+	assert.strictEqual(deep.found, true);
+}
+
+function testSharedTableAcrossDepthLimits() {
+	console.log('\n=== Shared table across depth limits ===');
+	// Dead ends recorded under maxDepth 2 must not end iterative deepening's rounds early
+	for (const searchStrategy of ['dfs', 'iterative-deepening']) {
+		const table = Human.createTranspositionTable();
+		assert.strictEqual(Human.computeModularInverse(7, 51, { maxDepth: 2, transpositionTable: table }).success, false);
+		const shared = Human.computeModularInverse(7, 51, { maxDepth: 10, searchStrategy, transpositionTable: table });
+		const fresh = Human.computeModularInverse(7, 51, { maxDepth: 10, searchStrategy });
+		assert.strictEqual(shared.success, true, searchStrategy);
+		assert.deepStrictEqual(shared.details.multipliers, fresh.details.multipliers, searchStrategy);
+	}
+	// Its shallow rounds do use the recorded dead ends
+	const table = Human.createTranspositionTable();
+	Human.computeModularInverse(7, 51, { maxDepth: 2, transpositionTable: table });
+	assert.ok(Human.computeModularInverse(7, 51, { maxDepth: 10, searchStrategy: 'iterative-deepening', transpositionTable: table }).details.cacheHits > 0);
+}
+
+function run() {
+	testSameChainsWithFewerNodes();
+	testSharedTableSweep();
+	testEntriesArePerModulus();
+	testSharedTableAcrossDepthLimits();
+	console.log('All transposition table tests passed.');
+}
+
+if (require.main === module) run();
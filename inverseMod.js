@@ -5,33 +5,69 @@
  * This algorithm finds the modular multiplicative inverse z such that (z * x) mod y = 1
  */
 
+// Scoped so that several variants loaded into one page (see demo.html) keep their own
+// checkSpecialCases, inverseModFull, ... instead of overwriting each other as globals.
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Parse = (typeof require !== 'undefined')
+    ? require('./inverseModParse.js')
+    : window.InverseModParse;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+
 /**
  * Checks for special cases that would prevent finding an inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer  
- * @returns {Object} - {isSpecialCase: boolean, message: string}
+ * @param {number|bigint} x - Integer to invert (negative or >= y is fine)
+ * @param {number|bigint} y - Modulus, must be positive
+ * @returns {Object} - {isSpecialCase: boolean, message: string, code?: string, gcd?, operands?: string[], operand?: string}
  */
 function checkSpecialCases(x, y) {
     let isSpecialCase = false;
     let message = "";
+    const zeroOperands = [];
 
     // Case 1: x or y cannot be 0
-    if (x === 0) {
+    if (Arithmetic.isZero(x)) {
         isSpecialCase = true;
         message += "Error: x cannot be zero.";
+        zeroOperands.push('x');
     }
-    if (y === 0) {
+    if (Arithmetic.isZero(y)) {
         isSpecialCase = true;
         message += "Error: y cannot be zero.";
+        zeroOperands.push('y');
     }
     if (isSpecialCase) {
-        return { isSpecialCase, message };
+        return { isSpecialCase, message, code: Trace.OutcomeCode.ZERO_OPERAND, operands: zeroOperands };
+    }
+
+    // The modulus must be positive; x may be any integer, only its residue mod y matters
+    if (y < 0) {
+        return { isSpecialCase: true, message: `Error: y must be positive, got ${y}.`, code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
     }
+    const residue = Arithmetic.leastResidue(x, y);
 
     // Case 2: x cannot be a multiple of y
-    if (x % y === 0) {
+    if (Arithmetic.isZero(residue)) {
         isSpecialCase = true;
         message += `${x} is a multiple of ${y} which gives z = 0, no inverse`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.ZERO_OPERAND, operands: ['x'] };
+    }
+
+    // Case 3: x and y must be coprime, otherwise the chain can only end at remainder 0
+    const divisor = Arithmetic.gcd(residue, y);
+    if (!Arithmetic.isOne(divisor)) {
+        isSpecialCase = true;
+        message += `${x} and ${y} are not coprime (GCD = ${divisor}), no inverse exists`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.NOT_COPRIME, gcd: divisor };
     }
 
     return { isSpecialCase, message };
@@ -67,72 +103,118 @@ Validation step:
 
 /**
  * Performs the full inverseMod algorithm with detailed steps
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {Object} - {result: string, z: number}
+ *
+ * Number operands run on plain Numbers and are promoted to BigInt internally if an
+ * intermediate value could exceed 2^53. BigInt or numeric-string operands run entirely
+ * on BigInt, so arbitrarily large moduli are supported.
+ * @param {number|bigint|string} x - Integer to invert; negative x and x >= y are reduced mod y first
+ * @param {number|bigint|string} y - Positive modulus
+ * @param {Object} options - {hybrid: boolean} when the k-chain fails, fall back to the extended Euclidean
+ *   inverse (trace.method becomes 'fallback' and trace.failedChain keeps the chain);
+ *   {maxIterations: number} cap on k-steps (default: none, the remainders strictly decrease);
+ *   {debug: boolean} check the chain's invariants at every step and throw an InvariantViolationError
+ *   (inverseModTrace.js) with the partial trace on the first violation;
+ *   {throwOnError: boolean} throw the InverseModError for a run without a valid inverse (inverseModErrors.js);
+ *   {representation: 'least-positive' | 'symmetric'} write z in [0, y) (default) or (-y/2, y/2]
+ * @returns {Object} - {result: string, z: number|bigint, trace: Object} (z is a BigInt for BigInt/string input;
+ *   see inverseModTrace.js for the trace shape, result is renderTrace(trace))
  */
-function inverseModFull(x, y) {
+function inverseModFull(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('original', x, y);
+    if (rejected) {
+        if (options.throwOnError) {
+            Errors.throwIfFailed(rejected);
+        }
+        return { result: Trace.renderTrace(rejected), z: 0, trace: rejected };
+    }
+    const operands = Arithmetic.prepareOperands(x, y);
+    const ops = operands.ops;
+    x = operands.x;
+    y = operands.y;
+
     let k = [];
     let r = [];
-    let z = 0;
-
-    let result = `\n\nCalculating the inverse of ${x} mod ${y}...\n`;
+    const trace = Trace.createTrace('original', x, y);
+    const maxIterations = options.maxIterations ?? Infinity;
+    trace.limits = { maxIterations };
+    if (options.debug) {
+        Trace.enableDebug(trace, { bounds: 'strict' });
+    }
 
     // Checking for special cases
     const specialCase = checkSpecialCases(x, y);
     if (specialCase.isSpecialCase) {
-        result += specialCase.message;
-        return { result, z: 0 };
+        Trace.terminateSpecialCase(trace, specialCase);
+        if (options.throwOnError) {
+            Errors.throwIfFailed(trace);
+        }
+        return { result: Trace.renderTrace(trace), z: operands.toOutput(ops.zero), trace };
     }
 
+    // Negative x and x >= y run from their least residue (trace.reducedFrom keeps the x passed in)
+    x = Trace.reduceOperand(trace);
+
     // Performing do-while logic
-    if (x % y === 0) {
-        k.push(Math.floor(y / x));
+    if (Arithmetic.isZero(x % y)) {
+        k.push(ops.div(y, x));
     } else {
-        k.push(Math.floor(y / x) + 1);
+        k.push(ops.div(y, x) + ops.one);
     }
     
     r.push((x * k[0]) % y);
-    result += `Step 1: ${y} < (${x} * ${k[0]}) < (${y} + ${x}), ((${x} * ${k[0]}) % ${y}) = ${r[0]}\n`;
+    Trace.recordStep(trace, 1, x, k[0], r[0]);
 
     let n = 1;
-    while (r[n - 1] > 1) {
+    while (r[n - 1] > ops.one && n < maxIterations) {
         // Calculating if multiple comes out to 0 or a non-zero remainder
-        if (y % r[n - 1] === 0) {
-            k.push(Math.floor(y / r[n - 1]));
+        if (Arithmetic.isZero(y % r[n - 1])) {
+            k.push(ops.div(y, r[n - 1]));
         } else {
-            k.push(Math.floor(y / r[n - 1]) + 1);
+            k.push(ops.div(y, r[n - 1]) + ops.one);
         }
 
         r.push((r[n - 1] * k[n]) % y);
-        result += `Step ${n + 1}: ${y} < (${r[n - 1]} * ${k[n]}) < (${y} + ${r[n - 1]}), ((${r[n - 1]} * ${k[n]}) % ${y}) = ${r[n]}\n`;
+        Trace.recordStep(trace, n + 1, r[n - 1], k[n], r[n]);
         n++;
     }
 
-    z = 1;
-    for (const valueK of k) {
-        z *= valueK;
+    if (r[n - 1] === ops.one) {
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+    } else if (r[n - 1] > ops.one) {
+        Trace.terminate(trace, Trace.OutcomeCode.ITERATION_LIMIT, { limit: maxIterations, limitReached: 'maxIterations' });
+    } else {
+        Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: r[n - 1] });
     }
-    z = z % y;
-    result += `(k[1] * k[2] * ... * k[n]) mod y = ${z}\n`;
 
-    result += `\n\nFinal Values:\n`;
-    result += `x = ${x}\n`;
-    result += `y = ${y}\n`;
-    result += `k[] = [${k.join(', ')}]\n`;
-    result += `r[] = [${r.join(', ')}]\n`;
-    result += `z = ${z}\n`;
+    // The original port always multiplies the k values, even when the chain ended at 0
+    trace.k = k;
+    trace.r = r;
+    const accumulated = Arithmetic.accumulateProduct(k, y);
+    trace.z = accumulated.product;
+    trace.precisionAtRisk = accumulated.precisionAtRisk;
+    trace.method = 'kchain';
+    trace.valid = Arithmetic.mulMod(trace.z, x, y) === ops.one;
 
-    result += `\n\nValidation step:\n`;
-    result += `((${z} * ${x}) mod ${y}) == 1 is ${((z * x) % y) === 1}\n`;
+    // Hybrid mode: keep the failed chain for diagnostics but still return an exact inverse
+    if (options.hybrid && !trace.valid) {
+        const exact = Arithmetic.modInverse(x, y);
+        if (exact !== null) {
+            Trace.applyFallback(trace, exact);
+        }
+    }
 
-    return { result, z };
+    if (options.throwOnError) {
+        Errors.throwIfFailed(trace);
+    }
+
+    const z = trace.valid ? Arithmetic.toRepresentation(trace.z, y, options.representation) : trace.z;
+    return { result: Trace.renderTrace(trace), z: operands.toOutput(z), trace };
 }
 
 /**
  * Shows the steps of the inverse calculation
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
  * @returns {string} Detailed steps
  */
 function inverseModSteps(x, y) {
@@ -142,51 +224,63 @@ function inverseModSteps(x, y) {
 
 /**
  * Finds just the answer of the inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {number} The modular multiplicative inverse z
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
+ * @param {Object} options - Same options as inverseModFull
+ * @returns {number|bigint} The modular multiplicative inverse z
  */
-function inverseMod(x, y) {
-    const { z } = inverseModFull(x, y);
+function inverseMod(x, y, options = {}) {
+    const { z } = inverseModFull(x, y, options);
     return z;
 }
 
 /**
- * Validates if a number is a positive integer
+ * Validates if a value is a positive integer (strictly parsed, see inverseModParse.js)
  * @param {any} value - Value to check
  * @returns {boolean} True if positive integer
  */
 function isPositiveInteger(value) {
-    const num = parseInt(value);
-    return !isNaN(num) && num > 0 && Number.isInteger(num);
+    return Parse.parsePositiveInteger(value).ok;
 }
 
 /**
  * Main function to run the algorithm with input validation
- * @param {string|number} xInput - First number
- * @param {string|number} yInput - Second number
+ *
+ * String inputs are parsed strictly (inverseModParse.js): 0x/0b/0o prefixes and _ separators are
+ * accepted, anything else that is not a digit is rejected, and values past 2^53 run on BigInt.
+ * @param {string|number|bigint} xInput - Integer to invert (may be negative or at least y)
+ * @param {string|number|bigint} yInput - Positive modulus
  * @param {boolean} showSteps - Whether to show detailed steps
- * @returns {Object} - {success: boolean, result: string, z: number}
+ * @param {Object} options - Options passed to inverseModFull (hybrid, limits, throwOnError, representation)
+ * @returns {Object} - {success: boolean, result: string, z: number|bigint, outcome: Object, trace?: Object}
+ *   (outcome is trace.termination: {code, step, remainder?, ...}, see inverseModTrace.js; for INVALID_INPUT
+ *   and PRECISION_LOSS it names the operand and the parse error: {code, operand, position, reason})
+ * @throws {InverseModError} With options.throwOnError, instead of returning a failed outcome (inverseModErrors.js)
  */
-function runInverseMod(xInput, yInput, showSteps = true) {
+function runInverseMod(xInput, yInput, showSteps = true, options = {}) {
     // Input validation
-    if (!isPositiveInteger(xInput) || !isPositiveInteger(yInput)) {
+    const parsed = Parse.parseOperands(xInput, yInput);
+    if (!parsed.ok) {
+        const outcome = Parse.failureOutcome(parsed.error);
+        if (options.throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { x: xInput, y: yInput, message: parsed.error.message });
+        }
         return {
             success: false,
-            result: "Error: x and y must be positive integers",
-            z: 0
+            result: `Error: ${parsed.error.message}`,
+            z: 0,
+            outcome
         };
     }
 
-    const x = parseInt(xInput);
-    const y = parseInt(yInput);
+    const { x, y } = parsed;
 
     if (showSteps) {
-        const { result, z } = inverseModFull(x, y);
-        return { success: true, result, z };
+        const { result, z, trace } = inverseModFull(x, y, options);
+        return { success: true, result, z, trace, outcome: trace.termination };
     } else {
-        const z = inverseMod(x, y);
-        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z };
+        const { z, trace } = inverseModFull(x, y, options);
+        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z, outcome: trace.termination };
     }
 }
 
@@ -213,4 +307,6 @@ if (typeof module !== 'undefined' && module.exports) {
         runInverseMod,
         isPositiveInteger
     };
-}
\ No newline at end of file
+}
+
+})();
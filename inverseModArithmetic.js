@@ -0,0 +1,466 @@
+/**
+ * InverseMod Algorithm - Shared Number/BigInt Arithmetic
+ * Original algorithm by Cody Weber (2022)
+ *
+ * The k-chain only needs +, *, %, floor division and comparisons. Every variant runs its
+ * loop against one of the two arithmetic kits below: plain Numbers while all intermediate
+ * values stay exact, and BigInt for anything larger (e.g. 256-4096 bit moduli).
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Typed errors (Node.js: require, browser: global from an earlier <script> tag)
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+
+/**
+ * Thrown when a Number operand is too large for exact arithmetic, see inverseModErrors.js
+ * (re-exported here, where it is thrown)
+ */
+const PrecisionError = Errors.PrecisionError;
+
+/**
+ * Arithmetic kit for plain JavaScript Numbers
+ */
+const NumberArithmetic = {
+    kind: 'number',
+    zero: 0,
+    one: 1,
+    two: 2,
+    from: value => Number(value),
+    div: (a, b) => Math.floor(a / b)
+};
+
+/**
+ * Arithmetic kit for BigInt values
+ */
+const BigIntArithmetic = {
+    kind: 'bigint',
+    zero: 0n,
+    one: 1n,
+    two: 2n,
+    from: value => BigInt(typeof value === 'string' ? value.trim() : value),
+    div: (a, b) => {
+        // BigInt division truncates toward zero; adjust so it floors like Math.floor
+        const quotient = a / b;
+        return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? quotient - 1n : quotient;
+    }
+};
+
+/**
+ * Checks whether a value is a string holding a plain decimal integer
+ * @param {any} value - Value to check
+ * @returns {boolean} True for strings such as "12345"
+ */
+function isNumericString(value) {
+    return typeof value === 'string' && /^\s*-?\d+\s*$/.test(value);
+}
+
+/**
+ * Checks whether the caller asked for arbitrary precision (bigint or numeric string operands)
+ * @param {...any} values - Operands as given by the caller
+ * @returns {boolean} True if any operand is a bigint or numeric string
+ */
+function wantsBigInt(...values) {
+    return values.some(value => typeof value === 'bigint' || isNumericString(value));
+}
+
+/**
+ * Finds the first operand that is not an integer: a Number with a fraction, NaN or Infinity, a string
+ * that is not a plain decimal integer, or any other type. Integer Numbers past 2^53 pass here
+ * (findUnsafeNumber and selectArithmetic report them as a loss of precision).
+ * @param {Object} operands - Operands by name, e.g. {x, y}
+ * @returns {Object|null} {operand, reason} for the first non-integer, null when every operand is an integer
+ */
+function findNonInteger(operands) {
+    for (const [operand, value] of Object.entries(operands)) {
+        if (typeof value === 'bigint' || isNumericString(value) || Number.isInteger(value)) {
+            continue;
+        }
+        const shown = typeof value === 'string' ? `"${value}"` : String(value);
+        return { operand, reason: `${shown} is not an integer` };
+    }
+    return null;
+}
+
+/**
+ * Finds the first Number operand that is an integer past Number.MAX_SAFE_INTEGER, which has already
+ * lost precision (non-integers are findNonInteger's to report)
+ * @param {Object} operands - Operands by name, e.g. {x, y}
+ * @returns {Object|null} {operand, value, limit, reason} for the first unsafe Number, null when there is none
+ */
+function findUnsafeNumber(operands) {
+    for (const [operand, value] of Object.entries(operands)) {
+        if (Number.isInteger(value) && !Number.isSafeInteger(value)) {
+            return { operand, value, limit: Number.MAX_SAFE_INTEGER, reason: `${value} is not a safe integer; pass large values as BigInt or numeric strings` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Picks the arithmetic kit for a set of operands.
+ *
+ * Numbers that are already past Number.MAX_SAFE_INTEGER have lost precision before we ever
+ * see them, so those fail loudly. Safe Numbers are promoted to BigInt when r * k (which is
+ * below 2y) could leave the safe range.
+ * @param {...(number|bigint|string)} values - Operands
+ * @returns {Object} NumberArithmetic or BigIntArithmetic
+ * @throws {InvalidInputError} When an operand is not an integer
+ * @throws {PrecisionError} When a Number operand is past Number.MAX_SAFE_INTEGER
+ */
+function selectArithmetic(...values) {
+    const invalid = findNonInteger({ ...values });
+    if (invalid) {
+        throw new Errors.InvalidInputError(`Error: ${invalid.reason}.`, { reason: invalid.reason });
+    }
+    if (wantsBigInt(...values)) {
+        return BigIntArithmetic;
+    }
+
+    for (const value of values) {
+        if (!Number.isSafeInteger(value)) {
+            throw new PrecisionError(`${value} is not a safe integer; pass large values as BigInt or numeric strings`, { value });
+        }
+    }
+
+    const limit = Math.floor(Number.MAX_SAFE_INTEGER / 2);
+    if (values.some(value => Math.abs(value) > limit)) {
+        return BigIntArithmetic;
+    }
+    return NumberArithmetic;
+}
+
+/**
+ * Converts a pair of operands into the arithmetic kit used for a k-chain run.
+ * @param {number|bigint|string} x - First operand
+ * @param {number|bigint|string} y - Second operand
+ * @returns {Object} - {ops, x, y, toOutput} where toOutput converts results back to the caller's type
+ * @throws {InvalidInputError} When x or y is not an integer (operand names which)
+ * @throws {PrecisionError} When a Number operand is past Number.MAX_SAFE_INTEGER
+ */
+function prepareOperands(x, y) {
+    const invalid = findNonInteger({ x, y });
+    if (invalid) {
+        throw new Errors.InvalidInputError(`Error: ${invalid.reason}.`, { x, y, ...invalid });
+    }
+    const ops = selectArithmetic(x, y);
+    const returnBigInt = wantsBigInt(x, y);
+    return {
+        ops,
+        x: ops.from(x),
+        y: ops.from(y),
+        toOutput: value => (returnBigInt ? BigInt(value) : Number(value))
+    };
+}
+
+/**
+ * Checks if a Number or BigInt value is zero
+ * @param {number|bigint} value - Value to check
+ * @returns {boolean} True if zero
+ */
+function isZero(value) {
+    return typeof value === 'bigint' ? value === 0n : value === 0;
+}
+
+/**
+ * Checks if a Number or BigInt value is one
+ * @param {number|bigint} value - Value to check
+ * @returns {boolean} True if one
+ */
+function isOne(value) {
+    return typeof value === 'bigint' ? value === 1n : value === 1;
+}
+
+/**
+ * GCD for Numbers or BigInts (both operands must share a type)
+ * @param {number|bigint} a - First value
+ * @param {number|bigint} b - Second value
+ * @returns {number|bigint} Greatest common divisor
+ */
+function gcd(a, b) {
+    while (!isZero(b)) {
+        const temp = b;
+        b = a % b;
+        a = temp;
+    }
+    return a;
+}
+
+/**
+ * Extended Euclidean algorithm for Numbers or BigInts (both operands must share a type)
+ * @param {number|bigint} a - First value
+ * @param {number|bigint} b - Second value
+ * @returns {Object} - {x, y, gcd} with a*x + b*y = gcd
+ */
+function extendedGcd(a, b) {
+    const ops = typeof a === 'bigint' ? BigIntArithmetic : NumberArithmetic;
+    let [oldR, r] = [a, b];
+    let [oldS, s] = [ops.one, ops.zero];
+    let [oldT, t] = [ops.zero, ops.one];
+
+    // Iterative so that 4096-bit inputs cannot exhaust the call stack
+    while (!isZero(r)) {
+        const quotient = ops.div(oldR, r);
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+        [oldT, t] = [t, oldT - quotient * t];
+    }
+    return { x: oldS, y: oldT, gcd: oldR };
+}
+
+/**
+ * Modular inverse by the extended Euclidean algorithm, the exact method hybrid mode falls back to
+ * @param {number|bigint} a - Value to invert
+ * @param {number|bigint} m - Modulus (same type as a)
+ * @returns {number|bigint|null} Inverse in [0, m), or null when gcd(a, m) !== 1 or m = 1
+ *   (no z satisfies (z * a) mod m === 1)
+ */
+function modInverse(a, m) {
+    const { x, gcd: divisor } = extendedGcd(leastResidue(a, m), m);
+    if (!isOne(divisor) || isOne(m)) {
+        return null;
+    }
+    return leastResidue(x, m);
+}
+
+/**
+ * Least non-negative residue of a value, so negative values and values >= m map into [0, m)
+ * @param {number|bigint} value - Any integer
+ * @param {number|bigint} m - Positive modulus (same type as value)
+ * @returns {number|bigint} value mod m in [0, m)
+ */
+function leastResidue(value, m) {
+    return ((value % m) + m) % m;
+}
+
+/**
+ * Least residue of an operand as the caller gave it (Number, BigInt or numeric string), in the type of m
+ * @param {number|bigint|string} value - Any integer
+ * @param {number|bigint} m - Positive modulus
+ * @returns {number|bigint} value mod m in [0, m)
+ */
+function toResidue(value, m) {
+    if (typeof m === 'bigint') {
+        return leastResidue(BigIntArithmetic.from(value), m);
+    }
+    if (typeof value === 'number') {
+        return leastResidue(value, m);
+    }
+    return Number(leastResidue(BigIntArithmetic.from(value), BigInt(m)));
+}
+
+/**
+ * Modular division: the smallest z with (z * a) mod m = t mod m, by the extended Euclidean algorithm
+ * @param {number|bigint} t - Dividend
+ * @param {number|bigint} a - Divisor
+ * @param {number|bigint} m - Positive modulus (same type as t and a)
+ * @returns {number|bigint|null} z in [0, m / gcd(a, m)), or null when gcd(a, m) does not divide t
+ */
+function modDivide(t, a, m) {
+    const residue = leastResidue(a, m);
+    const target = leastResidue(t, m);
+    const divisor = gcd(residue, m);
+    if (!isZero(target % divisor)) {
+        return null;
+    }
+    const reduced = m / divisor;
+    if (isOne(reduced)) {
+        return target - target;
+    }
+    return mulMod(modInverse(residue / divisor, reduced), target / divisor, reduced);
+}
+
+/**
+ * Ways to write a residue mod m: 'least-positive' in [0, m), 'symmetric' in (-m/2, m/2]
+ */
+const RESIDUE_REPRESENTATIONS = ['least-positive', 'symmetric'];
+
+/**
+ * Writes a residue in the requested representation
+ * @param {number|bigint} value - Any integer
+ * @param {number|bigint} m - Positive modulus (same type as value)
+ * @param {string} [representation] - One of RESIDUE_REPRESENTATIONS (default 'least-positive')
+ * @returns {number|bigint} The residue of value, in [0, m) or (-m/2, m/2]
+ */
+function toRepresentation(value, m, representation = 'least-positive') {
+    if (!RESIDUE_REPRESENTATIONS.includes(representation)) {
+        throw new Error(`Unknown representation "${representation}"; available: ${RESIDUE_REPRESENTATIONS.join(', ')}`);
+    }
+    const residue = leastResidue(value, m);
+    return representation === 'symmetric' && residue + residue > m ? residue - m : residue;
+}
+
+/**
+ * Checks that a Number can take part in exact arithmetic
+ */
+function assertSafe(value) {
+    if (!Number.isSafeInteger(value)) {
+        throw new PrecisionError(`${value} is not a safe integer, so (a * b) mod m cannot be computed exactly on Numbers`, { value });
+    }
+}
+
+/**
+ * (a + b) mod m for Numbers in [0, m), without ever forming a value above m
+ */
+function addMod(a, b, m) {
+    return a >= m - b ? a - (m - b) : a + b;
+}
+
+/**
+ * Computes (a * b) mod m exactly.
+ *
+ * For Numbers the product is used directly while it is safe; otherwise b is applied bit by bit
+ * (double and add), with every intermediate value kept below m, so any safe modulus works
+ * without BigInt.
+ * @param {number|bigint} a - First factor
+ * @param {number|bigint} b - Second factor
+ * @param {number|bigint} m - Modulus
+ * @returns {number|bigint} Product modulo m, in the type of m
+ * @throws {PrecisionError} When a Number operand is not a safe integer
+ */
+function mulMod(a, b, m) {
+    if (typeof m === 'bigint') {
+        return (a * b) % m;
+    }
+    assertSafe(a);
+    assertSafe(b);
+    assertSafe(m);
+    const product = a * b;
+    if (Number.isSafeInteger(product)) {
+        return product % m;
+    }
+
+    // |a % m| + m could pass 2^53, so fold negative residues by hand
+    let base = Math.abs(a % m);
+    let factor = Math.abs(b % m);
+    let result = 0;
+    while (factor > 0) {
+        if (factor % 2 === 1) {
+            result = addMod(result, base, m);
+        }
+        base = addMod(base, base, m);
+        factor = Math.floor(factor / 2);
+    }
+    // |a| * |b| mod m, with the sign of a * b as % gives it
+    return product < 0 && result !== 0 ? -result : result;
+}
+
+/**
+ * Computes (values[0] * values[1] * ... * values[n-1]) mod m, reducing after every factor, and
+ * reports whether multiplying the values out first (z *= k, then z % m) would have lost
+ * precision on Numbers.
+ * @param {Array<number|bigint>} values - Factors
+ * @param {number|bigint} m - Modulus
+ * @returns {Object} {product, precisionAtRisk}: product modulo m in the type of m; precisionAtRisk is
+ *   true when the unreduced Number product passes Number.MAX_SAFE_INTEGER (always false for BigInt)
+ */
+function accumulateProduct(values, m) {
+    if (typeof m === 'bigint') {
+        let product = 1n % m;
+        for (const value of values) {
+            product = (product * value) % m;
+        }
+        return { product, precisionAtRisk: false };
+    }
+
+    let product = 1 % m;
+    let unreduced = 1;
+    for (const value of values) {
+        product = mulMod(product, value, m);
+        unreduced *= value;
+    }
+    return { product, precisionAtRisk: Math.abs(unreduced) > Number.MAX_SAFE_INTEGER };
+}
+
+/**
+ * Computes (values[0] * values[1] * ... * values[n-1]) mod m exactly (see accumulateProduct)
+ * @param {Array<number|bigint>} values - Factors
+ * @param {number|bigint} m - Modulus
+ * @returns {number|bigint} Product modulo m, in the type of m
+ */
+function productMod(values, m) {
+    return accumulateProduct(values, m).product;
+}
+
+/**
+ * Computes base^exponent mod m by square and multiply, every product reduced with mulMod
+ * @param {number|bigint} base - Base
+ * @param {number|bigint} exponent - Non-negative exponent (same type as m)
+ * @param {number|bigint} m - Positive modulus
+ * @returns {number|bigint} Power modulo m, in [0, m)
+ */
+function powMod(base, exponent, m) {
+    const ops = typeof m === 'bigint' ? BigIntArithmetic : NumberArithmetic;
+    let result = ops.one % m;
+    base = leastResidue(base, m);
+    while (exponent > ops.zero) {
+        if (exponent % ops.two === ops.one) {
+            result = mulMod(result, base, m);
+        }
+        base = mulMod(base, base, m);
+        exponent = ops.div(exponent, ops.two);
+    }
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        PrecisionError,
+        NumberArithmetic,
+        BigIntArithmetic,
+        isNumericString,
+        wantsBigInt,
+        findNonInteger,
+        findUnsafeNumber,
+        selectArithmetic,
+        prepareOperands,
+        isZero,
+        isOne,
+        gcd,
+        extendedGcd,
+        modInverse,
+        leastResidue,
+        toResidue,
+        modDivide,
+        RESIDUE_REPRESENTATIONS,
+        toRepresentation,
+        mulMod,
+        accumulateProduct,
+        productMod,
+        powMod
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModArithmetic = {
+        PrecisionError,
+        NumberArithmetic,
+        BigIntArithmetic,
+        isNumericString,
+        wantsBigInt,
+        findNonInteger,
+        findUnsafeNumber,
+        selectArithmetic,
+        prepareOperands,
+        isZero,
+        isOne,
+        gcd,
+        extendedGcd,
+        modInverse,
+        leastResidue,
+        toResidue,
+        modDivide,
+        RESIDUE_REPRESENTATIONS,
+        toRepresentation,
+        mulMod,
+        accumulateProduct,
+        productMod,
+        powMod
+    };
+}
+
+})();
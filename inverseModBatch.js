@@ -0,0 +1,277 @@
+/**
+ * InverseMod Algorithm - Batch Inversion
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Two batch shapes. inverseModBatch inverts many values modulo the same y with a single run
+ * of the algorithm (Montgomery's trick):
+ *
+ *   p[1] = x[1], p[i] = p[i-1] * x[i]           prefix products, n - 1 multiplications
+ *   q = p[n]^-1                                  one inversion, by any registered strategy
+ *   x[i]^-1 = q * p[i-1], q = q * x[i]           for i = n .. 2, 2(n - 1) multiplications
+ *   x[1]^-1 = q
+ *
+ * Every product is reduced mod y (Arithmetic.mulMod), so values stay below y. Inputs that
+ * share a factor with y would make the whole product non-invertible, so they are checked
+ * first, reported by index and left out of the product, as are inputs that are not usable
+ * integers at all.
+ *
+ * inverseModMany inverts one x modulo many moduli (e.g. for CRT tables): a modulus that appears
+ * more than once is checked and solved once, and only moduli coprime to x run a strategy.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Registry = (typeof require !== 'undefined')
+    ? require('./inverseModRegistry.js')
+    : window.InverseModRegistry;
+
+/**
+ * The first operand no arithmetic kit can take: INVALID_INPUT for a non-integer, PRECISION_LOSS
+ * (with value and limit) for a Number past 2^53; null when every operand can be used
+ * @param {Object} operands - Operands by name, e.g. {x, y}
+ * @returns {Object|null} {code, operand, reason, value?, limit?}
+ */
+function findUnusableOperand(operands) {
+    const invalid = Arithmetic.findNonInteger(operands);
+    if (invalid) {
+        return { code: Trace.OutcomeCode.INVALID_INPUT, ...invalid };
+    }
+    const unsafe = Arithmetic.findUnsafeNumber(operands);
+    if (unsafe) {
+        return { code: Trace.OutcomeCode.PRECISION_LOSS, ...unsafe };
+    }
+    return null;
+}
+
+/**
+ * Inverts every value of xs modulo y with one inversion of their product
+ * @param {Array<number|bigint|string>} xs - Values to invert (negative values and values >= y are reduced mod y)
+ * @param {number|bigint|string} y - Positive modulus
+ * @param {Object} [options] - Options passed to solve() for the single inversion: {strategy (default 'fixed'),
+ *   hybrid, limits, ...}; {representation: 'least-positive' | 'symmetric'} how the inverses are written;
+ *   {throwOnError: boolean} throw the InverseModError for an invalid modulus or a failed inversion
+ *   (non-invertible and unusable inputs are still only reported)
+ * @returns {Object} {success, inverses, failures, strategy, method, outcome, product, multiplications, trace}:
+ *   inverses[i] is the inverse of xs[i] (null when it has none or the inversion failed), failures lists the
+ *   non-invertible inputs as {index, x, code: ZERO_OPERAND | NOT_COPRIME, gcd} and the inputs that are not
+ *   usable integers as {index, x, code: INVALID_INPUT | PRECISION_LOSS, reason}, success is true when every
+ *   invertible input got its inverse, and outcome / method / trace describe the single inversion
+ *   (see inverseModRegistry.js; outcome is null when there was nothing to invert)
+ */
+function inverseModBatch(xs, y, options = {}) {
+    const { representation, ...solveOptions } = options;
+    const result = {
+        success: false,
+        inverses: xs.map(() => null),
+        failures: [],
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null,
+        product: null,
+        multiplications: 0,
+        trace: null
+    };
+    const unusableModulus = findUnusableOperand({ y });
+    if (unusableModulus) {
+        result.outcome = unusableModulus;
+        if (options.throwOnError) {
+            throw Errors.errorFromOutcome(result.outcome, { y, message: unusableModulus.reason });
+        }
+        return result;
+    }
+
+    // Inputs no arithmetic kit can take are left out, like the non-invertible ones
+    const unusable = xs.map(x => findUnusableOperand({ x }));
+    const usable = xs.filter((_, index) => !unusable[index]);
+    const ops = Arithmetic.selectArithmetic(y, ...usable);
+    const returnBigInt = Arithmetic.wantsBigInt(y, ...usable);
+    const toOutput = value => (returnBigInt ? BigInt(value) : Number(value));
+    const modulus = ops.from(y);
+    if (modulus <= ops.zero) {
+        result.outcome = { code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
+        if (options.throwOnError) {
+            throw Errors.errorFromOutcome(result.outcome, { y, message: `Error: y must be positive, got ${y}.` });
+        }
+        return result;
+    }
+
+    // Residues of the invertible inputs, and the prefix products of those residues
+    const indices = [];
+    const residues = [];
+    const prefixes = [];
+    xs.forEach((x, index) => {
+        if (unusable[index]) {
+            result.failures.push({ index, x, code: unusable[index].code, reason: unusable[index].reason });
+            return;
+        }
+        const residue = Arithmetic.leastResidue(ops.from(x), modulus);
+        const divisor = Arithmetic.gcd(residue, modulus);
+        if (!Arithmetic.isOne(divisor) || Arithmetic.isOne(modulus)) {
+            const code = Arithmetic.isZero(residue) ? Trace.OutcomeCode.ZERO_OPERAND : Trace.OutcomeCode.NOT_COPRIME;
+            result.failures.push({ index, x, code, gcd: toOutput(divisor) });
+            return;
+        }
+        indices.push(index);
+        residues.push(residue);
+        if (prefixes.length === 0) {
+            prefixes.push(residue);
+        } else {
+            prefixes.push(Arithmetic.mulMod(prefixes[prefixes.length - 1], residue, modulus));
+            result.multiplications++;
+        }
+    });
+    if (indices.length === 0) {
+        result.success = true;
+        return result;
+    }
+
+    // The one inversion
+    const product = prefixes[prefixes.length - 1];
+    result.product = toOutput(product);
+    const solved = Registry.solve(product, modulus, solveOptions);
+    Object.assign(result, { strategy: solved.strategy, method: solved.method, outcome: solved.outcome, trace: solved.trace });
+    if (!solved.success) {
+        return result;
+    }
+
+    // Walk back down: the inverse of the first i values times p[i-1] is the inverse of x[i]
+    let inverse = ops.from(solved.inverse);
+    for (let i = indices.length - 1; i > 0; i--) {
+        result.inverses[indices[i]] = Arithmetic.mulMod(inverse, prefixes[i - 1], modulus);
+        inverse = Arithmetic.mulMod(inverse, residues[i], modulus);
+        result.multiplications += 2;
+    }
+    result.inverses[indices[0]] = inverse;
+    for (const index of indices) {
+        result.inverses[index] = toOutput(Arithmetic.toRepresentation(result.inverses[index], modulus, representation));
+    }
+    result.success = true;
+    return result;
+}
+
+/**
+ * Result for an x or y that no arithmetic kit can take (a non-integer, or a Number past 2^53),
+ * or null when both can be used
+ */
+function rejectOperands(x, y) {
+    const unusable = findUnusableOperand({ x, y });
+    if (!unusable) {
+        return null;
+    }
+    const { code, operand, reason } = unusable;
+    return { success: false, inverse: null, code, method: null, operand, reason };
+}
+
+/**
+ * Result for one modulus that needs no run of a strategy, or null when it has to be solved
+ */
+function screenModulus(residue, modulus) {
+    if (Arithmetic.isZero(modulus)) {
+        // As in the variants: y = 0 (and x = 0 with it) is a zero operand
+        const operands = Arithmetic.isZero(residue) ? ['x', 'y'] : ['y'];
+        return { success: false, inverse: null, code: Trace.OutcomeCode.ZERO_OPERAND, method: null, operands };
+    }
+    if (modulus < 0) {
+        return { success: false, inverse: null, code: Trace.OutcomeCode.INVALID_INPUT, method: null, operand: 'y' };
+    }
+    const divisor = Arithmetic.gcd(residue, modulus);
+    if (Arithmetic.isOne(divisor) && !Arithmetic.isOne(modulus)) {
+        return null;
+    }
+    const code = Arithmetic.isZero(residue) ? Trace.OutcomeCode.ZERO_OPERAND : Trace.OutcomeCode.NOT_COPRIME;
+    return { success: false, inverse: null, code, method: null, gcd: divisor };
+}
+
+/**
+ * Result for one modulus of inverseModMany whose operands are integers the arithmetic can take
+ */
+function solveModulus(x, y, solveOptions, includeTraces) {
+    const operands = Arithmetic.prepareOperands(x, y);
+    const residue = operands.y > 0 ? Arithmetic.leastResidue(operands.x, operands.y) : operands.x;
+    const entry = screenModulus(residue, operands.y);
+    if (entry === null) {
+        const run = Registry.solve(operands.toOutput(residue), operands.toOutput(operands.y), solveOptions);
+        const solved = { success: run.success, inverse: run.inverse, code: run.outcome.code, method: run.method };
+        if (includeTraces) solved.trace = run.trace;
+        return solved;
+    }
+    if (entry.gcd !== undefined) {
+        entry.gcd = operands.toOutput(entry.gcd);
+    }
+    return entry;
+}
+
+/**
+ * Inverts one x modulo every modulus of ys.
+ *
+ * x is reduced mod each distinct modulus once and that residue is what the strategy runs on
+ * (so a huge x is not carried through every run); moduli that share a factor with x are
+ * answered from the gcd without running the strategy, and a modulus that appears again (same
+ * value and type) reuses the first one's result instead of running again.
+ * Each result depends only on (x, y), so a long list can be split across workers and the
+ * results concatenated in order.
+ * @param {number|bigint|string} x - Value to invert
+ * @param {Array<number|bigint|string>} ys - Moduli
+ * @param {Object} [options] - Options passed to solve() for each modulus: {strategy (default 'fixed'), hybrid,
+ *   limits, representation, ...}; {includeTraces: boolean} keep each run's trace (default false).
+ *   Failures are always reported per modulus, so throwOnError is ignored.
+ * @returns {Object} {x, success, results, failures, counts}: results[i] is {y, success, inverse, code, method, gcd?,
+ *   operand?, reason?, operands?, trace?} for ys[i] (code is an OutcomeCode: the run's termination; INVALID_INPUT
+ *   with operand for y < 0 or a non-integer x or y (and its reason); PRECISION_LOSS with operand and reason for a
+ *   Number past 2^53; ZERO_OPERAND with operands for y = 0; ZERO_OPERAND or NOT_COPRIME with gcd when x has no
+ *   inverse), failures lists {index, y, code, gcd?, operand?} for every result without an inverse, counts maps each code to the number of moduli that ended with it, and success is true when
+ *   every modulus got an inverse
+ */
+function inverseModMany(x, ys, options = {}) {
+    const { includeTraces = false, throwOnError, ...solveOptions } = options;
+    const solved = new Map();
+    const results = ys.map((y) => {
+        // 5 and 5n share a value but not an output type, so the key carries both
+        const key = `${Arithmetic.wantsBigInt(x, y) ? 'bigint' : 'number'}:${typeof y === 'string' ? y.trim() : y}`;
+        if (!solved.has(key)) {
+            solved.set(key, rejectOperands(x, y) ?? solveModulus(x, y, solveOptions, includeTraces));
+        }
+        return { y, ...solved.get(key) };
+    });
+
+    const failures = [];
+    const counts = {};
+    results.forEach((result, index) => {
+        counts[result.code] = (counts[result.code] ?? 0) + 1;
+        if (!result.success) {
+            const failure = { index, y: result.y, code: result.code };
+            if (result.gcd !== undefined) failure.gcd = result.gcd;
+            if (result.operand !== undefined) failure.operand = result.operand;
+            failures.push(failure);
+        }
+    });
+    return { x, success: failures.length === 0, results, failures, counts };
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        inverseModBatch,
+        inverseModMany
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModBatch = {
+        inverseModBatch,
+        inverseModMany
+    };
+}
+
+})();
@@ -0,0 +1,169 @@
+/**
+ * InverseMod Algorithm - Composite Moduli by Factorization and CRT
+ * Original algorithm by Cody Weber (2022)
+ *
+ * The k-chain fails far more often for composite y than for prime y. For a composite y this
+ * solver factors y = p1^e1 * ... * pn^en (inverseModFactor.js), runs the chosen strategy on
+ * x mod pi^ei for every factor, and recombines the per-factor inverses with the Chinese
+ * Remainder Theorem:
+ *
+ *   z = zi (mod pi^ei) for every i   =>   z * x = 1 (mod y)
+ *
+ * since the factors are pairwise coprime. Each factor's run (trace included) is reported, so
+ * a failure names the factor whose chain stopped short. With {lift: true} the chain for a
+ * prime power only runs mod p and is Hensel-lifted from there (inverseModPrimePower.js).
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Registry = (typeof require !== 'undefined')
+    ? require('./inverseModRegistry.js')
+    : window.InverseModRegistry;
+const Factor = (typeof require !== 'undefined')
+    ? require('./inverseModFactor.js')
+    : window.InverseModFactor;
+const PrimePower = (typeof require !== 'undefined')
+    ? require('./inverseModPrimePower.js')
+    : window.InverseModPrimePower;
+
+/**
+ * Chinese Remainder Theorem for pairwise coprime moduli
+ * @param {Array<number|bigint>} residues - residues[i] taken mod moduli[i]
+ * @param {Array<number|bigint>} moduli - Pairwise coprime positive moduli (same type as residues)
+ * @returns {Object} {residue, modulus}: the unique residue in [0, modulus) congruent to every residues[i],
+ *   modulus being the product of the moduli
+ * @throws {NotCoprimeError} When two moduli share a factor
+ */
+function crt(residues, moduli) {
+    const ops = moduli.some(m => typeof m === 'bigint') ? Arithmetic.BigIntArithmetic : Arithmetic.NumberArithmetic;
+    let residue = ops.zero;
+    let modulus = ops.one;
+    residues.forEach((value, i) => {
+        const m = ops.from(moduli[i]);
+        const inverse = Arithmetic.modInverse(modulus % m, m);
+        if (inverse === null && !Arithmetic.isOne(m)) {
+            throw new Errors.NotCoprimeError(`CRT moduli must be pairwise coprime: ${m} shares a factor with ${modulus}`,
+                { x: modulus, y: m, gcd: Arithmetic.gcd(modulus, m) });
+        }
+        // residue + modulus * t with t = (value - residue) / modulus mod m
+        const t = Arithmetic.isOne(m) ? ops.zero : Arithmetic.mulMod(Arithmetic.leastResidue(ops.from(value) - residue, m), inverse, m);
+        residue += modulus * t;
+        modulus *= m;
+    });
+    return { residue, modulus };
+}
+
+/**
+ * Finds the modular inverse of x mod y by inverting x modulo each prime-power factor of y
+ * @param {number|bigint|string} x - Value to invert (any integer, reduced mod y)
+ * @param {number|bigint|string} y - Positive modulus
+ * @param {Object} [options] - Options passed to solve() for every factor: {strategy (default 'fixed'), hybrid,
+ *   limits, ...}; {representation} how the inverse is written; {factorization: {trialLimit, maxRhoIterations}}
+ *   see factorize(); {lift: boolean} run the chain mod p and Hensel-lift it for factors p^e with e > 1;
+ *   {throwOnError: boolean} throw the InverseModError instead of returning a failure
+ * @returns {Object} {success, inverse, strategy, method, outcome, factors}: factors lists one
+ *   {factor, exponent, prime, modulus, residue, inverse, success, method, outcome, steps, trace, lifts?} per prime
+ *   power (residue is x mod modulus; for a lifted factor, trace, steps and outcome are those of the chain mod p
+ *   and lifts lists the lifting steps, see inverseModPrimePower()); method is 'kchain' when every factor's chain
+ *   reached 1 and 'fallback' when hybrid mode answered any of them; outcome is REACHED_ONE, a rejection
+ *   (INVALID_INPUT, ZERO_OPERAND, NOT_COPRIME with gcd) or the outcome of the first factor that did not reach 1,
+ *   with its modulus
+ * @throws {InverseModError} With options.throwOnError, when no inverse was produced
+ */
+function inverseModComposite(x, y, options = {}) {
+    const { representation, factorization, lift = false, throwOnError, ...solveOptions } = options;
+    const operands = Arithmetic.prepareOperands(x, y);
+    const { ops, toOutput } = operands;
+    const result = {
+        success: false,
+        inverse: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null,
+        factors: []
+    };
+    const fail = (outcome, message) => {
+        result.outcome = outcome;
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { x, y, message });
+        }
+        return result;
+    };
+
+    if (operands.y <= ops.zero) {
+        return fail({ code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' }, `Error: y must be positive, got ${y}.`);
+    }
+    const residue = Arithmetic.leastResidue(operands.x, operands.y);
+    const divisor = Arithmetic.gcd(residue, operands.y);
+    if (Arithmetic.isZero(residue) || Arithmetic.isOne(operands.y)) {
+        return fail({ code: Trace.OutcomeCode.ZERO_OPERAND, operands: ['x'] });
+    }
+    if (!Arithmetic.isOne(divisor)) {
+        return fail({ code: Trace.OutcomeCode.NOT_COPRIME, gcd: toOutput(divisor) });
+    }
+
+    for (const { factor, exponent, prime } of Factor.factorize(operands.y, factorization)) {
+        const modulus = ops.from(factor) ** ops.from(exponent);
+        const factorResidue = residue % modulus;
+        const lifted = lift && prime && exponent > 1;
+        const run = lifted
+            ? PrimePower.inverseModPrimePower(toOutput(factorResidue), toOutput(factor), exponent, solveOptions)
+            : Registry.solve(toOutput(factorResidue), toOutput(modulus), solveOptions);
+        const chain = lifted ? run.trace.base : run.trace;
+        const entry = {
+            factor: toOutput(factor),
+            exponent,
+            prime,
+            modulus: toOutput(modulus),
+            residue: toOutput(factorResidue),
+            inverse: run.inverse,
+            success: run.success,
+            method: run.method,
+            outcome: run.outcome,
+            steps: chain ? Trace.countSteps(chain) : 0,
+            trace: chain
+        };
+        if (lifted) entry.lifts = run.trace.lifts;
+        result.factors.push(entry);
+    }
+
+    const stopped = result.factors.find(entry => entry.outcome.code !== Trace.OutcomeCode.REACHED_ONE);
+    result.outcome = stopped ? { ...stopped.outcome, modulus: stopped.modulus } : { code: Trace.OutcomeCode.REACHED_ONE };
+    if (result.factors.some(entry => !entry.success)) {
+        return fail(result.outcome, `No inverse found for ${x} mod ${y}: the chain mod ${stopped.modulus} stopped with ${stopped.outcome.code}`);
+    }
+
+    const { residue: inverse } = crt(result.factors.map(entry => ops.from(entry.inverse)), result.factors.map(entry => ops.from(entry.modulus)));
+    result.inverse = toOutput(Arithmetic.toRepresentation(inverse, operands.y, representation));
+    result.method = result.factors.every(entry => entry.method === 'kchain') ? 'kchain' : 'fallback';
+    result.success = true;
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        crt,
+        inverseModComposite
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModComposite = {
+        crt,
+        inverseModComposite
+    };
+}
+
+})();
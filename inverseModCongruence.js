@@ -0,0 +1,230 @@
+/**
+ * InverseMod Algorithm - Linear Congruences and Congruence Systems
+ * Original algorithm by Cody Weber (2022)
+ *
+ * An inverse exists only when gcd(a, m) = 1, but a * z = b (mod m) is still solvable whenever
+ * d = gcd(a, m) divides b. Dividing through by d leaves a coprime equation:
+ *
+ *   (a/d) * z = b/d (mod m/d)   =>   z = (a/d)^-1 * (b/d) (mod m/d)
+ *
+ * whose inverse comes from the chosen strategy, and the d solutions mod m are that residue
+ * plus multiples of m/d. When d does not divide b there is no solution.
+ *
+ * A system of congruences (generalized CRT, moduli need not be coprime) is solved one
+ * congruence at a time: z = r (mod n) and z = r' (mod n') join through the linear
+ * congruence n * t = r' - r (mod n'), giving z = r + n * t (mod lcm(n, n')).
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Registry = (typeof require !== 'undefined')
+    ? require('./inverseModRegistry.js')
+    : window.InverseModRegistry;
+
+const big = Arithmetic.BigIntArithmetic.from;
+
+/**
+ * Converter back to the caller's type: BigInt when any operand was a BigInt or numeric
+ * string, otherwise Number (failing loudly past Number.MAX_SAFE_INTEGER)
+ */
+function outputConverter(...values) {
+    Arithmetic.selectArithmetic(...values);
+    if (Arithmetic.wantsBigInt(...values)) {
+        return value => value;
+    }
+    return (value) => {
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Errors.PrecisionError(`${value} is not a safe integer; pass the operands as BigInt`, { value: Number(value) });
+        }
+        return Number(value);
+    };
+}
+
+/**
+ * Solves a * z = b (mod m) on BigInts, with the caller's converter for solve() operands
+ */
+function solveLinear(a, b, m, toOutput, solveOptions) {
+    const A = Arithmetic.leastResidue(a, m);
+    const B = Arithmetic.leastResidue(b, m);
+    const d = Arithmetic.gcd(A, m);
+    if (B % d !== 0n) {
+        return { solvable: false, d };
+    }
+    const reduced = m / d;
+    if (reduced === 1n) {
+        return { solvable: true, d, residue: 0n, modulus: reduced, run: null };
+    }
+    const run = Registry.solve(toOutput(A / d), toOutput(reduced), solveOptions);
+    if (!run.success) {
+        return { solvable: null, d, run };
+    }
+    const residue = Arithmetic.leastResidue(big(run.inverse) * (B / d), reduced);
+    return { solvable: true, d, residue, modulus: reduced, run };
+}
+
+/**
+ * Solves the linear congruence a * z = b (mod m)
+ * @param {number|bigint|string} a - Coefficient (any integer)
+ * @param {number|bigint|string} b - Right-hand side (any integer)
+ * @param {number|bigint|string} m - Positive modulus
+ * @param {Object} [options] - Options passed to solve() for the inverse of a/d mod m/d: {strategy (default
+ *   'fixed'), hybrid, limits, ...}; {maxSolutions: list the solutions only when there are at most this many
+ *   (default 1000)}; {throwOnError: boolean} throw the InverseModError when the inverse run fails
+ * @returns {Object} {success, solvable, gcd, residue, modulus, count, solutions, strategy, method, outcome}:
+ *   solvable is true with z = residue (mod modulus), i.e. the count = gcd solutions residue + i * modulus mod m
+ *   (listed in solutions, or null past maxSolutions), false when gcd(a, m) does not divide b (no solution;
+ *   outcome NOT_COPRIME with gcd), or null when the inverse run failed (success false, outcome of the run);
+ *   method / outcome describe the inverse run (null when m/d = 1 and no inverse was needed)
+ * @throws {InverseModError} With options.throwOnError, for an invalid modulus or a failed inverse run
+ * @throws {PrecisionError} When Number operands give values past Number.MAX_SAFE_INTEGER
+ */
+function solveLinearCongruence(a, b, m, options = {}) {
+    const { maxSolutions = 1000, throwOnError, ...solveOptions } = options;
+    const toOutput = outputConverter(a, b, m);
+    const modulus = big(m);
+    const result = {
+        success: false,
+        solvable: null,
+        gcd: null,
+        residue: null,
+        modulus: null,
+        count: null,
+        solutions: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null
+    };
+    if (modulus <= 0n) {
+        result.outcome = { code: Trace.OutcomeCode.INVALID_INPUT, operand: 'm' };
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(result.outcome, { x: a, y: m, message: `Error: m must be positive, got ${m}.` });
+        }
+        return result;
+    }
+
+    const solved = solveLinear(big(a), big(b), modulus, toOutput, solveOptions);
+    result.gcd = toOutput(solved.d);
+    if (solved.run) {
+        Object.assign(result, { method: solved.run.method, outcome: solved.run.outcome });
+    }
+    if (solved.solvable === null) {
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(result.outcome, { x: a, y: m, trace: solved.run.trace });
+        }
+        return result;
+    }
+
+    result.success = true;
+    result.solvable = solved.solvable;
+    if (!solved.solvable) {
+        Object.assign(result, { count: 0, solutions: [], outcome: { code: Trace.OutcomeCode.NOT_COPRIME, gcd: result.gcd } });
+        return result;
+    }
+    Object.assign(result, { residue: toOutput(solved.residue), modulus: toOutput(solved.modulus), count: toOutput(solved.d) });
+    if (solved.d <= BigInt(maxSolutions)) {
+        result.solutions = Array.from({ length: Number(solved.d) }, (_, i) => toOutput(solved.residue + BigInt(i) * solved.modulus));
+    }
+    return result;
+}
+
+/**
+ * Solves a system of linear congruences a[i] * z = b[i] (mod m[i]) (generalized CRT: the moduli need not be
+ * pairwise coprime)
+ * @param {Array<Object>} congruences - [{a (default 1), b, m}]
+ * @param {Object} [options] - Options passed to solve() for every inverse: {strategy (default 'fixed'), hybrid,
+ *   limits, ...}; {throwOnError: boolean} throw the InverseModError for an invalid modulus or a failed inverse run
+ * @returns {Object} {success, solvable, residue, modulus, conflict, strategy, method, outcome}: solvable is true
+ *   with every solution z = residue (mod modulus), modulus being the lcm of the reduced moduli; false with
+ *   conflict {index, gcd, reason}, reason 'unsolvable' when congruence index has no solution by itself and
+ *   'inconsistent' when it contradicts the ones before it; null when an inverse run failed (success false,
+ *   outcome of that run with the index of its congruence). method is 'kchain' when every inverse came from a
+ *   chain, 'fallback' when hybrid mode answered any of them, null when no inverse was needed
+ * @throws {InverseModError} With options.throwOnError, for an invalid modulus or a failed inverse run
+ * @throws {PrecisionError} When Number operands give values past Number.MAX_SAFE_INTEGER
+ */
+function solveCongruences(congruences, options = {}) {
+    const { throwOnError, ...solveOptions } = options;
+    const toOutput = outputConverter(...congruences.flatMap(({ a = 1, b, m }) => [a, b, m]));
+    const result = {
+        success: false,
+        solvable: null,
+        residue: null,
+        modulus: null,
+        conflict: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null
+    };
+    const fail = (outcome, index, trace) => {
+        result.outcome = { ...outcome, index };
+        if (throwOnError) {
+            const { m } = congruences[index];
+            throw Errors.errorFromOutcome(result.outcome, { y: m, trace, message: outcome.code === Trace.OutcomeCode.INVALID_INPUT
+                ? `Error: m must be positive, got ${m} (congruence ${index}).` : undefined });
+        }
+        return result;
+    };
+    const conflict = (index, d, reason) => {
+        Object.assign(result, { success: true, solvable: false, conflict: { index, gcd: toOutput(d), reason } });
+        return result;
+    };
+
+    let residue = 0n;
+    let modulus = 1n;
+    const methods = [];
+    for (const [index, { a = 1, b, m }] of congruences.entries()) {
+        const own = big(m);
+        if (own <= 0n) {
+            return fail({ code: Trace.OutcomeCode.INVALID_INPUT, operand: 'm' }, index);
+        }
+        const single = solveLinear(big(a), big(b), own, toOutput, solveOptions);
+        if (single.run) methods.push(single.run.method);
+        if (single.solvable === null) return fail(single.run.outcome, index, single.run.trace);
+        if (!single.solvable) return conflict(index, single.d, 'unsolvable');
+
+        // z = residue + modulus * t, with modulus * t = single.residue - residue (mod single.modulus)
+        const join = solveLinear(modulus, single.residue - residue, single.modulus, toOutput, solveOptions);
+        if (join.run) methods.push(join.run.method);
+        if (join.solvable === null) return fail(join.run.outcome, index, join.run.trace);
+        if (!join.solvable) return conflict(index, join.d, 'inconsistent');
+        residue += modulus * join.residue;
+        modulus *= join.modulus;
+    }
+
+    Object.assign(result, {
+        success: true,
+        solvable: true,
+        residue: toOutput(residue),
+        modulus: toOutput(modulus),
+        method: methods.length === 0 ? null : (methods.every(method => method === 'kchain') ? 'kchain' : 'fallback')
+    });
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        solveLinearCongruence,
+        solveCongruences
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModCongruence = {
+        solveLinearCongruence,
+        solveCongruences
+    };
+}
+
+})();
@@ -0,0 +1,173 @@
+/**
+ * InverseMod Algorithm - Typed Errors
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Every public entry point can report a failure in two ways:
+ *
+ * - result objects (the default): success: false and an outcome whose code is one of the
+ *   OutcomeCode identifiers in inverseModTrace.js
+ * - throwing mode ({throwOnError: true}): an InverseModError whose code is the same identifier
+ *
+ *   InverseModError        code, x, y
+ *   ├─ InvalidInputError   INVALID_INPUT, ZERO_OPERAND       operand, position, reason, operands
+ *   ├─ NotCoprimeError     NOT_COPRIME                       gcd
+ *   ├─ NoConvergenceError  any code of a chain or search that stopped short of remainder 1
+ *   │                      (ZERO_REMAINDER, CYCLE, ITERATION_LIMIT, ...)  step, remainder, limitReached, trace
+ *   └─ PrecisionError      PRECISION_LOSS                    value, limit
+ *
+ * so a caller can branch on instanceof or on code without reading the message. PrecisionError
+ * used to be a RangeError; it is now an InverseModError only, so catch it by class or by code.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+/**
+ * Base class of every error the algorithm throws on purpose
+ */
+class InverseModError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {code: OutcomeCode identifier, x?, y?: the operands of the call}
+     */
+    constructor(message, { code, x, y } = {}) {
+        super(message);
+        this.name = 'InverseModError';
+        this.code = code;
+        this.x = x;
+        this.y = y;
+    }
+}
+
+/**
+ * The operands are not positive integers (INVALID_INPUT) or one of them is zero (ZERO_OPERAND)
+ */
+class InvalidInputError extends InverseModError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {code (default INVALID_INPUT), x, y, operand, position, reason} for parse
+     *   failures (see inverseModParse.js), {operands} for ZERO_OPERAND
+     */
+    constructor(message, { code = 'INVALID_INPUT', x, y, operand, position, reason, operands } = {}) {
+        super(message, { code, x, y });
+        this.name = 'InvalidInputError';
+        this.operand = operand;
+        this.position = position;
+        this.reason = reason;
+        this.operands = operands;
+    }
+}
+
+/**
+ * gcd(x, y) > 1, so no inverse exists
+ */
+class NotCoprimeError extends InverseModError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {x, y, gcd}
+     */
+    constructor(message, { x, y, gcd } = {}) {
+        super(message, { code: 'NOT_COPRIME', x, y });
+        this.name = 'NotCoprimeError';
+        this.gcd = gcd;
+    }
+}
+
+/**
+ * The inverse exists but the k-chain (or search) stopped before reaching remainder 1
+ */
+class NoConvergenceError extends InverseModError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {code: the termination code, x, y, step, remainder, limitReached, trace}
+     */
+    constructor(message, { code, x, y, step, remainder, limitReached, trace } = {}) {
+        super(message, { code, x, y });
+        this.name = 'NoConvergenceError';
+        this.step = step;
+        this.remainder = remainder;
+        this.limitReached = limitReached;
+        this.trace = trace;
+    }
+}
+
+/**
+ * A Number operand is too large for exact arithmetic (above Number.MAX_SAFE_INTEGER)
+ */
+class PrecisionError extends InverseModError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {x, y, value: the offending operand, limit: largest value handled exactly}
+     */
+    constructor(message, { x, y, value, limit = Number.MAX_SAFE_INTEGER } = {}) {
+        super(message, { code: 'PRECISION_LOSS', x, y });
+        this.name = 'PrecisionError';
+        this.value = value;
+        this.limit = limit;
+    }
+}
+
+/**
+ * Builds the error for a failed run from its outcome
+ * @param {Object} outcome - trace.termination, or the outcome of runInverseMod / solve / computeModularInverse
+ * @param {Object} [context] - {x, y, trace, message}; message defaults to one built from the outcome
+ * @returns {InverseModError} The error matching outcome.code
+ */
+function errorFromOutcome(outcome, { x, y, trace, message } = {}) {
+    const { code } = outcome;
+    switch (code) {
+        case 'INVALID_INPUT':
+        case 'ZERO_OPERAND':
+            return new InvalidInputError(message ?? outcome.message ?? `Invalid input ${x} mod ${y} (${code})`,
+                { code, x, y, operand: outcome.operand, position: outcome.position, reason: outcome.reason, operands: outcome.operands });
+        case 'NOT_COPRIME':
+            return new NotCoprimeError(message ?? `${x} and ${y} are not coprime (GCD = ${outcome.gcd}), no inverse exists`,
+                { x, y, gcd: outcome.gcd });
+        case 'PRECISION_LOSS':
+            return new PrecisionError(message ?? outcome.message ?? `${outcome.value} is not a safe integer`, { x, y, value: outcome.value, limit: outcome.limit });
+        default:
+            return new NoConvergenceError(message ?? `No inverse found for ${x} mod ${y}: stopped with ${code} at step ${outcome.step}`,
+                { code, x, y, step: outcome.step, remainder: outcome.remainder, limitReached: outcome.limitReached, trace });
+    }
+}
+
+/**
+ * Throwing mode: throws the error for a run whose trace holds no valid inverse
+ * (a hybrid-mode fallback counts as valid)
+ * @param {Object} trace - Trace returned by inverseModFull (see inverseModTrace.js)
+ * @returns {Object} The trace, when it is valid
+ * @throws {InverseModError} Built by errorFromOutcome from trace.termination
+ */
+function throwIfFailed(trace) {
+    if (!trace.valid) {
+        throw errorFromOutcome(trace.termination, { x: trace.x, y: trace.y, trace });
+    }
+    return trace;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        InverseModError,
+        InvalidInputError,
+        NotCoprimeError,
+        NoConvergenceError,
+        PrecisionError,
+        errorFromOutcome,
+        throwIfFailed
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModErrors = {
+        InverseModError,
+        InvalidInputError,
+        NotCoprimeError,
+        NoConvergenceError,
+        PrecisionError,
+        errorFromOutcome,
+        throwIfFailed
+    };
+}
+
+})();
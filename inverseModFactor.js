@@ -0,0 +1,338 @@
+/**
+ * InverseMod Algorithm - Integer Factorization
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Splits a modulus into prime powers for the composite-modulus solver (inverseModComposite.js):
+ *
+ * - trial division by 2 and the odd numbers up to trialLimit
+ * - Pollard's rho (Brent's cycle detection, gcds batched over 128 steps) for what is left,
+ *   with a Miller-Rabin test deciding when a part is prime (isPrime() adds a strong Lucas test
+ *   above the range where Miller-Rabin is exact; the Fermat strategy and 'auto' use it, see
+ *   inverseModFermat.js)
+ *
+ * The search runs on BigInt whatever the input type, so Number moduli near 2^53 square
+ * exactly. A part that rho cannot split within its iteration budget is reported with
+ * prime: false rather than failing the whole factorization.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+
+// Miller-Rabin with these bases is exact below 3.3 * 10^24 (isPrime adds a strong Lucas test above)
+const WITNESSES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+
+// Smallest odd composite that is a strong pseudoprime to every one of WITNESSES
+const DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+
+// Steps between gcds in Pollard's rho
+const RHO_BATCH = 128;
+
+/**
+ * Checks n against the small primes of WITNESSES
+ * @returns {boolean|null} Whether n is prime, or null when n has no factor among them
+ */
+function screenSmallPrimes(n) {
+    if (n < 2n) return false;
+    for (const p of WITNESSES) {
+        if (n % p === 0n) return n === p;
+    }
+    return null;
+}
+
+/**
+ * Miller-Rabin rounds for an odd n > 41, one per base
+ * @param {bigint} n - Value to test
+ * @param {Iterable<bigint>} bases - Bases below n - 1
+ * @returns {boolean} False when one of the bases proves n composite
+ */
+function isStrongProbablePrime(n, bases) {
+    // n - 1 = d * 2^s with d odd
+    let d = n - 1n;
+    let s = 0;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+    for (const a of bases) {
+        let v = Arithmetic.powMod(a, d, n);
+        if (v === 1n || v === n - 1n) continue;
+        let witness = true;
+        for (let i = 1; i < s && witness; i++) {
+            v = (v * v) % n;
+            if (v === n - 1n) witness = false;
+        }
+        if (witness) return false;
+    }
+    return true;
+}
+
+/**
+ * Floor of the square root of a non-negative BigInt (Newton's iteration)
+ */
+function isqrt(n) {
+    if (n < 2n) return n;
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    while (true) {
+        const next = (x + n / x) / 2n;
+        if (next >= x) return x;
+        x = next;
+    }
+}
+
+/**
+ * Jacobi symbol (a / n) for an odd n > 0
+ * @returns {number} -1, 0 or 1
+ */
+function jacobi(a, n) {
+    a = Arithmetic.leastResidue(a, n);
+    let result = 1;
+    while (a !== 0n) {
+        while (a % 2n === 0n) {
+            a /= 2n;
+            if (n % 8n === 3n || n % 8n === 5n) result = -result;
+        }
+        [a, n] = [n, a];
+        if (a % 4n === 3n && n % 4n === 3n) result = -result;
+        a %= n;
+    }
+    return n === 1n ? result : 0;
+}
+
+/**
+ * Strong Lucas probable-prime test with Selfridge's parameters: the first D of 5, -7, 9, -11, ...
+ * with (D / n) = -1, P = 1, Q = (1 - D) / 4
+ * @param {bigint} n - Odd value above 41 with no factor among WITNESSES
+ * @returns {boolean} False when n is proven composite
+ */
+function isStrongLucasProbablePrime(n) {
+    // No D with (D / n) = -1 exists for a square
+    const root = isqrt(n);
+    if (root * root === n) return false;
+    let D = 5n;
+    for (;;) {
+        const symbol = jacobi(D, n);
+        if (symbol === -1) break;
+        if (symbol === 0 && (D < 0n ? -D : D) !== n) return false;
+        D = D > 0n ? -(D + 2n) : -D + 2n;
+    }
+    const Q = (1n - D) / 4n;
+    const mod = value => Arithmetic.leastResidue(value, n);
+    const half = value => (value % 2n === 0n ? value : value + n) / 2n;
+
+    // n + 1 = d * 2^s with d odd
+    let d = n + 1n;
+    let s = 0;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+
+    // U_d, V_d and Q^d by the binary method, from U_1 = 1, V_1 = P = 1
+    let U = 1n;
+    let V = 1n;
+    let Qk = mod(Q);
+    const bits = d.toString(2);
+    for (let i = 1; i < bits.length; i++) {
+        U = (U * V) % n;
+        V = mod(V * V - 2n * Qk);
+        Qk = (Qk * Qk) % n;
+        if (bits[i] === '1') {
+            [U, V] = [half(mod(U + V)), half(mod(D * U + V))];
+            Qk = mod(Qk * Q);
+        }
+    }
+    if (U === 0n || V === 0n) return true;
+    for (let r = 1; r < s; r++) {
+        V = mod(V * V - 2n * Qk);
+        Qk = (Qk * Qk) % n;
+        if (V === 0n) return true;
+    }
+    return false;
+}
+
+/**
+ * Miller-Rabin primality test
+ * @param {number|bigint|string} n - Value to test
+ * @returns {boolean} True when n is prime (deterministic below 3.3 * 10^24, probable prime above)
+ */
+function isProbablePrime(n) {
+    n = Arithmetic.BigIntArithmetic.from(n);
+    return screenSmallPrimes(n) ?? isStrongProbablePrime(n, WITNESSES);
+}
+
+/**
+ * Primality test: exact below 3.3 * 10^24, where the bases of isProbablePrime are. Above, it is
+ * probabilistic: those bases plus a strong Lucas test, i.e. Baillie-PSW, which has no known
+ * counterexample (it rejects the strong pseudoprimes isProbablePrime accepts) and costs about as much
+ * as a few more Miller-Rabin rounds.
+ * @param {number|bigint|string} n - Value to test
+ * @returns {boolean} True when n is prime (below 3.3 * 10^24), or a Baillie-PSW probable prime (above)
+ */
+function isPrime(n) {
+    n = Arithmetic.BigIntArithmetic.from(n);
+    const screened = screenSmallPrimes(n);
+    if (screened !== null) return screened;
+    if (!isStrongProbablePrime(n, WITNESSES)) return false;
+    return n < DETERMINISTIC_LIMIT || isStrongLucasProbablePrime(n);
+}
+
+/**
+ * Pollard's rho with Brent's cycle detection on f(v) = v^2 + c
+ * @returns {Object} {divisor: a proper divisor of n or null, iterations}
+ */
+function rhoDivisor(n, c, budget) {
+    const f = v => (v * v + c) % n;
+    const distance = (a, b) => (a > b ? a - b : b - a);
+    let y = 2n;
+    let x = y;
+    let saved = y;
+    let q = 1n;
+    let g = 1n;
+    let iterations = 0;
+    for (let r = 1; g === 1n; r *= 2) {
+        x = y;
+        for (let i = 0; i < r; i++) y = f(y);
+        iterations += r;
+        for (let k = 0; k < r && g === 1n; k += RHO_BATCH) {
+            saved = y;
+            const steps = Math.min(RHO_BATCH, r - k);
+            for (let i = 0; i < steps; i++) {
+                y = f(y);
+                q = (q * distance(x, y)) % n;
+            }
+            iterations += steps;
+            g = Arithmetic.gcd(q, n);
+        }
+        if (g === 1n && iterations >= budget) return { divisor: null, iterations };
+    }
+
+    // The batch overshot (q hit 0 mod n): replay it one step at a time
+    if (g === n) {
+        do {
+            saved = f(saved);
+            g = Arithmetic.gcd(distance(x, saved), n);
+        } while (g === 1n);
+    }
+    return { divisor: g === n ? null : g, iterations };
+}
+
+/**
+ * Finds a proper divisor of a composite n, trying further constants c when a cycle closes
+ * without one
+ * @returns {bigint|null} Divisor, or null when the iteration budget ran out
+ */
+function pollardRho(n, budget) {
+    if (n % 2n === 0n) return 2n;
+    for (let c = 1n; budget > 0; c++) {
+        const { divisor, iterations } = rhoDivisor(n, c, budget);
+        if (divisor !== null) return divisor;
+        budget -= iterations;
+    }
+    return null;
+}
+
+/**
+ * A part that rho gave up on can share a prime with a part split elsewhere (n = p^2 q r split as
+ * pq * pr): replaces one such pair's larger member by the gcd and its cofactor
+ * @returns {boolean} True when a part was sent back to pending
+ */
+function splitShared(found, pending) {
+    for (const a of found.values()) {
+        if (a.prime) continue;
+        for (const b of found.values()) {
+            const g = a === b ? 1n : Arithmetic.gcd(a.factor, b.factor);
+            if (g === 1n) continue;
+            const target = g === a.factor ? b : a;
+            found.delete(target.factor);
+            for (let i = 0; i < target.exponent; i++) pending.push(g, target.factor / g);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Factors a positive integer into prime powers
+ * @param {number|bigint|string} n - Positive integer
+ * @param {Object} [options] - {trialLimit: largest trial divisor (default 1000),
+ *   maxRhoIterations: Pollard rho steps allowed per part before giving up on it (default 1000000)}
+ * @returns {Array<Object>} [{factor, exponent, prime}] in increasing order of factor, with n equal to the
+ *   product of factor^exponent; factor has the type of n (BigInt for numeric strings), and prime is false
+ *   only for a composite part that rho could not split within maxRhoIterations
+ * @throws {InvalidInputError} When n is not a positive integer
+ * @throws {PrecisionError} When n is an unsafe Number
+ */
+function factorize(n, options = {}) {
+    const { trialLimit = 1000, maxRhoIterations = 1000000 } = options;
+    Arithmetic.selectArithmetic(n);
+    let rest = Arithmetic.BigIntArithmetic.from(n);
+    if (rest < 1n) {
+        throw new Errors.InvalidInputError(`Error: can only factor positive integers, got ${n}.`, { reason: 'not positive' });
+    }
+    const toOutput = Arithmetic.wantsBigInt(n) ? value => value : value => Number(value);
+
+    const found = new Map();
+    const record = (factor, prime) => {
+        const entry = found.get(factor) || { factor, exponent: 0, prime };
+        entry.exponent++;
+        found.set(factor, entry);
+    };
+
+    const limit = BigInt(trialLimit);
+    for (let p = 2n; p <= limit && p * p <= rest; p += (p === 2n ? 1n : 2n)) {
+        while (rest % p === 0n) {
+            rest /= p;
+            record(p, true);
+        }
+    }
+
+    const pending = rest > 1n ? [rest] : [];
+    do {
+        while (pending.length > 0) {
+            const part = pending.pop();
+            if (found.has(part)) {
+                record(part, found.get(part).prime);
+            } else if (isProbablePrime(part)) {
+                record(part, true);
+            } else {
+                const divisor = pollardRho(part, maxRhoIterations);
+                if (divisor === null) {
+                    record(part, false);
+                } else {
+                    pending.push(divisor, part / divisor);
+                }
+            }
+        }
+    } while (splitShared(found, pending));
+
+    return Array.from(found.values())
+        .sort((a, b) => (a.factor < b.factor ? -1 : 1))
+        .map(({ factor, exponent, prime }) => ({ factor: toOutput(factor), exponent, prime }));
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        isProbablePrime,
+        isPrime,
+        factorize
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModFactor = {
+        isProbablePrime,
+        isPrime,
+        factorize
+    };
+}
+
+})();
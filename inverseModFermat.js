@@ -0,0 +1,163 @@
+/**
+ * InverseMod Algorithm - Fermat's Little Theorem
+ * Original algorithm by Cody Weber (2022)
+ *
+ * For a prime y and x not divisible by y, x^(y-1) = 1 (mod y), so
+ *
+ *   z = x^(y-2) mod y
+ *
+ * is the inverse. It is computed by left-to-right square-and-multiply: one squaring per bit of
+ * y - 2 and one multiplication per set bit, each recorded as a 'power' entry in the trace.
+ * There is no k-chain, so the run never stops short; composite y is rejected up front
+ * (INVALID_INPUT, reason 'not prime') after the coprimality check, since x^(y-2) is not the
+ * inverse there. The 'auto' strategy (inverseModRegistry.js) sends prime y here and every
+ * other y to a k-chain variant.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Factor = (typeof require !== 'undefined')
+    ? require('./inverseModFactor.js')
+    : window.InverseModFactor;
+
+/**
+ * Checks for inputs without an inverse, then for a modulus the theorem does not apply to
+ * @param {number|bigint} x - Integer to invert (negative or >= y is fine)
+ * @param {number|bigint} y - Modulus, must be a positive prime
+ * @param {boolean} assumePrime - Skip the primality check (the caller already tested y)
+ * @returns {Object} - {isSpecialCase: boolean, message: string, code?: string, gcd?, operands?: string[], operand?: string,
+ *   reason?: string}
+ */
+function checkSpecialCases(x, y, assumePrime = false) {
+    if (Arithmetic.isZero(x) || Arithmetic.isZero(y)) {
+        const operands = ['x', 'y'].filter((_, i) => Arithmetic.isZero([x, y][i]));
+        return {
+            isSpecialCase: true,
+            message: operands.map(name => `Error: ${name} cannot be zero.`).join(''),
+            code: Trace.OutcomeCode.ZERO_OPERAND,
+            operands
+        };
+    }
+    if (y < 0) {
+        return { isSpecialCase: true, message: `Error: y must be positive, got ${y}.`, code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
+    }
+    const divisor = Arithmetic.gcd(Arithmetic.leastResidue(x, y), y);
+    if (!Arithmetic.isOne(divisor)) {
+        return {
+            isSpecialCase: true,
+            message: `${x} and ${y} are not coprime (GCD = ${divisor}), no inverse exists`,
+            code: Trace.OutcomeCode.NOT_COPRIME,
+            gcd: divisor
+        };
+    }
+    if (!assumePrime && !Factor.isPrime(y)) {
+        return {
+            isSpecialCase: true,
+            message: `Error: ${y} is not prime; Fermat's little theorem only inverts modulo a prime.`,
+            code: Trace.OutcomeCode.INVALID_INPUT,
+            operand: 'y',
+            reason: 'not prime'
+        };
+    }
+    return { isSpecialCase: false, message: '' };
+}
+
+/**
+ * Computes x^(y-2) mod y for a prime y, recording one 'power' entry per bit of the exponent
+ * (from the most significant): {type: 'power', index, bit, exponent, value}, value being
+ * x^exponent mod y for the bits read so far
+ * @param {number|bigint|string} x - Integer to invert; negative x and x >= y are reduced mod y first
+ * @param {number|bigint|string} y - Prime modulus
+ * @param {Object} options - {throwOnError: boolean} throw the InverseModError for rejected input
+ *   (inverseModErrors.js); {representation: 'least-positive' | 'symmetric'} write z in [0, y) (default) or (-y/2, y/2];
+ *   {assumePrime: boolean} skip the primality check when the caller has already tested y, as 'auto' does
+ *   (trace.valid still checks the z it computes)
+ * @returns {Object} - {result: string, z: number|bigint, trace: Object} (z is a BigInt for BigInt/string input;
+ *   trace.method is 'fermat', see inverseModTrace.js)
+ */
+function inverseModFull(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('fermat', x, y);
+    if (rejected) {
+        if (options.throwOnError) {
+            Errors.throwIfFailed(rejected);
+        }
+        return { result: Trace.renderTrace(rejected), z: 0, trace: rejected };
+    }
+    const operands = Arithmetic.prepareOperands(x, y);
+    const ops = operands.ops;
+    const trace = Trace.createTrace('fermat', operands.x, operands.y);
+
+    const specialCase = checkSpecialCases(operands.x, operands.y, options.assumePrime);
+    if (specialCase.isSpecialCase) {
+        Trace.terminateSpecialCase(trace, specialCase);
+    } else {
+        const base = Trace.reduceOperand(trace);
+        const exponent = operands.y - ops.from(2);
+        const bits = exponent.toString(2);
+        let value = ops.one;
+        let partial = ops.zero;
+        for (let i = 0; i < bits.length; i++) {
+            const bit = Number(bits[i]);
+            value = Arithmetic.mulMod(value, value, operands.y);
+            partial *= ops.from(2);
+            if (bit === 1) {
+                value = Arithmetic.mulMod(value, base, operands.y);
+                partial += ops.one;
+            }
+            trace.steps.push({ type: 'power', index: i + 1, bit, exponent: partial, value });
+        }
+        trace.z = value;
+        trace.method = 'fermat';
+        trace.valid = Arithmetic.mulMod(trace.z, base, operands.y) === ops.one;
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+    }
+
+    if (options.throwOnError) {
+        Errors.throwIfFailed(trace);
+    }
+
+    const z = trace.valid ? Arithmetic.toRepresentation(trace.z, trace.y, options.representation) : trace.z;
+    return { result: Trace.renderTrace(trace), z: operands.toOutput(z), trace };
+}
+
+/**
+ * Finds just the answer of the inverse
+ * @param {number|bigint|string} x - Integer to invert
+ * @param {number|bigint|string} y - Prime modulus
+ * @param {Object} options - Same options as inverseModFull
+ * @returns {number|bigint} The modular multiplicative inverse z (0 when y is rejected)
+ */
+function inverseMod(x, y, options = {}) {
+    const { z } = inverseModFull(x, y, options);
+    return z;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        inverseMod,
+        inverseModFull,
+        checkSpecialCases
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModFermat = {
+        inverseMod,
+        inverseModFull,
+        checkSpecialCases
+    };
+}
+
+})();
@@ -10,48 +10,78 @@
  * 3. Added better termination conditions
  */
 
+// Scoped so that several variants loaded into one page (see demo.html) keep their own
+// checkSpecialCases, inverseModFull, ... instead of overwriting each other as globals.
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Parse = (typeof require !== 'undefined')
+    ? require('./inverseModParse.js')
+    : window.InverseModParse;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+
 /**
  * Checks for special cases that would prevent finding an inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer  
- * @returns {Object} - {isSpecialCase: boolean, message: string}
+ * @param {number|bigint} x - Integer to invert (negative or >= y is fine)
+ * @param {number|bigint} y - Modulus, must be positive
+ * @param {number|bigint|string} [target] - Target mode: t in (z * x) mod y = t, solvable whenever gcd(x, y) divides t
+ * @returns {Object} - {isSpecialCase: boolean, message: string, code?: string, gcd?, operands?: string[], operand?: string}
  */
-function checkSpecialCases(x, y) {
+function checkSpecialCases(x, y, target) {
     let isSpecialCase = false;
     let message = "";
+    const zeroOperands = [];
 
     // Case 1: x or y cannot be 0
-    if (x === 0) {
+    if (Arithmetic.isZero(x)) {
         isSpecialCase = true;
         message += "Error: x cannot be zero.";
+        zeroOperands.push('x');
     }
-    if (y === 0) {
+    if (Arithmetic.isZero(y)) {
         isSpecialCase = true;
         message += "Error: y cannot be zero.";
+        zeroOperands.push('y');
     }
     if (isSpecialCase) {
-        return { isSpecialCase, message };
+        return { isSpecialCase, message, code: Trace.OutcomeCode.ZERO_OPERAND, operands: zeroOperands };
+    }
+
+    // The modulus must be positive; x may be any integer, only its residue mod y matters
+    if (y < 0) {
+        return { isSpecialCase: true, message: `Error: y must be positive, got ${y}.`, code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
     }
+    const residue = Arithmetic.leastResidue(x, y);
 
     // Case 2: Check if GCD(x, y) = 1 (coprime)
-    if (gcd(x, y) !== 1) {
+    const divisor = gcd(residue, y);
+    if (target === undefined && !Arithmetic.isOne(divisor)) {
+        isSpecialCase = true;
+        message += `${x} and ${y} are not coprime (GCD = ${divisor}), no inverse exists`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.NOT_COPRIME, gcd: divisor };
+    }
+    if (target !== undefined && !Arithmetic.isZero(Arithmetic.toResidue(target, y) % divisor)) {
         isSpecialCase = true;
-        message += `${x} and ${y} are not coprime (GCD = ${gcd(x, y)}), no inverse exists`;
+        message += `GCD(${x}, ${y}) = ${divisor} does not divide ${target}, no z exists`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.NOT_COPRIME, gcd: divisor };
     }
 
     return { isSpecialCase, message };
 }
 
 /**
- * Simple GCD function
+ * Simple GCD function (Numbers or BigInts)
  */
 function gcd(a, b) {
-    while (b !== 0) {
-        const temp = b;
-        b = a % b;
-        a = temp;
-    }
-    return a;
+    return Arithmetic.gcd(a, b);
 }
 
 /**
@@ -83,103 +113,216 @@ Validation step:
 }
 
 /**
- * Performs the full inverseMod algorithm with detailed steps (FIXED VERSION)
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {Object} - {result: string, z: number}
+ * FIXED k rule: the smallest k with (r * k) > y, except k = y / r when r divides y
+ * @param {number|bigint} prevR - Remainder going into the step
+ * @param {number|bigint} y - Modulus
+ * @param {number} index - 1-based step number
+ * @returns {number|bigint} k for the step
  */
-function inverseModFull(x, y) {
+function fixedK(prevR, y, index) {
+    const ops = typeof y === 'bigint' ? Arithmetic.BigIntArithmetic : Arithmetic.NumberArithmetic;
+    // Use ceil(y/currentX) to ensure (currentX * k) > y and avoid r = 0 when currentX | y
+    if (index === 1 || !Arithmetic.isZero(y % prevR)) {
+        return ops.div(y, prevR) + ops.one;
+    }
+    return ops.div(y, prevR);
+}
+
+/**
+ * Runs the FIXED k-chain lazily, one step at a time.
+ *
+ * Each yielded value is the step entry just taken ({type: 'step', index, prevR, k, newR, bounds},
+ * see inverseModTrace.js), in the run's arithmetic type (BigInt for BigInt/string input). The
+ * caller can stop at any point (break / return()), or pass a k to next(k) to use it for the next
+ * step instead of the one the k rule would pick. When the chain ends, the generator returns the
+ * finished trace, exactly as inverseModFull reports it (hybrid mode excepted).
+ *
+ * Target mode ({target: t}) seeks z with (z * x) mod y = t instead of the inverse. The chain is
+ * the same, but it stops as soon as a remainder r (x itself included) divides t, with
+ * z = (k[1] * ... * k[n] * t/r) mod y and outcome REACHED_TARGET; since 1 divides every t, it
+ * never runs longer than the inverse chain. x and y need not be coprime, only gcd(x, y) | t.
+ *
+ * @example
+ * const steps = inverseModIterate(31, 37);
+ * steps.next();      // {value: step 1 (prevR 31, k 2, newR 25), done: false}
+ * steps.next(3);     // inject k = 3 for step 2: {value: step 2 (prevR 25, k 3, newR 1), done: false}
+ * steps.next();      // {value: trace (z = 6), done: true}
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
+ * @param {Object} options - {maxIterations: number} cap on k-steps (default 100);
+ *   {chooseK: (prevR, y, index) => k} k rule for every step (default: the FIXED rule);
+ *   {debug: boolean} check every step, injected k values included, against the strict bounds
+ *   and the chain invariant, throwing an InvariantViolationError (inverseModTrace.js) on the first violation;
+ *   {target: number|bigint|string} target mode, see above
+ * @returns {Generator<Object, Object, number|bigint|undefined>} Step entries, then the trace
+ */
+function* inverseModIterate(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('fixed', x, y);
+    if (rejected) {
+        return rejected;
+    }
+    const operands = Arithmetic.prepareOperands(x, y);
+    const ops = operands.ops;
+    x = operands.x;
+    y = operands.y;
+
     let k = [];
     let r = [];
-    let z = 0;
-
-    let result = `\n\nCalculating the inverse of ${x} mod ${y}...\n`;
+    const trace = Trace.createTrace('fixed', x, y);
+    const maxIterations = options.maxIterations ?? 100; // Prevent infinite loops
+    const chooseK = options.chooseK ?? fixedK;
+    trace.limits = { maxIterations };
+    if (options.debug) {
+        Trace.enableDebug(trace, { bounds: 'strict' });
+    }
 
     // Checking for special cases
-    const specialCase = checkSpecialCases(x, y);
+    const specialCase = checkSpecialCases(x, y, options.target);
     if (specialCase.isSpecialCase) {
-        result += specialCase.message;
-        return { result, z: 0 };
+        Trace.terminateSpecialCase(trace, specialCase);
+        return trace;
     }
 
+    // Negative x and x >= y run from their least residue (trace.reducedFrom keeps the x passed in)
+    x = Trace.reduceOperand(trace);
+    const target = Trace.reduceTarget(trace, options.target);
+    const one = target === null ? ops.one : target;
+
+    // Target mode: the chain can stop at any remainder that divides t
+    const dividesTarget = remainder => target !== null && !Arithmetic.isZero(remainder) && Arithmetic.isZero(target % remainder);
+    const reachTarget = (remainder) => {
+        const multiplier = ops.div(target, remainder);
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_TARGET, { multiplier });
+        const accumulated = Arithmetic.accumulateProduct([...k, multiplier], y);
+        trace.multiplier = multiplier;
+        trace.z = accumulated.product;
+        trace.precisionAtRisk = accumulated.precisionAtRisk;
+        trace.method = 'kchain';
+        trace.valid = Arithmetic.mulMod(trace.z, x, y) === one;
+        return trace;
+    };
+
     // FIXED: Better initial k calculation
-    let currentX = x % y; // Normalize x to be less than y
-    if (currentX === 0) {
-        result += `${x} is a multiple of ${y}, no inverse exists`;
-        return { result, z: 0 };
+    let prevR = x % y; // Normalize x to be less than y
+    if (Arithmetic.isZero(prevR)) {
+        Trace.terminate(trace, Trace.OutcomeCode.ZERO_OPERAND, { operands: ['x'], message: `${x} is a multiple of ${y}, no inverse exists` });
+        return trace;
+    }
+    if (dividesTarget(prevR)) {
+        return reachTarget(prevR);
     }
 
-    // Calculate initial k value
-    // Use ceil(y/currentX) to ensure (currentX * k) > y and avoid r = 0 when currentX | y
-    let k1 = Math.floor(y / currentX) + 1;
-    k.push(k1);
-    
-    r.push((currentX * k[0]) % y);
-    result += `Step 1: ${y} < (${currentX} * ${k[0]}) < (${y} + ${currentX}), ((${currentX} * ${k[0]}) % ${y}) = ${r[0]}\n`;
-
-    let n = 1;
-    const maxIterations = 100; // Prevent infinite loops
-    
-    while (r[n - 1] > 1 && n < maxIterations) {
+    let injectedK;
+    for (let n = 1; n <= maxIterations; n++) {
         // FIXED: Better k calculation with bounds checking
-        let prevR = r[n - 1];
-        
-        // Calculate k value
-        if (y % prevR === 0) {
-            k.push(Math.floor(y / prevR));
-        } else {
-            k.push(Math.floor(y / prevR) + 1);
+        const kn = injectedK === undefined ? ops.from(chooseK(prevR, y, n)) : ops.from(injectedK);
+        if (kn <= ops.zero) {
+            throw new RangeError(`k must be a positive integer, got ${kn} at step ${n}`);
         }
 
-        let newR = (prevR * k[n]) % y;
+        const newR = Arithmetic.mulMod(prevR, kn, y);
+        k.push(kn);
         r.push(newR);
-        result += `Step ${n + 1}: ${y} < (${prevR} * ${k[n]}) < (${y} + ${prevR}), ((${prevR} * ${k[n]}) % ${y}) = ${newR}\n`;
-        
+        trace.k = k;
+        trace.r = r;
+        injectedK = yield Trace.recordStep(trace, n, prevR, kn, newR);
+
+        if (newR === ops.one || dividesTarget(newR)) {
+            break;
+        }
+
         // FIXED: Check if we're stuck in a cycle
-        if (newR === 0) {
-            result += `\nAlgorithm terminated: reached remainder 0, no inverse found\n`;
+        if (Arithmetic.isZero(newR)) {
+            Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: newR });
             break;
         }
-        
+
         // FIXED: Check if we're not making progress
         if (newR >= prevR) {
-            result += `\nAlgorithm terminated: remainder not decreasing, may not converge\n`;
+            Trace.terminate(trace, Trace.OutcomeCode.NON_DECREASING, { remainder: newR });
             break;
         }
-        
-        n++;
+
+        prevR = newR;
     }
 
     // FIXED: Only calculate z if we successfully reached r = 1
-    if (r[r.length - 1] === 1) {
-        z = 1;
-        for (const valueK of k) {
-            z *= valueK;
+    if (!trace.termination && dividesTarget(r[r.length - 1])) {
+        return reachTarget(r[r.length - 1]);
+    }
+    if (r[r.length - 1] === ops.one) {
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+        const accumulated = Arithmetic.accumulateProduct(k, y);
+        trace.z = accumulated.product;
+        trace.precisionAtRisk = accumulated.precisionAtRisk;
+        trace.method = 'kchain';
+    } else if (!trace.termination) {
+        Trace.terminate(trace, Trace.OutcomeCode.ITERATION_LIMIT, { limit: maxIterations, limitReached: 'maxIterations', remainder: r[r.length - 1] });
+    }
+    trace.valid = Arithmetic.mulMod(trace.z, x, y) === one;
+    return trace;
+}
+
+/**
+ * Performs the full inverseMod algorithm with detailed steps (FIXED VERSION)
+ *
+ * Number operands run on plain Numbers and are promoted to BigInt internally if an
+ * intermediate value could exceed 2^53. BigInt or numeric-string operands run entirely
+ * on BigInt, so arbitrarily large moduli are supported.
+ * @param {number|bigint|string} x - Integer to invert; negative x and x >= y are reduced mod y first
+ * @param {number|bigint|string} y - Positive modulus
+ * @param {Object} options - {hybrid: boolean} when the k-chain fails, fall back to the extended Euclidean
+ *   inverse (trace.method becomes 'fallback' and trace.failedChain keeps the chain);
+ *   {maxIterations: number} cap on k-steps (default 100);
+ *   {debug: boolean} check the chain's invariants at every step (see inverseModIterate);
+ *   {throwOnError: boolean} throw the InverseModError for a run without a valid inverse (inverseModErrors.js);
+ *   {representation: 'least-positive' | 'symmetric'} write z in [0, y) (default) or (-y/2, y/2];
+ *   {target: number|bigint|string} seek z with (z * x) mod y = target instead of the inverse (see inverseModIterate;
+ *   hybrid mode falls back to the extended Euclidean quotient, the smallest such z)
+ * @returns {Object} - {result: string, z: number|bigint, trace: Object} (z is a BigInt for BigInt/string input;
+ *   see inverseModTrace.js for the trace shape, result is renderTrace(trace))
+ */
+function inverseModFull(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('fixed', x, y);
+    if (rejected) {
+        if (options.throwOnError) {
+            Errors.throwIfFailed(rejected);
         }
-        z = z % y;
-        result += `(k[1] * k[2] * ... * k[n]) mod y = ${z}\n`;
-    } else {
-        z = 0;
-        result += `\nAlgorithm failed to find inverse: final remainder = ${r[r.length - 1]}\n`;
+        return { result: Trace.renderTrace(rejected), z: 0, trace: rejected };
     }
+    const operands = Arithmetic.prepareOperands(x, y);
 
-    result += `\n\nFinal Values:\n`;
-    result += `x = ${x}\n`;
-    result += `y = ${y}\n`;
-    result += `k[] = [${k.join(', ')}]\n`;
-    result += `r[] = [${r.join(', ')}]\n`;
-    result += `z = ${z}\n`;
+    // Drive the step generator to the end; its return value is the finished trace
+    const steps = inverseModIterate(x, y, options);
+    let next = steps.next();
+    while (!next.done) {
+        next = steps.next();
+    }
+    const trace = next.value;
 
-    result += `\n\nValidation step:\n`;
-    result += `((${z} * ${x}) mod ${y}) == 1 is ${((z * x) % y) === 1}\n`;
+    // Hybrid mode: keep the failed chain for diagnostics but still return an exact inverse
+    if (options.hybrid && !trace.valid) {
+        const exact = trace.target === undefined
+            ? Arithmetic.modInverse(trace.x, trace.y)
+            : Arithmetic.modDivide(trace.target, trace.x, trace.y);
+        if (exact !== null) {
+            Trace.applyFallback(trace, exact);
+        }
+    }
 
-    return { result, z };
+    if (options.throwOnError) {
+        Errors.throwIfFailed(trace);
+    }
+
+    // options.representation only changes how z is written; trace.z stays in [0, y)
+    const z = trace.valid ? Arithmetic.toRepresentation(trace.z, trace.y, options.representation) : trace.z;
+    return { result: Trace.renderTrace(trace), z: operands.toOutput(z), trace };
 }
 
 /**
  * Shows the steps of the inverse calculation
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
  * @returns {string} Detailed steps
  */
 function inverseModSteps(x, y) {
@@ -189,65 +332,77 @@ function inverseModSteps(x, y) {
 
 /**
  * Finds just the answer of the inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {number} The modular multiplicative inverse z
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
+ * @param {Object} options - Same options as inverseModFull
+ * @returns {number|bigint} The modular multiplicative inverse z
  */
-function inverseMod(x, y) {
-    const { z } = inverseModFull(x, y);
+function inverseMod(x, y, options = {}) {
+    const { z } = inverseModFull(x, y, options);
     return z;
 }
 
 /**
  * Returns lightweight stats for complexity analysis
- * @param {number} x
- * @param {number} y
- * @returns {{steps:number, z:number, success:boolean}}
+ * @param {number|bigint|string} x
+ * @param {number|bigint|string} y
+ * @param {Object} [options] - Options passed to inverseModFull (e.g. maxIterations for limit sweeps)
+ * @returns {{steps:number, z:number|bigint, success:boolean, termination:string, precisionAtRisk:boolean}}
+ *   (precisionAtRisk: the unreduced product of the k values passed 2^53, see trace.precisionAtRisk)
  */
-function inverseModStats(x, y) {
-    const { result, z } = inverseModFull(x, y);
-    const stepMatches = result.match(/Step \d+:/g) || [];
-    const steps = stepMatches.length;
-    const success = ((z * x) % y) === 1;
-    return { steps, z, success };
+function inverseModStats(x, y, options = {}) {
+    const { z, trace } = inverseModFull(x, y, options);
+    const steps = Trace.countSteps(trace);
+    return { steps, z, success: trace.valid, termination: trace.termination.code, precisionAtRisk: trace.precisionAtRisk };
 }
 
 /**
- * Validates if a number is a positive integer
+ * Validates if a value is a positive integer (strictly parsed, see inverseModParse.js)
  * @param {any} value - Value to check
  * @returns {boolean} True if positive integer
  */
 function isPositiveInteger(value) {
-    const num = parseInt(value);
-    return !isNaN(num) && num > 0 && Number.isInteger(num);
+    return Parse.parsePositiveInteger(value).ok;
 }
 
 /**
  * Main function to run the algorithm with input validation
- * @param {string|number} xInput - First number
- * @param {string|number} yInput - Second number
+ *
+ * String inputs are parsed strictly (inverseModParse.js): 0x/0b/0o prefixes and _ separators are
+ * accepted, anything else that is not a digit is rejected, and values past 2^53 run on BigInt.
+ * @param {string|number|bigint} xInput - Integer to invert (may be negative or at least y)
+ * @param {string|number|bigint} yInput - Positive modulus
  * @param {boolean} showSteps - Whether to show detailed steps
- * @returns {Object} - {success: boolean, result: string, z: number}
+ * @param {Object} options - Options passed to inverseModFull (hybrid, limits, throwOnError, representation)
+ * @returns {Object} - {success: boolean, result: string, z: number|bigint, outcome: Object, trace?: Object}
+ *   (outcome is trace.termination: {code, step, remainder?, ...}, see inverseModTrace.js; for INVALID_INPUT
+ *   and PRECISION_LOSS it names the operand and the parse error: {code, operand, position, reason})
+ * @throws {InverseModError} With options.throwOnError, instead of returning a failed outcome (inverseModErrors.js)
  */
-function runInverseMod(xInput, yInput, showSteps = true) {
+function runInverseMod(xInput, yInput, showSteps = true, options = {}) {
     // Input validation
-    if (!isPositiveInteger(xInput) || !isPositiveInteger(yInput)) {
+    const parsed = Parse.parseOperands(xInput, yInput);
+    if (!parsed.ok) {
+        const outcome = Parse.failureOutcome(parsed.error);
+        if (options.throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { x: xInput, y: yInput, message: parsed.error.message });
+        }
         return {
             success: false,
-            result: "Error: x and y must be positive integers",
-            z: 0
+            result: `Error: ${parsed.error.message}`,
+            z: 0,
+            outcome
         };
     }
 
-    const x = parseInt(xInput);
-    const y = parseInt(yInput);
+    const { x, y } = parsed;
 
     if (showSteps) {
-        const { result, z } = inverseModFull(x, y);
-        return { success: true, result, z };
+        const { result, z, trace } = inverseModFull(x, y, options);
+        return { success: true, result, z, trace, outcome: trace.termination };
     } else {
-        const z = inverseMod(x, y);
-        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z };
+        const { z, trace } = inverseModFull(x, y, options);
+        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z, outcome: trace.termination };
     }
 }
 
@@ -258,6 +413,7 @@ if (typeof module !== 'undefined' && module.exports) {
         inverseMod,
         inverseModSteps,
         inverseModFull,
+        inverseModIterate,
         inverseModExplanation,
         checkSpecialCases,
         runInverseMod,
@@ -271,6 +427,7 @@ if (typeof module !== 'undefined' && module.exports) {
         inverseMod,
         inverseModSteps,
         inverseModFull,
+        inverseModIterate,
         inverseModExplanation,
         checkSpecialCases,
         runInverseMod,
@@ -278,4 +435,6 @@ if (typeof module !== 'undefined' && module.exports) {
         gcd,
         inverseModStats
     };
-}
\ No newline at end of file
+}
+
+})();
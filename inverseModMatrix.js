@@ -0,0 +1,302 @@
+/**
+ * InverseMod Algorithm - Matrix Inverse and Determinant mod m
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Gauss-Jordan elimination over Z/mZ on [A | I]. Every pivot is inverted with the chosen
+ * strategy, so a matrix inverse runs one k-chain per column, and each pivot's run (trace
+ * included) is reported.
+ *
+ * A pivot must be a unit mod m. When no row left in the column has a unit entry, the rows are
+ * combined with Euclid's algorithm (adding integer multiples of one row to another) until a
+ * single row holds gcd of the column: for composite m a matrix can be invertible without any
+ * unit entry in a column. If even that gcd shares a factor with m, so does the determinant,
+ * and the matrix is singular at that column. Row swaps and row additions only change the sign
+ * of the determinant, so det(A) = +/- (product of the pivots) mod m.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Registry = (typeof require !== 'undefined')
+    ? require('./inverseModRegistry.js')
+    : window.InverseModRegistry;
+
+const big = Arithmetic.BigIntArithmetic.from;
+
+/**
+ * Checks the matrix is square and non-empty, returning an INVALID_INPUT outcome when it is not
+ */
+function checkShape(matrix) {
+    const square = Array.isArray(matrix) && matrix.length > 0
+        && matrix.every(row => Array.isArray(row) && row.length === matrix.length);
+    return square ? null : { code: Trace.OutcomeCode.INVALID_INPUT, operand: 'matrix', reason: 'not square' };
+}
+
+/**
+ * Swaps two rows of the working matrix
+ */
+function swapRows(rows, i, j) {
+    [rows[i], rows[j]] = [rows[j], rows[i]];
+}
+
+/**
+ * rows[target] -= factor * rows[source] (mod m)
+ */
+function subtractRow(rows, target, source, factor, m) {
+    rows[target] = rows[target].map((value, j) => Arithmetic.leastResidue(value - factor * rows[source][j], m));
+}
+
+/**
+ * Euclid's algorithm down column c: leaves the gcd of rows c.. in rows[c][c] and zeros below it
+ * @returns {number} Number of row swaps (each flips the determinant's sign)
+ */
+function combineRows(rows, c, m) {
+    let swaps = 0;
+    for (let r = c + 1; r < rows.length; r++) {
+        while (rows[r][c] !== 0n) {
+            subtractRow(rows, c, r, rows[c][c] / rows[r][c], m);
+            swapRows(rows, c, r);
+            swaps++;
+        }
+    }
+    return swaps;
+}
+
+/**
+ * Gauss-Jordan elimination of the BigInt rows mod m, column by column. A singular column is
+ * recorded and skipped, so the determinant is still complete; a pivot run that produced no
+ * inverse stops the elimination.
+ * @returns {Object} {rows, sign, product, pivots, singular, failed}: det = sign * product (mod m)
+ */
+function eliminate(rows, m, toOutput, solveOptions) {
+    const n = rows.length;
+    const state = { rows, sign: 1n, product: 1n, pivots: [], singular: null, failed: null };
+    for (let c = 0; c < n; c++) {
+        let row = rows.findIndex((values, r) => r >= c && Arithmetic.isOne(Arithmetic.gcd(values[c], m)));
+        const combined = row === -1;
+        if (combined) {
+            row = c;
+            if (combineRows(rows, c, m) % 2 === 1) state.sign = -state.sign;
+        } else if (row !== c) {
+            swapRows(rows, row, c);
+            state.sign = -state.sign;
+        }
+
+        const pivot = rows[c][c];
+        state.product = (state.product * pivot) % m;
+        const divisor = Arithmetic.gcd(pivot, m);
+        if (!Arithmetic.isOne(divisor)) {
+            // The rows below are already zero in this column (combineRows)
+            state.singular = state.singular || { column: c, gcd: toOutput(divisor) };
+            continue;
+        }
+
+        const run = Registry.solve(toOutput(pivot), toOutput(m), solveOptions);
+        state.pivots.push({
+            column: c,
+            row,
+            combined,
+            pivot: toOutput(pivot),
+            inverse: run.inverse,
+            success: run.success,
+            method: run.method,
+            outcome: run.outcome,
+            steps: run.trace ? Trace.countSteps(run.trace) : 0,
+            trace: run.trace
+        });
+        if (!run.success) {
+            state.failed = { column: c, run };
+            return state;
+        }
+
+        const inverse = Arithmetic.leastResidue(big(run.inverse), m);
+        rows[c] = rows[c].map(value => (value * inverse) % m);
+        for (let r = 0; r < n; r++) {
+            if (r !== c && rows[r][c] !== 0n) {
+                subtractRow(rows, r, c, rows[r][c], m);
+            }
+        }
+    }
+    return state;
+}
+
+/**
+ * Validates the operands and runs the elimination on [matrix | identity] (or the matrix alone)
+ */
+function runElimination(matrix, m, augment, solveOptions) {
+    const shape = checkShape(matrix);
+    if (shape) {
+        return { outcome: shape, message: 'Error: the matrix must be a non-empty square array of rows.' };
+    }
+    const entries = matrix.flat();
+    Arithmetic.selectArithmetic(m, ...entries);
+    const toOutput = Arithmetic.wantsBigInt(m, ...entries) ? value => value : Number;
+    const modulus = big(m);
+    if (modulus < 2n) {
+        return { outcome: { code: Trace.OutcomeCode.INVALID_INPUT, operand: 'm' }, message: `Error: m must be at least 2, got ${m}.` };
+    }
+
+    const n = matrix.length;
+    const rows = matrix.map((values, i) => [
+        ...values.map(value => Arithmetic.leastResidue(big(value), modulus)),
+        ...(augment ? Array.from({ length: n }, (_, j) => (i === j ? 1n : 0n)) : [])
+    ]);
+    return { state: eliminate(rows, modulus, toOutput, solveOptions), modulus, toOutput };
+}
+
+/**
+ * Fills in method, outcome and pivots from the pivot runs (a failed run's outcome carries its column)
+ */
+function describePivots(result, state) {
+    if (state.failed) {
+        result.outcome = { ...state.failed.run.outcome, column: state.failed.column };
+    } else if (state.pivots.length > 0) {
+        result.outcome = { code: Trace.OutcomeCode.REACHED_ONE };
+    }
+    if (state.pivots.length > 0 && !state.failed) {
+        result.method = state.pivots.every(entry => entry.method === 'kchain') ? 'kchain' : 'fallback';
+    }
+    result.pivots = state.pivots;
+}
+
+/**
+ * Inverts a square matrix mod m by Gauss-Jordan elimination, each pivot inverted with a registered strategy
+ * @param {Array<Array<number|bigint|string>>} matrix - n x n matrix, rows of integers (reduced mod m)
+ * @param {number|bigint|string} m - Modulus, at least 2
+ * @param {Object} [options] - Options passed to solve() for every pivot: {strategy (default 'fixed'), hybrid,
+ *   limits, ...}; {representation} how the entries of the inverse are written; {throwOnError: boolean} throw the
+ *   InverseModError instead of returning a failure
+ * @returns {Object} {success, inverse, determinant, strategy, method, outcome, singular, pivots}: inverse is the
+ *   n x n inverse (null on failure); singular is {column, gcd} for the first column whose pivot shares the factor
+ *   gcd with m (outcome NOT_COPRIME with gcd and column), null otherwise; pivots lists one
+ *   {column, row, combined, pivot, inverse, success, method, outcome, steps, trace} per pivot run (row is the row
+ *   swapped into place, combined is true when rows were combined to make a unit pivot); a pivot run without an
+ *   inverse stops the elimination, outcome being that run's outcome with its column; method is 'kchain' when
+ *   every pivot came from a chain, 'fallback' when hybrid mode answered any of them
+ * @throws {InverseModError} With options.throwOnError, when no inverse was produced
+ * @throws {PrecisionError} When a Number entry or m is past Number.MAX_SAFE_INTEGER
+ */
+function inverseModMatrix(matrix, m, options = {}) {
+    const { representation, throwOnError, ...solveOptions } = options;
+    const result = {
+        success: false,
+        inverse: null,
+        determinant: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null,
+        singular: null,
+        pivots: []
+    };
+    const fail = (outcome, message, trace) => {
+        result.outcome = outcome;
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { y: m, message, trace });
+        }
+        return result;
+    };
+
+    const { state, modulus, toOutput, outcome, message } = runElimination(matrix, m, true, solveOptions);
+    if (!state) {
+        return fail(outcome, message);
+    }
+    describePivots(result, state);
+    if (state.failed) {
+        const { column, run } = state.failed;
+        const { pivot } = state.pivots[state.pivots.length - 1];
+        return fail(result.outcome, `No inverse found for the pivot ${pivot} of column ${column} mod ${m}: the chain stopped with ${run.outcome.code}`, run.trace);
+    }
+
+    result.determinant = toOutput(Arithmetic.leastResidue(state.sign * state.product, modulus));
+    if (state.singular) {
+        result.singular = state.singular;
+        result.method = null;
+        const { column, gcd } = state.singular;
+        return fail({ code: Trace.OutcomeCode.NOT_COPRIME, gcd, column },
+            `The matrix is singular mod ${m}: column ${column} has no pivot coprime to ${m} (GCD = ${gcd})`);
+    }
+
+    const n = matrix.length;
+    result.inverse = state.rows.map(row => row.slice(n).map(value => toOutput(Arithmetic.toRepresentation(value, modulus, representation))));
+    result.success = true;
+    return result;
+}
+
+/**
+ * Determinant of a square matrix mod m, by the same elimination as inverseModMatrix (no augmented identity)
+ * @param {Array<Array<number|bigint|string>>} matrix - n x n matrix, rows of integers (reduced mod m)
+ * @param {number|bigint|string} m - Modulus, at least 2
+ * @param {Object} [options] - Options passed to solve() for every pivot: {strategy (default 'fixed'), hybrid,
+ *   limits, ...}; {throwOnError: boolean} throw the InverseModError for invalid input or a failed pivot run
+ * @returns {Object} {success, determinant, invertible, strategy, method, outcome, singular, pivots}: determinant in
+ *   [0, m) (null when a pivot run failed: success false, outcome of that run with its column); invertible is
+ *   gcd(determinant, m) = 1; singular, pivots and method as in inverseModMatrix (outcome and method are null when
+ *   no pivot needed inverting)
+ * @throws {InverseModError} With options.throwOnError, for invalid input or a failed pivot run
+ * @throws {PrecisionError} When a Number entry or m is past Number.MAX_SAFE_INTEGER
+ */
+function determinantMod(matrix, m, options = {}) {
+    const { throwOnError, ...solveOptions } = options;
+    const result = {
+        success: false,
+        determinant: null,
+        invertible: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null,
+        singular: null,
+        pivots: []
+    };
+    const fail = (outcome, message, trace) => {
+        result.outcome = outcome;
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { y: m, message, trace });
+        }
+        return result;
+    };
+
+    const { state, modulus, toOutput, outcome, message } = runElimination(matrix, m, false, solveOptions);
+    if (!state) {
+        return fail(outcome, message);
+    }
+    describePivots(result, state);
+    if (state.failed) {
+        return fail(result.outcome, undefined, state.failed.run.trace);
+    }
+
+    const determinant = Arithmetic.leastResidue(state.sign * state.product, modulus);
+    Object.assign(result, {
+        success: true,
+        determinant: toOutput(determinant),
+        invertible: Arithmetic.isOne(Arithmetic.gcd(determinant, modulus)),
+        singular: state.singular
+    });
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        inverseModMatrix,
+        determinantMod
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModMatrix = {
+        inverseModMatrix,
+        determinantMod
+    };
+}
+
+})();
@@ -0,0 +1,176 @@
+/**
+ * InverseMod Algorithm - Shortest-Chain Oracle
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Exact answer to "how few k-steps can any valid choice of k values use to take x to
+ * remainder 1 mod y?". Every remainder r in 1..y-1 is a node of the remainder transition
+ * graph of y, with an edge r -> (r * k) mod y for every k the bounds allow:
+ *
+ * - 'strict':  y < r*k < r + y, the bound of the algorithm. Only k = floor(y/r) + 1 fits,
+ *   and none does when r divides y, so the chain from x is unique.
+ * - 'relaxed': y < r*k with k = floor(y/r) + 1 + t for t = 0..maxTweak (default 5). This is
+ *   the range inverseModBacktrack.gpt5.js uses: its upper bound is relaxed when r | y and its
+ *   local adjustments try up to maxTweak larger k values.
+ *
+ * A breadth-first search from x over the graph gives the minimal chain length and the number
+ * of distinct minimal k-sequences. Comparing the length with a heuristic's chain (see
+ * scripts/optimalityAnalysis.js) shows how far the heuristic is from optimal.
+ *
+ * The graph has y * (maxTweak + 1) edges, so the oracle is meant for moduli up to about 10^6.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: global from an earlier <script> tag)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+
+const ORACLE_BOUNDS = ['strict', 'relaxed'];
+const DEFAULT_MAX_MODULUS = 1000000;
+
+/**
+ * Converts an oracle operand to a Number
+ * @param {number|bigint|string} value - Operand
+ * @param {string} name - Operand name for error messages
+ * @returns {number} The operand
+ */
+function oracleOperand(value, name) {
+    const number = Number(typeof value === 'string' ? value.trim() : value);
+    if (!Number.isSafeInteger(number)) {
+        throw new RangeError(`${name} = ${value} is not a safe integer; the oracle works on moduli up to about 10^6`);
+    }
+    return number;
+}
+
+/**
+ * Builds the remainder transition graph of y
+ * @param {number|bigint|string} y - Modulus (at least 2)
+ * @param {Object} [options] - {bounds: 'strict' | 'relaxed' (default 'relaxed'), maxTweak = 5 (relaxed only),
+ *   maxModulus = 1000000 refuse larger y, since the graph is held in memory}
+ * @returns {Object} {y, bounds, maxTweak, width, next} where next[r * width + t] is the remainder reached
+ *   from r with k = floor(y/r) + 1 + t, or -1 when that edge is not allowed (or leads to remainder 0)
+ */
+function buildTransitionGraph(y, options = {}) {
+    y = oracleOperand(y, 'y');
+    const bounds = options.bounds ?? 'relaxed';
+    if (!ORACLE_BOUNDS.includes(bounds)) {
+        throw new Error(`Unknown bounds "${bounds}"; available: ${ORACLE_BOUNDS.join(', ')}`);
+    }
+    const maxTweak = bounds === 'strict' ? 0 : (options.maxTweak ?? 5);
+    const maxModulus = options.maxModulus ?? DEFAULT_MAX_MODULUS;
+    if (y < 2 || y > maxModulus) {
+        throw new RangeError(`y must be between 2 and ${maxModulus} (options.maxModulus), got ${y}`);
+    }
+
+    const width = maxTweak + 1;
+    const next = new Int32Array(y * width).fill(-1);
+    for (let r = 1; r < y; r++) {
+        const kMin = Math.floor(y / r) + 1;
+        for (let t = 0; t < width; t++) {
+            const k = kMin + t;
+            // strict: r*k < r + y fails exactly when r divides y
+            if (bounds === 'strict' && r * k >= r + y) continue;
+            const target = Arithmetic.mulMod(r, k, y);
+            if (target !== 0) {
+                next[r * width + t] = target;
+            }
+        }
+    }
+    return { y, bounds, maxTweak, width, next };
+}
+
+/**
+ * Finds a shortest k-chain from x to remainder 1 and counts the shortest chains
+ * @param {number|bigint|string} x - Value to invert
+ * @param {number|bigint|string} y - Modulus (at least 2)
+ * @param {Object} [options] - buildTransitionGraph options, or {graph} to reuse a graph built for y
+ * @returns {Object} {found, length, k, r, z, count, bounds, maxTweak}: length is the number of k-steps
+ *   (0 when x ≡ 1) and null when no chain exists; k and r are one shortest chain (r[i] = remainder after
+ *   step i + 1) and z its inverse; count is the number of distinct shortest k-sequences (exact up to
+ *   Number.MAX_SAFE_INTEGER)
+ */
+function shortestChain(x, y, options = {}) {
+    x = oracleOperand(x, 'x');
+    y = oracleOperand(y, 'y');
+    const graph = options.graph ?? buildTransitionGraph(y, options);
+    if (graph.y !== y) {
+        throw new Error(`The graph was built for y = ${graph.y}, not ${y}`);
+    }
+    const { width, next } = graph;
+    const result = { found: false, length: null, k: [], r: [], z: 0, count: 0, bounds: graph.bounds, maxTweak: graph.maxTweak };
+
+    const start = ((x % y) + y) % y;
+    if (start === 0) {
+        return result;
+    }
+    if (start === 1) {
+        return { ...result, found: true, length: 0, z: 1, count: 1 };
+    }
+
+    // Breadth-first search; count[v] sums the shortest-chain counts of v's predecessors on the previous level
+    const distance = new Int32Array(y).fill(-1);
+    const count = new Float64Array(y);
+    const parent = new Int32Array(y);
+    const parentTweak = new Int32Array(y);
+    const queue = new Int32Array(y);
+    let head = 0;
+    let tail = 0;
+    distance[start] = 0;
+    count[start] = 1;
+    queue[tail++] = start;
+
+    while (head < tail) {
+        const r = queue[head++];
+        // Every chain of the final length has been counted once the level before 1 is done
+        if (distance[1] !== -1 && distance[r] >= distance[1]) break;
+        for (let t = 0; t < width; t++) {
+            const target = next[r * width + t];
+            if (target === -1) continue;
+            if (distance[target] === -1) {
+                distance[target] = distance[r] + 1;
+                count[target] = count[r];
+                parent[target] = r;
+                parentTweak[target] = t;
+                queue[tail++] = target;
+            } else if (distance[target] === distance[r] + 1) {
+                count[target] += count[r];
+            }
+        }
+    }
+
+    if (distance[1] === -1) {
+        return result;
+    }
+
+    // Walk back from 1 to recover one shortest chain
+    const k = [];
+    const r = [];
+    for (let node = 1; node !== start; node = parent[node]) {
+        k.push(Math.floor(y / parent[node]) + 1 + parentTweak[node]);
+        r.push(node);
+    }
+    k.reverse();
+    r.reverse();
+    return { ...result, found: true, length: k.length, k, r, z: Arithmetic.productMod(k, y), count: count[1] };
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        ORACLE_BOUNDS,
+        buildTransitionGraph,
+        shortestChain
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModOracle = {
+        ORACLE_BOUNDS,
+        buildTransitionGraph,
+        shortestChain
+    };
+}
+
+})();
@@ -0,0 +1,184 @@
+/**
+ * InverseMod Algorithm - Strict Input Parser
+ * Original algorithm by Cody Weber (2022)
+ *
+ * parseInt accepts "12abc" as 12 and "1e5" as 1, and rounds anything past 2^53. Every entry
+ * point that takes user input (runInverseMod in each variant, the demo) parses it here instead:
+ *
+ * - optional surrounding whitespace and a leading + or -
+ * - decimal digits, or 0x / 0b / 0o followed by hexadecimal / binary / octal digits
+ * - single underscores between digits as separators ("1_000_003", "0xffff_ffff")
+ * - nothing else: any other character is an error that names its position
+ *
+ * Values up to Number.MAX_SAFE_INTEGER come back as Numbers, larger ones as BigInts, so the
+ * variants pick the same arithmetic path they would for a Number or BigInt argument.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+const RADIX_PREFIXES = { x: 16, b: 2, o: 8 };
+const RADIX_NAMES = { 2: 'binary', 8: 'octal', 10: 'decimal', 16: 'hexadecimal' };
+
+/**
+ * Checks whether a character is a digit of the given radix
+ */
+function isDigit(char, radix) {
+    const value = parseInt(char, 36);
+    return char !== undefined && !Number.isNaN(value) && value < radix;
+}
+
+/**
+ * Builds a failed parse result
+ */
+function failure(input, name, position, reason, code = 'INVALID_INPUT') {
+    const where = position === null ? '' : ` at position ${position} in "${input}"`;
+    return { ok: false, code, name, position, reason, message: `${name}: ${reason}${where}` };
+}
+
+/**
+ * Parses an integer strictly
+ * @param {string|number|bigint} input - Text typed by a user, or a Number / BigInt passed through
+ * @param {string} [name] - Operand name used in messages (default 'value')
+ * @returns {Object} {ok: true, value} with value a Number when it is a safe integer and a BigInt otherwise,
+ *   or {ok: false, code, name, position, reason, message} where position is the 0-based index of the offending
+ *   character in the string (null for Number input) and code is INVALID_INPUT, or PRECISION_LOSS (with value
+ *   and limit) for a Number past 2^53
+ */
+function parseInteger(input, name = 'value') {
+    if (typeof input === 'bigint') {
+        return { ok: true, value: input };
+    }
+    if (typeof input === 'number') {
+        if (!Number.isInteger(input)) {
+            return failure(input, name, null, `${input} is not an integer`);
+        }
+        if (!Number.isSafeInteger(input)) {
+            return { ...failure(input, name, null, `${input} is not a safe integer; pass large values as BigInt or strings`, 'PRECISION_LOSS'),
+                value: input, limit: Number.MAX_SAFE_INTEGER };
+        }
+        return { ok: true, value: input };
+    }
+    if (typeof input !== 'string') {
+        return failure(input, name, null, `expected a string, Number or BigInt, got ${input === null ? 'null' : typeof input}`);
+    }
+
+    let i = 0;
+    while (i < input.length && /\s/.test(input[i])) i++;
+    if (i === input.length) {
+        return failure(input, name, i, 'empty input');
+    }
+
+    let negative = false;
+    if (input[i] === '+' || input[i] === '-') {
+        negative = input[i] === '-';
+        i++;
+    }
+
+    let radix = 10;
+    let prefix = '';
+    const prefixRadix = RADIX_PREFIXES[(input[i + 1] || '').toLowerCase()];
+    if (input[i] === '0' && prefixRadix) {
+        radix = prefixRadix;
+        prefix = input.slice(i, i + 2);
+        i += 2;
+    }
+
+    let digits = '';
+    for (; i < input.length; i++) {
+        const char = input[i];
+        if (isDigit(char, radix)) {
+            digits += char;
+        } else if (char === '_') {
+            if (digits === '' || !isDigit(input[i + 1], radix)) {
+                return failure(input, name, i, 'a digit separator "_" must sit between two digits');
+            }
+        } else {
+            break;
+        }
+    }
+
+    // Only whitespace may follow the digits
+    let end = i;
+    while (end < input.length && /\s/.test(input[end])) end++;
+    if (digits === '' && (end === input.length || end > i)) {
+        return failure(input, name, i, prefix ? `expected ${RADIX_NAMES[radix]} digits after "${prefix}"` : 'expected digits');
+    }
+    if (end < input.length) {
+        const char = input[end];
+        const reason = end === i && isDigit(char, 36) ? `"${char}" is not a valid ${RADIX_NAMES[radix]} digit` : `unexpected character "${char}"`;
+        return failure(input, name, end, reason);
+    }
+
+    const magnitude = BigInt(radix === 10 ? digits : `0${prefix[1]}${digits}`);
+    const value = negative ? -magnitude : magnitude;
+    const safe = value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= -BigInt(Number.MAX_SAFE_INTEGER);
+    return { ok: true, value: safe ? Number(value) : value };
+}
+
+/**
+ * Parses an integer strictly and requires it to be positive
+ * @param {string|number|bigint} input - Input value
+ * @param {string} [name] - Operand name used in messages
+ * @returns {Object} As parseInteger
+ */
+function parsePositiveInteger(input, name = 'value') {
+    const parsed = parseInteger(input, name);
+    if (parsed.ok && !(parsed.value > 0)) {
+        return failure(input, name, null, `${parsed.value} is not a positive integer`);
+    }
+    return parsed;
+}
+
+/**
+ * Parses the x and y of a runInverseMod call: x may be any integer, y must be positive
+ * @param {string|number|bigint} xInput - First operand
+ * @param {string|number|bigint} yInput - Second operand
+ * @returns {Object} {ok: true, x, y} or {ok: false, error} with error the failed parse of the first bad operand
+ */
+function parseOperands(xInput, yInput) {
+    const x = parseInteger(xInput, 'x');
+    if (!x.ok) {
+        return { ok: false, error: x };
+    }
+    const y = parsePositiveInteger(yInput, 'y');
+    if (!y.ok) {
+        return { ok: false, error: y };
+    }
+    return { ok: true, x: x.value, y: y.value };
+}
+
+/**
+ * Builds the outcome runInverseMod reports for a failed parse
+ * @param {Object} error - Failed parse result
+ * @returns {Object} {code, operand, position, reason}, plus {value, limit} for PRECISION_LOSS
+ */
+function failureOutcome(error) {
+    const { code, name, position, reason, value, limit } = error;
+    const outcome = { code, operand: name, position, reason };
+    if (value !== undefined) {
+        Object.assign(outcome, { value, limit });
+    }
+    return outcome;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        parseInteger,
+        parsePositiveInteger,
+        parseOperands,
+        failureOutcome
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModParse = {
+        parseInteger,
+        parsePositiveInteger,
+        parseOperands,
+        failureOutcome
+    };
+}
+
+})();
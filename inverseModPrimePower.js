@@ -0,0 +1,152 @@
+/**
+ * InverseMod Algorithm - Prime-Power Moduli by Hensel Lifting
+ * Original algorithm by Cody Weber (2022)
+ *
+ * The k-chain is unreliable for large prime powers (powers of two above all), but it rarely
+ * fails modulo a prime. inverseModPrimePower runs the chosen strategy mod p only, then lifts
+ * that inverse to p^e with Newton's iteration:
+ *
+ *   z * x = 1 (mod m)   =>   z' = z * (2 - x * z) satisfies z' * x = 1 (mod m^2)
+ *
+ * so each lifting step doubles the exponent: an inverse mod 2 reaches 2^64 in six steps.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+const Registry = (typeof require !== 'undefined')
+    ? require('./inverseModRegistry.js')
+    : window.InverseModRegistry;
+const Factor = (typeof require !== 'undefined')
+    ? require('./inverseModFactor.js')
+    : window.InverseModFactor;
+
+/**
+ * One Newton step: from an inverse z mod m to the inverse mod `to` (to divides m^2)
+ * @returns {Object} {error, inverse}: error is (1 - x * z) mod `to`, the part of z that was wrong
+ */
+function liftStep(x, z, to) {
+    const error = Arithmetic.leastResidue(1n - x * z, to);
+    return { error, inverse: (z + z * error) % to };
+}
+
+/**
+ * Finds the modular inverse of x mod p^e by running a strategy mod p and Hensel-lifting the result
+ * @param {number|bigint|string} x - Value to invert (any integer, reduced mod p^e)
+ * @param {number|bigint|string} p - Prime
+ * @param {number} e - Positive exponent
+ * @param {Object} [options] - Options passed to solve() for the inverse mod p: {strategy (default 'fixed'),
+ *   hybrid, limits, ...}; {representation} how the inverse is written; {throwOnError: boolean} throw the
+ *   InverseModError instead of returning a failure
+ * @returns {Object} {success, inverse, strategy, method, outcome, trace}: method and outcome are those of the run
+ *   mod p (outcome is a rejection for invalid operands or x sharing the factor p, PRECISION_LOSS for a Number
+ *   operand or a p^e past Number.MAX_SAFE_INTEGER: pass p as BigInt); trace is
+ *   {x, p, e, modulus, base: the trace of the run mod p, lifts: [{step, fromModulus, modulus, error, inverse}]},
+ *   with the lifts empty when the base run failed
+ * @throws {InverseModError} With options.throwOnError, when no inverse was produced
+ */
+function inverseModPrimePower(x, p, e, options = {}) {
+    const { representation, throwOnError, ...solveOptions } = options;
+    const result = {
+        success: false,
+        inverse: null,
+        strategy: options.strategy ?? Registry.DEFAULT_STRATEGY,
+        method: null,
+        outcome: null,
+        trace: null
+    };
+    const fail = (outcome, message) => {
+        result.outcome = outcome;
+        if (throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { x, y: result.trace ? result.trace.modulus : p, trace: result.trace, message });
+        }
+        return result;
+    };
+
+    const invalid = Arithmetic.findNonInteger({ x, p });
+    if (invalid) {
+        return fail({ code: Trace.OutcomeCode.INVALID_INPUT, ...invalid }, `Error: ${invalid.reason}.`);
+    }
+    const unsafe = Arithmetic.findUnsafeNumber({ x, p });
+    if (unsafe) {
+        return fail({ code: Trace.OutcomeCode.PRECISION_LOSS, ...unsafe }, unsafe.reason);
+    }
+    const { toOutput } = Arithmetic.prepareOperands(x, p);
+    const prime = Arithmetic.BigIntArithmetic.from(p);
+    if (!Factor.isPrime(prime)) {
+        return fail({ code: Trace.OutcomeCode.INVALID_INPUT, operand: 'p', reason: 'not prime' }, `Error: p must be prime, got ${p}.`);
+    }
+    if (!Number.isSafeInteger(e) || e < 1) {
+        return fail({ code: Trace.OutcomeCode.INVALID_INPUT, operand: 'e', reason: 'not a positive integer' },
+            `Error: e must be a positive integer, got ${e}.`);
+    }
+    const modulus = prime ** BigInt(e);
+    if (!Arithmetic.wantsBigInt(x, p) && modulus > BigInt(Number.MAX_SAFE_INTEGER)) {
+        const reason = `${p}^${e} is not a safe integer; pass p as BigInt`;
+        return fail({ code: Trace.OutcomeCode.PRECISION_LOSS, operand: 'p', value: Number(modulus), limit: Number.MAX_SAFE_INTEGER, reason }, reason);
+    }
+
+    const residue = Arithmetic.leastResidue(Arithmetic.BigIntArithmetic.from(x), modulus);
+    result.trace = { x: toOutput(residue), p: toOutput(prime), e, modulus: toOutput(modulus), base: null, lifts: [] };
+    if (residue === 0n) {
+        return fail({ code: Trace.OutcomeCode.ZERO_OPERAND, operands: ['x'] });
+    }
+    if (residue % prime === 0n) {
+        return fail({ code: Trace.OutcomeCode.NOT_COPRIME, gcd: toOutput(Arithmetic.gcd(residue, modulus)) });
+    }
+
+    // The base case: the chosen strategy mod p
+    const base = Registry.solve(toOutput(residue % prime), toOutput(prime), solveOptions);
+    Object.assign(result, { method: base.method, outcome: base.outcome });
+    result.trace.base = base.trace;
+    if (!base.success) {
+        return fail(base.outcome);
+    }
+
+    // Newton steps p -> p^2 -> p^4 -> ... -> p^e
+    let z = Arithmetic.BigIntArithmetic.from(base.inverse);
+    let exponent = 1;
+    while (exponent < e) {
+        const next = Math.min(2 * exponent, e);
+        const to = prime ** BigInt(next);
+        const { error, inverse } = liftStep(residue, z, to);
+        result.trace.lifts.push({
+            step: result.trace.lifts.length + 1,
+            fromModulus: toOutput(prime ** BigInt(exponent)),
+            modulus: toOutput(to),
+            error: toOutput(error),
+            inverse: toOutput(inverse)
+        });
+        z = inverse;
+        exponent = next;
+    }
+
+    result.inverse = toOutput(Arithmetic.toRepresentation(z, modulus, representation));
+    result.success = true;
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        inverseModPrimePower
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModPrimePower = {
+        inverseModPrimePower
+    };
+}
+
+})();
@@ -0,0 +1,284 @@
+/**
+ * InverseMod Algorithm - Strategy Registry
+ * Original algorithm by Cody Weber (2022)
+ *
+ * One place that knows every implementation of the algorithm. Each strategy is registered
+ * with a name, a version and the guarantees it declares, and solve() runs any of them and
+ * returns the same result shape regardless of which one was used:
+ *
+ * {
+ *   success: boolean,                 // true only when (inverse * x) mod y === 1 (=== options.target in target mode)
+ *   inverse: number | bigint | null,  // null when no inverse was produced
+ *   strategy: string,
+ *   version: string,
+ *   method: 'kchain' | 'fallback' | null,  // how the inverse was produced (options.hybrid enables 'fallback')
+ *   trace: Object | null,             // see inverseModTrace.js
+ *   outcome: { code, ... }            // OutcomeCode and context (step, remainder, gcd, ...)
+ * }
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+const DEFAULT_STRATEGY = 'fixed';
+
+const strategies = new Map();
+
+/**
+ * Loads a built-in implementation (Node.js: require, browser: global from a <script> tag)
+ * @param {string} nodePath - Path for require()
+ * @param {string} globalName - window property set by the browser build
+ * @returns {Object|undefined} The module, if available
+ */
+function loadModule(nodePath, globalName) {
+    if (typeof require !== 'undefined') {
+        return require(nodePath);
+    }
+    return typeof window !== 'undefined' ? window[globalName] : undefined;
+}
+
+const Errors = loadModule('./inverseModErrors.js', 'InverseModErrors');
+
+/**
+ * Registers a strategy
+ * @param {Object} definition - Strategy definition
+ * @param {string} definition.name - Unique name passed as solve(x, y, {strategy: name})
+ * @param {string} definition.version - Version of the implementation
+ * @param {string} definition.description - One-line description
+ * @param {Object} definition.guarantees - Declared guarantees:
+ *   complete (finds an inverse whenever gcd(x, y) = 1), terminates, bigint (accepts BigInt operands),
+ *   target (supports target mode, options.target: z with (z * x) mod y = t instead of the inverse)
+ * @param {Function} definition.run - (x, y, options) => {inverse: value|null, trace, outcome?}
+ *   (outcome defaults to trace.termination)
+ * @returns {Object} The registered (frozen) strategy
+ */
+function registerStrategy(definition) {
+    const { name, version, description = '', guarantees = {}, run } = definition;
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new TypeError('Strategy name must be a non-empty string');
+    }
+    if (typeof run !== 'function') {
+        throw new TypeError(`Strategy ${name} must provide a run(x, y, options) function`);
+    }
+    if (strategies.has(name)) {
+        throw new Error(`Strategy ${name} is already registered`);
+    }
+
+    const strategy = Object.freeze({
+        name,
+        version: String(version),
+        description,
+        guarantees: Object.freeze({
+            complete: false,
+            terminates: true,
+            bigint: false,
+            target: false,
+            ...guarantees
+        }),
+        run
+    });
+    strategies.set(name, strategy);
+    return strategy;
+}
+
+/**
+ * Looks up a registered strategy
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy
+ */
+function getStrategy(name) {
+    const strategy = strategies.get(name);
+    if (!strategy) {
+        throw new Error(`Unknown strategy "${name}"; registered: ${Array.from(strategies.keys()).join(', ')}`);
+    }
+    return strategy;
+}
+
+/**
+ * Lists registered strategies in registration order
+ * @returns {Array<Object>} Strategies
+ */
+function listStrategies() {
+    return Array.from(strategies.values());
+}
+
+/**
+ * Finds the modular inverse of x mod y with the chosen strategy
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
+ * @param {Object} options - {strategy: name (default 'fixed'), throwOnError: boolean, ...options passed to the strategy}
+ *   ({target: t} asks for z with (z * x) mod y = t, returned as `inverse`; only strategies declaring the target
+ *   guarantee accept it)
+ * @returns {Object} Normalized result (see file header)
+ * @throws {InverseModError} With options.throwOnError, when no inverse was produced: the error matching
+ *   outcome.code (inverseModErrors.js), whether or not the strategy itself supports throwing mode
+ * @throws {Error} When options.target is given to a strategy without target mode
+ */
+function solve(x, y, options = {}) {
+    const { strategy: name = DEFAULT_STRATEGY, ...strategyOptions } = options;
+    const strategy = getStrategy(name);
+    if (strategyOptions.target !== undefined && !strategy.guarantees.target) {
+        throw new Error(`Strategy ${name} does not support target mode (options.target)`);
+    }
+    const runResult = strategy.run(x, y, strategyOptions);
+
+    const inverse = runResult.inverse === undefined ? null : runResult.inverse;
+    const outcome = runResult.outcome || (runResult.trace ? runResult.trace.termination : null);
+    if (options.throwOnError && inverse === null) {
+        throw Errors.errorFromOutcome(outcome, { x, y, trace: runResult.trace });
+    }
+    return {
+        success: inverse !== null,
+        inverse,
+        strategy: strategy.name,
+        version: strategy.version,
+        method: runResult.trace && inverse !== null ? runResult.trace.method : null,
+        trace: runResult.trace || null,
+        outcome
+    };
+}
+
+/**
+ * Adapts an inverseModFull variant (returns {z, trace}) to the registry's run() contract.
+ * A z that fails validation (0, or the original port's unchecked product) becomes null.
+ */
+function kChainRunner(module) {
+    return (x, y, options) => {
+        const { z, trace } = module.inverseModFull(x, y, options);
+        return { inverse: trace.valid ? z : null, trace };
+    };
+}
+
+/**
+ * Registers the implementations that ship with this repository
+ */
+function registerBuiltinStrategies() {
+    const builtins = [
+        {
+            name: 'original',
+            module: loadModule('./inverseMod.js', 'InverseMod'),
+            description: 'Direct port of the Go implementation',
+            guarantees: { bigint: true }
+        },
+        {
+            name: 'fixed',
+            module: loadModule('./inverseModFixed.js', 'InverseModFixed'),
+            description: 'Coprimality check, ceil-based k, stops on remainder 0 or stagnation',
+            guarantees: { bigint: true, target: true }
+        },
+        {
+            name: 'robust',
+            module: loadModule('./inverseModRobust.js', 'InverseModRobust'),
+            description: 'Enforces y < r*k < r + y on every step, with cycle detection',
+            guarantees: { bigint: true }
+        },
+        {
+            name: 'backtrack',
+            module: loadModule('./gpt5-analysis/code/inverseModBacktrack.gpt5.js', 'InverseModBacktrack'),
+            description: 'Local k adjustments and parity-aware backtracking',
+            guarantees: { bigint: true }
+        },
+        {
+            name: 'fermat',
+            module: loadModule('./inverseModFermat.js', 'InverseModFermat'),
+            description: "Fermat's little theorem: x^(y-2) mod y by square-and-multiply (prime y only)",
+            guarantees: { bigint: true }
+        }
+    ];
+
+    for (const { name, module, description, guarantees } of builtins) {
+        if (module) {
+            registerStrategy({ name, version: '1.0.0', description, guarantees, run: kChainRunner(module) });
+        }
+    }
+
+    // In the browser the humanized strategies exist only when humanized/modularInverse.js was loaded
+    const human = loadModule('./humanized/modularInverse.js', 'InverseModHumanized');
+    if (human) {
+        registerStrategy({
+            name: 'humanized',
+            version: '1.0.0',
+            description: 'Bounded depth-first search over small multiplier offsets',
+            guarantees: { bigint: true },
+            run: (x, y, options) => {
+                const res = human.computeModularInverse(x, y, options);
+                return { inverse: res.inverse, trace: res.details ? res.details.trace : null, outcome: res.outcome };
+            }
+        });
+
+        // The same search in the other orders it supports (options.searchStrategy)
+        const searchDescriptions = {
+            bfs: 'Breadth-first search over small multiplier offsets (shortest chain)',
+            'best-first': 'Best-first search over small multiplier offsets, smallest remainder first',
+            beam: 'Beam search over small multiplier offsets (options.beamWidth)',
+            'iterative-deepening': 'Iterative-deepening search over small multiplier offsets (shortest chain)'
+        };
+        for (const searchStrategy of human.SEARCH_STRATEGIES.filter(name => name !== 'dfs')) {
+            registerStrategy({
+                name: `humanized-${searchStrategy}`,
+                version: '1.0.0',
+                description: searchDescriptions[searchStrategy],
+                guarantees: { bigint: true },
+                run: (x, y, options) => {
+                    const res = human.computeModularInverse(x, y, { ...options, searchStrategy });
+                    return { inverse: res.inverse, trace: res.details ? res.details.trace : null, outcome: res.outcome };
+                }
+            });
+        }
+    }
+}
+
+registerBuiltinStrategies();
+
+/**
+ * Registers 'auto': Fermat's little theorem when y is prime (isPrime, exact below 3.3 * 10^24
+ * and Baillie-PSW above, inverseModFactor.js), otherwise a k-chain strategy. trace.variant
+ * names the strategy that ran.
+ */
+function registerAutoStrategy() {
+    const Factor = loadModule('./inverseModFactor.js', 'InverseModFactor');
+    const Arithmetic = loadModule('./inverseModArithmetic.js', 'InverseModArithmetic');
+    if (!Factor || !strategies.has('fermat')) {
+        return;
+    }
+    // Anything that is not an integer goes to the k-chain strategy, which rejects it
+    const isPrimeModulus = y => (typeof y === 'bigint' || Number.isSafeInteger(y) || Arithmetic.isNumericString(y)) && Factor.isPrime(y);
+    registerStrategy({
+        name: 'auto',
+        version: '1.0.0',
+        description: 'Fermat for prime y, otherwise a k-chain strategy (options.composite, default fixed)',
+        guarantees: { bigint: true },
+        run: (x, y, options) => {
+            const { composite = DEFAULT_STRATEGY, ...rest } = options;
+            // fermat would test y again; pass the result on instead
+            return isPrimeModulus(y)
+                ? getStrategy('fermat').run(x, y, { ...rest, assumePrime: true })
+                : getStrategy(composite).run(x, y, rest);
+        }
+    });
+}
+
+registerAutoStrategy();
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        DEFAULT_STRATEGY,
+        registerStrategy,
+        getStrategy,
+        listStrategies,
+        solve
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModRegistry = {
+        DEFAULT_STRATEGY,
+        registerStrategy,
+        getStrategy,
+        listStrategies,
+        solve
+    };
+}
+
+})();
@@ -11,64 +11,79 @@
  * 4. More robust algorithm logic
  */
 
+// Scoped so that several variants loaded into one page (see demo.html) keep their own
+// checkSpecialCases, inverseModFull, ... instead of overwriting each other as globals.
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+const Parse = (typeof require !== 'undefined')
+    ? require('./inverseModParse.js')
+    : window.InverseModParse;
+const Errors = (typeof require !== 'undefined')
+    ? require('./inverseModErrors.js')
+    : window.InverseModErrors;
+
 /**
  * Checks for special cases that would prevent finding an inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer  
- * @returns {Object} - {isSpecialCase: boolean, message: string}
+ * @param {number|bigint} x - Integer to invert (negative or >= y is fine)
+ * @param {number|bigint} y - Modulus, must be positive
+ * @returns {Object} - {isSpecialCase: boolean, message: string, code?: string, gcd?, operands?: string[], operand?: string}
  */
 function checkSpecialCases(x, y) {
     let isSpecialCase = false;
     let message = "";
+    const zeroOperands = [];
 
     // Case 1: x or y cannot be 0
-    if (x === 0) {
+    if (Arithmetic.isZero(x)) {
         isSpecialCase = true;
         message += "Error: x cannot be zero.";
+        zeroOperands.push('x');
     }
-    if (y === 0) {
+    if (Arithmetic.isZero(y)) {
         isSpecialCase = true;
         message += "Error: y cannot be zero.";
+        zeroOperands.push('y');
     }
     if (isSpecialCase) {
-        return { isSpecialCase, message };
+        return { isSpecialCase, message, code: Trace.OutcomeCode.ZERO_OPERAND, operands: zeroOperands };
+    }
+
+    // The modulus must be positive; x may be any integer, only its residue mod y matters
+    if (y < 0) {
+        return { isSpecialCase: true, message: `Error: y must be positive, got ${y}.`, code: Trace.OutcomeCode.INVALID_INPUT, operand: 'y' };
     }
+    const residue = Arithmetic.leastResidue(x, y);
 
     // Case 2: Check if GCD(x, y) = 1 (coprime)
-    if (gcd(x, y) !== 1) {
+    const divisor = gcd(residue, y);
+    if (!Arithmetic.isOne(divisor)) {
         isSpecialCase = true;
-        message += `${x} and ${y} are not coprime (GCD = ${gcd(x, y)}), no inverse exists`;
+        message += `${x} and ${y} are not coprime (GCD = ${divisor}), no inverse exists`;
+        return { isSpecialCase, message, code: Trace.OutcomeCode.NOT_COPRIME, gcd: divisor };
     }
 
     return { isSpecialCase, message };
 }
 
 /**
- * Simple GCD function
+ * Simple GCD function (Numbers or BigInts)
  */
 function gcd(a, b) {
-    while (b !== 0) {
-        const temp = b;
-        b = a % b;
-        a = temp;
-    }
-    return a;
+    return Arithmetic.gcd(a, b);
 }
 
 /**
- * Extended Euclidean algorithm to find the correct inverse for validation
+ * Extended Euclidean algorithm to find the correct inverse for validation (Numbers or BigInts)
  */
 function extendedGcd(a, b) {
-    if (b === 0) {
-        return { x: 1, y: 0, gcd: a };
-    }
-    
-    const result = extendedGcd(b, a % b);
-    return {
-        x: result.y,
-        y: result.x - Math.floor(a / b) * result.y,
-        gcd: result.gcd
-    };
+    return Arithmetic.extendedGcd(a, b);
 }
 
 /**
@@ -101,39 +116,75 @@ Validation step:
 
 /**
  * Performs the full inverseMod algorithm with detailed steps (ROBUST VERSION)
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {Object} - {result: string, z: number}
+ *
+ * Number operands run on plain Numbers and are promoted to BigInt internally if an
+ * intermediate value could exceed 2^53. BigInt or numeric-string operands run entirely
+ * on BigInt, so arbitrarily large moduli are supported.
+ * @param {number|bigint|string} x - Integer to invert; negative x and x >= y are reduced mod y first
+ * @param {number|bigint|string} y - Positive modulus
+ * @param {Object} options - {hybrid: boolean} when the k-chain fails, fall back to the extended Euclidean
+ *   inverse (trace.method becomes 'fallback' and trace.failedChain keeps the chain);
+ *   {maxIterations: number} cap on k-steps (default 100);
+ *   {debug: boolean} check the chain's invariants at every step and throw an InvariantViolationError
+ *   (inverseModTrace.js) with the partial trace on the first violation;
+ *   {throwOnError: boolean} throw the InverseModError for a run without a valid inverse (inverseModErrors.js);
+ *   {representation: 'least-positive' | 'symmetric'} write z in [0, y) (default) or (-y/2, y/2]
+ * @returns {Object} - {result: string, z: number|bigint, trace: Object} (z is a BigInt for BigInt/string input;
+ *   see inverseModTrace.js for the trace shape, result is renderTrace(trace))
  */
-function inverseModFull(x, y) {
+function inverseModFull(x, y, options = {}) {
+    const rejected = Trace.rejectOperands('robust', x, y);
+    if (rejected) {
+        if (options.throwOnError) {
+            Errors.throwIfFailed(rejected);
+        }
+        return { result: Trace.renderTrace(rejected), z: 0, trace: rejected };
+    }
+    const operands = Arithmetic.prepareOperands(x, y);
+    const ops = operands.ops;
+    x = operands.x;
+    y = operands.y;
+
     let k = [];
     let r = [];
-    let z = 0;
-
-    let result = `\n\nCalculating the inverse of ${x} mod ${y}...\n`;
+    const trace = Trace.createTrace('robust', x, y);
+    const maxIterations = options.maxIterations ?? 100; // Prevent infinite loops
+    trace.limits = { maxIterations };
+    if (options.debug) {
+        Trace.enableDebug(trace, { bounds: 'strict' });
+    }
 
     // Checking for special cases
     const specialCase = checkSpecialCases(x, y);
     if (specialCase.isSpecialCase) {
-        result += specialCase.message;
-        return { result, z: 0 };
+        Trace.terminateSpecialCase(trace, specialCase);
+        if (options.throwOnError) {
+            Errors.throwIfFailed(trace);
+        }
+        return { result: Trace.renderTrace(trace), z: operands.toOutput(ops.zero), trace };
     }
 
+    // Negative x and x >= y run from their least residue (trace.reducedFrom keeps the x passed in)
+    x = Trace.reduceOperand(trace);
+
     // ROBUST: Normalize x to be less than y and handle edge cases
     let currentX = x % y;
-    if (currentX === 0) {
-        result += `${x} is a multiple of ${y}, no inverse exists`;
-        return { result, z: 0 };
+    if (Arithmetic.isZero(currentX)) {
+        Trace.terminate(trace, Trace.OutcomeCode.ZERO_OPERAND, { operands: ['x'], message: `${x} is a multiple of ${y}, no inverse exists` });
+        if (options.throwOnError) {
+            Errors.throwIfFailed(trace);
+        }
+        return { result: Trace.renderTrace(trace), z: operands.toOutput(ops.zero), trace };
     }
 
     // ROBUST: Handle the case where x = 1
-    if (currentX === 1) {
-        k.push(1);
-        r.push(1);
-        result += `Step 1: Special case x = 1, k[1] = 1, r[1] = 1\n`;
+    if (currentX === ops.one) {
+        k.push(ops.one);
+        r.push(ops.one);
+        Trace.recordStep(trace, 1, ops.one, ops.one, ops.one).identity = true;
     } else {
         // ROBUST: Better k calculation that ensures y < (x * k) < (x + y)
-        let k1 = Math.floor(y / currentX);
+        let k1 = ops.div(y, currentX);
         if (k1 * currentX <= y) {
             k1++;
         }
@@ -145,25 +196,35 @@ function inverseModFull(x, y) {
         
         k.push(k1);
         r.push((currentX * k1) % y);
-        result += `Step 1: ${y} < (${currentX} * ${k1}) < (${currentX} + ${y}), ((${currentX} * ${k1}) % ${y}) = ${r[0]}\n`;
+        Trace.recordStep(trace, 1, currentX, k1, r[0]);
     }
 
     let n = 1;
-    const maxIterations = 100; // Prevent infinite loops
     const visited = new Set(); // Track visited remainders to detect cycles
     
-    while (r[n - 1] > 1 && n < maxIterations) {
+    while (r[n - 1] > ops.one && n < maxIterations) {
         let prevR = r[n - 1];
         
         // ROBUST: Check for cycles
         if (visited.has(prevR)) {
-            result += `\nAlgorithm terminated: detected cycle at remainder ${prevR}\n`;
+            Trace.terminate(trace, Trace.OutcomeCode.CYCLE, { remainder: prevR });
             break;
         }
         visited.add(prevR);
-        
+
+        // ROBUST: When prevR divides y no k satisfies y < (r * k) < (r + y) (the bound loop
+        // below would never end); the nearest multiple lands on y itself, i.e. remainder 0
+        if (Arithmetic.isZero(y % prevR)) {
+            const kn = ops.div(y, prevR);
+            k.push(kn);
+            r.push(ops.zero);
+            Trace.recordStep(trace, n + 1, prevR, kn, ops.zero);
+            Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: ops.zero });
+            break;
+        }
+
         // ROBUST: Better k calculation for subsequent steps
-        let kn = Math.floor(y / prevR);
+        let kn = ops.div(y, prevR);
         if (kn * prevR <= y) {
             kn++;
         }
@@ -176,61 +237,68 @@ function inverseModFull(x, y) {
         k.push(kn);
         let newR = (prevR * kn) % y;
         r.push(newR);
-        result += `Step ${n + 1}: ${y} < (${prevR} * ${kn}) < (${prevR} + ${y}), ((${prevR} * ${kn}) % ${y}) = ${newR}\n`;
+        Trace.recordStep(trace, n + 1, prevR, kn, newR);
         
         // ROBUST: Check if we're stuck
-        if (newR === 0) {
-            result += `\nAlgorithm terminated: reached remainder 0, no inverse found\n`;
+        if (Arithmetic.isZero(newR)) {
+            Trace.terminate(trace, Trace.OutcomeCode.ZERO_REMAINDER, { remainder: newR });
             break;
         }
         
         // ROBUST: Check if we're not making progress
         if (newR >= prevR) {
-            result += `\nAlgorithm terminated: remainder not decreasing, may not converge\n`;
+            Trace.terminate(trace, Trace.OutcomeCode.NON_DECREASING, { remainder: newR });
             break;
         }
         
         n++;
     }
 
+    trace.k = k;
+    trace.r = r;
+
     // ROBUST: Only calculate z if we successfully reached r = 1
-    if (r[r.length - 1] === 1) {
-        z = 1;
-        for (const valueK of k) {
-            z *= valueK;
-        }
-        z = z % y;
-        result += `(k[1] * k[2] * ... * k[n]) mod y = ${z}\n`;
+    if (r[r.length - 1] === ops.one) {
+        Trace.terminate(trace, Trace.OutcomeCode.REACHED_ONE);
+        const accumulated = Arithmetic.accumulateProduct(k, y);
+        trace.z = accumulated.product;
+        trace.precisionAtRisk = accumulated.precisionAtRisk;
+        trace.method = 'kchain';
     } else {
-        z = 0;
-        result += `\nAlgorithm failed to find inverse: final remainder = ${r[r.length - 1]}\n`;
-        
+        if (!trace.termination) {
+            Trace.terminate(trace, Trace.OutcomeCode.ITERATION_LIMIT, { limit: maxIterations, limitReached: 'maxIterations', remainder: r[r.length - 1] });
+        }
+
         // ROBUST: Fallback to extended Euclidean algorithm for validation
         const egcd = extendedGcd(x, y);
-        if (egcd.gcd === 1) {
+        if (egcd.gcd === ops.one) {
             let correctInverse = egcd.x % y;
-            if (correctInverse < 0) correctInverse += y;
-            result += `\nNote: Correct inverse (using extended Euclidean) = ${correctInverse}\n`;
+            if (correctInverse < ops.zero) correctInverse += y;
+            trace.expectedInverse = correctInverse;
         }
     }
+    trace.valid = Arithmetic.mulMod(trace.z, x, y) === ops.one;
 
-    result += `\n\nFinal Values:\n`;
-    result += `x = ${x}\n`;
-    result += `y = ${y}\n`;
-    result += `k[] = [${k.join(', ')}]\n`;
-    result += `r[] = [${r.join(', ')}]\n`;
-    result += `z = ${z}\n`;
+    // Hybrid mode: keep the failed chain for diagnostics but still return an exact inverse
+    if (options.hybrid && !trace.valid) {
+        const exact = Arithmetic.modInverse(x, y);
+        if (exact !== null) {
+            Trace.applyFallback(trace, exact);
+        }
+    }
 
-    result += `\n\nValidation step:\n`;
-    result += `((${z} * ${x}) mod ${y}) == 1 is ${((z * x) % y) === 1}\n`;
+    if (options.throwOnError) {
+        Errors.throwIfFailed(trace);
+    }
 
-    return { result, z };
+    const z = trace.valid ? Arithmetic.toRepresentation(trace.z, y, options.representation) : trace.z;
+    return { result: Trace.renderTrace(trace), z: operands.toOutput(z), trace };
 }
 
 /**
  * Shows the steps of the inverse calculation
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
  * @returns {string} Detailed steps
  */
 function inverseModSteps(x, y) {
@@ -240,51 +308,63 @@ function inverseModSteps(x, y) {
 
 /**
  * Finds just the answer of the inverse
- * @param {number} x - First positive integer
- * @param {number} y - Second positive integer
- * @returns {number} The modular multiplicative inverse z
+ * @param {number|bigint|string} x - First positive integer
+ * @param {number|bigint|string} y - Second positive integer
+ * @param {Object} options - Same options as inverseModFull
+ * @returns {number|bigint} The modular multiplicative inverse z
  */
-function inverseMod(x, y) {
-    const { z } = inverseModFull(x, y);
+function inverseMod(x, y, options = {}) {
+    const { z } = inverseModFull(x, y, options);
     return z;
 }
 
 /**
- * Validates if a number is a positive integer
+ * Validates if a value is a positive integer (strictly parsed, see inverseModParse.js)
  * @param {any} value - Value to check
  * @returns {boolean} True if positive integer
  */
 function isPositiveInteger(value) {
-    const num = parseInt(value);
-    return !isNaN(num) && num > 0 && Number.isInteger(num);
+    return Parse.parsePositiveInteger(value).ok;
 }
 
 /**
  * Main function to run the algorithm with input validation
- * @param {string|number} xInput - First number
- * @param {string|number} yInput - Second number
+ *
+ * String inputs are parsed strictly (inverseModParse.js): 0x/0b/0o prefixes and _ separators are
+ * accepted, anything else that is not a digit is rejected, and values past 2^53 run on BigInt.
+ * @param {string|number|bigint} xInput - Integer to invert (may be negative or at least y)
+ * @param {string|number|bigint} yInput - Positive modulus
  * @param {boolean} showSteps - Whether to show detailed steps
- * @returns {Object} - {success: boolean, result: string, z: number}
+ * @param {Object} options - Options passed to inverseModFull (hybrid, limits, throwOnError, representation)
+ * @returns {Object} - {success: boolean, result: string, z: number|bigint, outcome: Object, trace?: Object}
+ *   (outcome is trace.termination: {code, step, remainder?, ...}, see inverseModTrace.js; for INVALID_INPUT
+ *   and PRECISION_LOSS it names the operand and the parse error: {code, operand, position, reason})
+ * @throws {InverseModError} With options.throwOnError, instead of returning a failed outcome (inverseModErrors.js)
  */
-function runInverseMod(xInput, yInput, showSteps = true) {
+function runInverseMod(xInput, yInput, showSteps = true, options = {}) {
     // Input validation
-    if (!isPositiveInteger(xInput) || !isPositiveInteger(yInput)) {
+    const parsed = Parse.parseOperands(xInput, yInput);
+    if (!parsed.ok) {
+        const outcome = Parse.failureOutcome(parsed.error);
+        if (options.throwOnError) {
+            throw Errors.errorFromOutcome(outcome, { x: xInput, y: yInput, message: parsed.error.message });
+        }
         return {
             success: false,
-            result: "Error: x and y must be positive integers",
-            z: 0
+            result: `Error: ${parsed.error.message}`,
+            z: 0,
+            outcome
         };
     }
 
-    const x = parseInt(xInput);
-    const y = parseInt(yInput);
+    const { x, y } = parsed;
 
     if (showSteps) {
-        const { result, z } = inverseModFull(x, y);
-        return { success: true, result, z };
+        const { result, z, trace } = inverseModFull(x, y, options);
+        return { success: true, result, z, trace, outcome: trace.termination };
     } else {
-        const z = inverseMod(x, y);
-        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z };
+        const { z, trace } = inverseModFull(x, y, options);
+        return { success: true, result: `Inverse of ${x} mod ${y} = ${z}`, z, outcome: trace.termination };
     }
 }
 
@@ -315,4 +395,6 @@ if (typeof module !== 'undefined' && module.exports) {
         gcd,
         extendedGcd
     };
-}
\ No newline at end of file
+}
+
+})();
@@ -0,0 +1,596 @@
+/**
+ * InverseMod Algorithm - Structured Step Trace
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Every inverseModFull variant records its run as a trace object instead of building an
+ * English string as it goes. The text shown by runInverseMod, the demo and the test
+ * harnesses is produced by renderTrace(), so they all read the same data.
+ *
+ * Trace shape:
+ * {
+ *   variant: string,            // 'original' | 'fixed' | 'robust' | 'backtrack' | 'humanized' | 'fermat'
+ *   x, y,                       // operands as used by the run (x as its least residue mod y)
+ *   reducedFrom?,               // the x passed in, when it was negative or at least y
+ *   target?,                    // target mode: t reduced mod y, the run seeks z with (z * x) mod y === t
+ *   multiplier?,                // target mode: t / (final remainder), the factor z carries besides the k values
+ *   steps: Array<Entry>,        // ordered entries, see below
+ *   termination: { code, step, remainder?, ... },  // outcome code and its context, see OutcomeCode
+ *   k: [], r: [],               // final k[] and r[] chains
+ *   z,                          // inverse (0 when none was found)
+ *   method: 'kchain' | 'fallback' | 'fermat' | null,  // how z was produced ('fermat': x^(y-2) mod y)
+ *   valid: boolean,             // (z * x) mod y === 1 (=== target in target mode)
+ *   precisionAtRisk: boolean,   // Number runs: multiplying the k values out before reducing mod y would have
+ *                               // passed 2^53 (z is still exact, the product is reduced at every step)
+ *   expectedInverse?,           // extended Euclidean inverse, when a variant computes it
+ *   failedChain?,               // hybrid mode: { k, r, z, termination } of the chain that did not reach 1
+ *   limits?                     // limits the run used, e.g. { maxIterations, maxBacktracks, maxTweak }
+ * }
+ *
+ * Entries:
+ *   { type: 'step', index, prevR, k, newR, bounds: { lower, upper }, identity? }
+ *   { type: 'adjustment', index, fromK, toK, newR }
+ *   { type: 'backtrack', count, kIndex, k, trigger: 'parity' | 'gcd' }
+ *   { type: 'power', index, bit, exponent, value }   // Fermat: value = x^exponent mod y after bit index of y - 2
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: global from an earlier <script> tag)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+
+/**
+ * Outcome codes recorded in trace.termination.code. Each termination also carries context:
+ *   step       - index of the last k-step taken (0 when the run stopped before the first step)
+ *   remainder  - remainder the run stopped at, when it got that far
+ *   gcd        - NOT_COPRIME: gcd(x, y)
+ *   operands   - ZERO_OPERAND: which operands were zero (['x'], ['y'] or ['x', 'y'])
+ *   operand, position, reason - INVALID_INPUT / PRECISION_LOSS from runInverseMod: the operand that failed
+ *                  to parse, the index of the offending character (null for non-string input) and why;
+ *                  INVALID_INPUT from checkSpecialCases (negative modulus) only names the operand ('y'), and
+ *                  the Fermat variant's reason 'not prime' for a composite y
+ *   value, limit - PRECISION_LOSS: the Number past 2^53 and Number.MAX_SAFE_INTEGER
+ *   limit      - ITERATION_LIMIT / NODE_BUDGET_EXHAUSTED: the bound that was hit
+ *   limitReached - name of the option whose limit stopped the run ('maxIterations', 'maxBacktracks',
+ *                  'maxTweak', 'maxNodes', 'deadline'); absent when no limit was involved
+ *   exploredNodes - search strategies: nodes visited
+ *   bestRemainder - CANCELLED / DEADLINE_EXCEEDED: smallest remainder the search reached
+ *   multiplier - REACHED_TARGET: t / remainder, the remainder dividing the target t
+ * Codes are stable identifiers; the wording produced by renderTrace() is not. In throwing mode
+ * ({throwOnError: true}) a failure throws the InverseModError with the same code (inverseModErrors.js).
+ */
+const OutcomeCode = {
+    REACHED_ONE: 'REACHED_ONE',
+    REACHED_TARGET: 'REACHED_TARGET',
+    INVALID_INPUT: 'INVALID_INPUT',
+    PRECISION_LOSS: 'PRECISION_LOSS',
+    ZERO_OPERAND: 'ZERO_OPERAND',
+    NOT_COPRIME: 'NOT_COPRIME',
+    ZERO_REMAINDER: 'ZERO_REMAINDER',
+    NON_DECREASING: 'NON_DECREASING',
+    CYCLE: 'CYCLE',
+    ITERATION_LIMIT: 'ITERATION_LIMIT',
+    NODE_BUDGET_EXHAUSTED: 'NODE_BUDGET_EXHAUSTED',
+    SEARCH_EXHAUSTED: 'SEARCH_EXHAUSTED',
+    CANCELLED: 'CANCELLED',
+    DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Outcome codes for inputs rejected before any k-step is taken
+ */
+const REJECTION_CODES = [OutcomeCode.INVALID_INPUT, OutcomeCode.PRECISION_LOSS, OutcomeCode.ZERO_OPERAND, OutcomeCode.NOT_COPRIME];
+
+/**
+ * True when the code means the inputs were rejected before the k chain started
+ * @param {string} code - One of OutcomeCode
+ * @returns {boolean}
+ */
+function isRejection(code) {
+    return REJECTION_CODES.includes(code);
+}
+
+/**
+ * Checks a k-chain can fail, shared by the verifier (inverseModVerify.js) and debug mode.
+ * Like OutcomeCode these are stable identifiers.
+ */
+const TraceCheck = {
+    LENGTH_MISMATCH: 'LENGTH_MISMATCH',   // k[] and r[] differ in length
+    INVALID_K: 'INVALID_K',               // k is not a positive integer
+    LOWER_BOUND: 'LOWER_BOUND',           // y < r*k does not hold
+    UPPER_BOUND: 'UPPER_BOUND',           // r*k < r + y does not hold (strict bounds)
+    MAX_TWEAK: 'MAX_TWEAK',               // k is more than maxTweak above floor(y/r) + 1
+    REMAINDER: 'REMAINDER',               // r[i] is not (r[i-1] * k[i]) mod y
+    INVARIANT: 'INVARIANT',               // (k[1]*...*k[i]*x) mod y is not r[i]
+    DECREASING: 'DECREASING',             // debug mode: r[i] is not below r[i-1] where the variant requires it
+    NOT_ONE: 'NOT_ONE',                   // the chain does not end at remainder 1
+    NOT_TARGET: 'NOT_TARGET',             // target mode: the chain's last remainder does not divide the target
+    INVERSE: 'INVERSE',                   // the claimed z is not the chain's product mod y
+    STEP_ENTRY: 'STEP_ENTRY'              // a recorded step entry disagrees with the chain around it
+};
+
+/**
+ * Thrown in debug mode when a k-step breaks an invariant of the chain
+ */
+class InvariantViolationError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - {check: TraceCheck, step: the offending step entry, trace: the partial trace}
+     */
+    constructor(message, { check, step, trace }) {
+        super(message);
+        this.name = 'InvariantViolationError';
+        this.check = check;
+        this.step = step;
+        this.trace = trace;
+    }
+}
+
+// Debug state per trace: {bounds, decreasing, start, products, adjustment}, see enableDebug()
+const debugStates = new WeakMap();
+
+/**
+ * Creates an empty trace for a run
+ * @param {string} variant - Variant name
+ * @param {number|bigint} x - First operand
+ * @param {number|bigint} y - Second operand
+ * @returns {Object} Trace object
+ */
+function createTrace(variant, x, y) {
+    return {
+        variant,
+        x,
+        y,
+        steps: [],
+        termination: null,
+        k: [],
+        r: [],
+        z: typeof y === 'bigint' ? 0n : 0,
+        method: null,
+        valid: false,
+        precisionAtRisk: false
+    };
+}
+
+/**
+ * Builds a step entry and evaluates the bounds y < (prevR * k) < (prevR + y)
+ * @param {number} index - 1-based step number
+ * @param {number|bigint} prevR - Remainder going into the step
+ * @param {number|bigint} k - Multiplier chosen for the step
+ * @param {number|bigint} newR - Resulting remainder (prevR * k) mod y
+ * @param {number|bigint} y - Modulus
+ * @returns {Object} Step entry
+ */
+function createStep(index, prevR, k, newR, y) {
+    const product = prevR * k;
+    return {
+        type: 'step',
+        index,
+        prevR,
+        k,
+        newR,
+        bounds: {
+            lower: y < product,
+            upper: product < prevR + y
+        }
+    };
+}
+
+/**
+ * Turns on debug mode for a run: every step recorded from now on is checked as it is taken,
+ * and the first violation throws an InvariantViolationError carrying the partial trace.
+ *
+ * Checked for step i: it continues step i - 1 (step 1 starts a new run of the chain, as after a
+ * backtrack), (k[1] * ... * k[i] * x) mod y = r[i], the bounds y < r*k < r + y ('strict') or
+ * y < r*k ('relaxed', see normalizeKForBounds in the Backtrack variant), r[i] < r[i-1] when
+ * `decreasing` is set, and that a step following a local k adjustment uses the adjusted k and
+ * decreases. A step to remainder 0 is how a failed chain ends, so it is exempt from the bounds,
+ * and so is the single step x ≡ 1 records.
+ * @param {Object} trace - Trace of the run
+ * @param {Object} [policy] - {bounds: 'strict' | 'relaxed' (default 'strict'), decreasing: boolean (default false)}
+ */
+function enableDebug(trace, policy = {}) {
+    debugStates.set(trace, {
+        bounds: policy.bounds ?? 'strict',
+        decreasing: policy.decreasing ?? false,
+        start: null,
+        products: [],
+        adjustment: null
+    });
+}
+
+/**
+ * Throws the InvariantViolationError for a debug check
+ */
+function violation(trace, step, check, message) {
+    throw new InvariantViolationError(`Debug check ${check} failed at step ${step.index}: ${message}`, { check, step, trace });
+}
+
+/**
+ * Checks a step entry against the chain recorded so far (debug mode only)
+ */
+function checkStep(trace, step) {
+    const state = debugStates.get(trace);
+    if (!state) {
+        return;
+    }
+    const { y } = trace;
+    const { index, prevR, k, newR } = step;
+    const zero = typeof y === 'bigint' ? 0n : 0;
+    const one = typeof y === 'bigint' ? 1n : 1;
+
+    if (index === 1) {
+        state.start = ((prevR % y) + y) % y;
+        state.products = [one];
+    } else if (state.products.length !== index) {
+        violation(trace, step, TraceCheck.STEP_ENTRY, `step ${index} does not follow step ${state.products.length - 1}`);
+    }
+
+    const product = Arithmetic.mulMod(state.products[index - 1], k, y);
+    const expected = Arithmetic.mulMod(product, state.start, y);
+    if (expected !== newR) {
+        violation(trace, step, TraceCheck.INVARIANT, `(k[1] * ... * k[${index}] * x) % ${y} = ${expected}, but r[${index}] = ${newR}`);
+    }
+    state.products.length = index;
+    state.products.push(product);
+
+    const identity = index === 1 && state.start === one && k % y === one;
+    if (!identity && newR !== zero) {
+        if (!step.bounds.lower) {
+            violation(trace, step, TraceCheck.LOWER_BOUND, `${y} < (${prevR} * ${k}) does not hold`);
+        }
+        if (state.bounds === 'strict' && !step.bounds.upper) {
+            violation(trace, step, TraceCheck.UPPER_BOUND, `(${prevR} * ${k}) < (${prevR} + ${y}) does not hold`);
+        }
+    }
+
+    const adjustment = state.adjustment;
+    state.adjustment = null;
+    if (adjustment && adjustment.index === index && (adjustment.toK !== k || adjustment.newR !== newR)) {
+        violation(trace, step, TraceCheck.STEP_ENTRY, `k was adjusted to ${adjustment.toK} (remainder ${adjustment.newR}) but the step used ${k} (remainder ${newR})`);
+    }
+    if ((state.decreasing || adjustment) && !identity && !(newR < prevR)) {
+        violation(trace, step, TraceCheck.DECREASING, `r[${index}] = ${newR} is not below ${prevR}`);
+    }
+}
+
+/**
+ * Appends a step entry to the trace
+ * @returns {Object} The recorded step entry
+ */
+function recordStep(trace, index, prevR, k, newR) {
+    const step = createStep(index, prevR, k, newR, trace.y);
+    trace.steps.push(step);
+    checkStep(trace, step);
+    return step;
+}
+
+/**
+ * Appends step entries built with createStep (e.g. a chain replayed after a backtrack)
+ */
+function recordSteps(trace, steps) {
+    for (const step of steps) {
+        trace.steps.push(step);
+        checkStep(trace, step);
+    }
+}
+
+/**
+ * Appends a local k adjustment entry to the trace
+ */
+function recordAdjustment(trace, index, fromK, toK, newR) {
+    trace.steps.push({ type: 'adjustment', index, fromK, toK, newR });
+    if (debugStates.has(trace)) {
+        debugStates.get(trace).adjustment = { index, toK, newR };
+    }
+}
+
+/**
+ * Appends a backtrack entry to the trace
+ */
+function recordBacktrack(trace, count, kIndex, k, trigger) {
+    trace.steps.push({ type: 'backtrack', count, kIndex, k, trigger });
+}
+
+/**
+ * Records why the run stopped. The step index and the remainder default to those of the
+ * last recorded k-step.
+ * @param {Object} trace - Trace to update
+ * @param {string} code - One of OutcomeCode
+ * @param {Object} context - Extra context (remainder, gcd, limit, message, ...)
+ */
+function terminate(trace, code, context = {}) {
+    const steps = stepEntries(trace);
+    const last = steps[steps.length - 1];
+    trace.termination = { code, step: last ? last.index : 0 };
+    if (last) {
+        trace.termination.remainder = last.newR;
+    }
+    Object.assign(trace.termination, context);
+    return trace;
+}
+
+/**
+ * Builds the termination for inputs rejected by checkSpecialCases
+ * @param {Object} trace - Trace to update
+ * @param {Object} specialCase - {code, message, gcd?, operands?, operand?, reason?} from checkSpecialCases
+ */
+function terminateSpecialCase(trace, specialCase) {
+    const { code, message, gcd, operands, operand, reason } = specialCase;
+    const context = { message };
+    if (gcd !== undefined) context.gcd = gcd;
+    if (operands !== undefined) context.operands = operands;
+    if (operand !== undefined) context.operand = operand;
+    if (reason !== undefined) context.reason = reason;
+    return terminate(trace, code, context);
+}
+
+/**
+ * Builds the trace of a run whose operands no arithmetic kit can take, rejected before one is picked:
+ * INVALID_INPUT with the operand and the reason when x or y is not an integer (2.5, NaN, "abc", ...),
+ * PRECISION_LOSS with the operand, value and limit when it is a Number past 2^53
+ * @param {string} variant - Variant name
+ * @param {any} x - First operand as passed in
+ * @param {any} y - Second operand as passed in
+ * @returns {Object|null} The terminated trace, or null when x and y can be used
+ */
+function rejectOperands(variant, x, y) {
+    const invalid = Arithmetic.findNonInteger({ x, y });
+    if (invalid) {
+        const trace = createTrace(variant, x, y);
+        return terminateSpecialCase(trace, { code: OutcomeCode.INVALID_INPUT, message: `Error: ${invalid.reason}.`, ...invalid });
+    }
+    const unsafe = Arithmetic.findUnsafeNumber({ x, y });
+    if (unsafe) {
+        const { operand, value, limit, reason } = unsafe;
+        return terminate(createTrace(variant, x, y), OutcomeCode.PRECISION_LOSS, { message: reason, operand, reason, value, limit });
+    }
+    return null;
+}
+
+/**
+ * Reduces trace.x to its least residue mod y, so the chain starts in [0, y) for negative x and x >= y.
+ * The x passed in is kept in trace.reducedFrom when it changes.
+ * @param {Object} trace - Trace of a run whose special cases have been checked (y > 0)
+ * @returns {number|bigint} The reduced x
+ */
+function reduceOperand(trace) {
+    const residue = Arithmetic.leastResidue(trace.x, trace.y);
+    if (residue !== trace.x) {
+        trace.reducedFrom = trace.x;
+        trace.x = residue;
+    }
+    return residue;
+}
+
+/**
+ * Target mode: records the target t reduced mod y in trace.target. t = 1 is the inverse itself,
+ * so it leaves the trace as it is.
+ * @param {Object} trace - Trace of a run whose special cases have been checked (y > 0)
+ * @param {number|bigint|string|undefined} target - t as the caller gave it (undefined: no target)
+ * @returns {number|bigint|null} The reduced target, or null for an inverse run
+ */
+function reduceTarget(trace, target) {
+    if (target === undefined) {
+        return null;
+    }
+    const residue = Arithmetic.toResidue(target, trace.y);
+    if (Arithmetic.isOne(residue)) {
+        return null;
+    }
+    trace.target = residue;
+    return residue;
+}
+
+/**
+ * Hybrid mode: replaces the result of a failed k-chain with an exact inverse (or quotient, in target mode). The chain's
+ * k[], r[], z and termination are copied to trace.failedChain; trace.k, trace.r and
+ * trace.termination keep describing the chain as well.
+ * @param {Object} trace - Trace of a run whose chain did not reach 1
+ * @param {number|bigint} inverse - Exact inverse of x mod y (in target mode, z with (z * x) mod y = target)
+ */
+function applyFallback(trace, inverse) {
+    trace.failedChain = { k: trace.k.slice(), r: trace.r.slice(), z: trace.z, termination: trace.termination };
+    trace.z = inverse;
+    trace.method = 'fallback';
+    trace.valid = true;
+    return trace;
+}
+
+/**
+ * Returns only the k-step entries of a trace (no adjustments or backtracks)
+ * @param {Object} trace - Trace object
+ * @returns {Array<Object>} Step entries
+ */
+function stepEntries(trace) {
+    return trace.steps.filter(entry => entry.type === 'step');
+}
+
+/**
+ * Counts the k-steps a run performed, including steps replayed after a backtrack
+ * @param {Object} trace - Trace object
+ * @returns {number} Number of step entries
+ */
+function countSteps(trace) {
+    return stepEntries(trace).length;
+}
+
+// Variants whose text has always written the upper bound as (prevR + y); the others write (y + prevR)
+const PREV_R_FIRST_VARIANTS = ['robust', 'backtrack'];
+
+/**
+ * Renders one trace entry as a line of text, worded as the variant that recorded it always has
+ */
+function renderEntry(entry, y, variant) {
+    switch (entry.type) {
+        case 'step': {
+            if (entry.identity) {
+                return `Step ${entry.index}: Special case x = 1, k[${entry.index}] = 1, r[${entry.index}] = 1\n`;
+            }
+            const upper = PREV_R_FIRST_VARIANTS.includes(variant) ? `${entry.prevR} + ${y}` : `${y} + ${entry.prevR}`;
+            return `Step ${entry.index}: ${y} < (${entry.prevR} * ${entry.k}) < (${upper}), ((${entry.prevR} * ${entry.k}) % ${y}) = ${entry.newR}\n`;
+        }
+        case 'adjustment':
+            return `Adjusted k locally to ${entry.toK} to avoid trap; new remainder = ${entry.newR}\n`;
+        case 'power':
+            return `Bit ${entry.index} = ${entry.bit}: ${entry.bit ? 'square and multiply' : 'square'}, x^${entry.exponent} mod ${y} = ${entry.value}\n`;
+        case 'backtrack': {
+            const label = entry.trigger === 'gcd' ? ` (gcd-based)` : '';
+            return `\nBacktrack ${entry.count}${label}: incremented k[${entry.kIndex + 1}] to ${entry.k} and recalculated.\n`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Renders the termination line for runs that stopped before reaching remainder 1
+ */
+function renderTermination(termination) {
+    switch (termination.code) {
+        case OutcomeCode.ZERO_REMAINDER:
+            return `\nAlgorithm terminated: reached remainder 0, no inverse found\n`;
+        case OutcomeCode.NON_DECREASING:
+            return `\nAlgorithm terminated: remainder not decreasing, may not converge\n`;
+        case OutcomeCode.CYCLE:
+            return `\nAlgorithm terminated: detected cycle at remainder ${termination.remainder}\n`;
+        case OutcomeCode.ITERATION_LIMIT:
+            return `\nAlgorithm terminated: iteration limit of ${termination.limit} reached\n`;
+        case OutcomeCode.NODE_BUDGET_EXHAUSTED:
+            return `\nAlgorithm terminated: node budget of ${termination.limit} exhausted\n`;
+        case OutcomeCode.SEARCH_EXHAUSTED:
+            return `\nAlgorithm terminated: search exhausted after ${termination.exploredNodes} nodes\n`;
+        case OutcomeCode.CANCELLED:
+            return `\nAlgorithm terminated: cancelled after ${termination.exploredNodes} nodes (best remainder ${termination.bestRemainder})\n`;
+        case OutcomeCode.DEADLINE_EXCEEDED:
+            return `\nAlgorithm terminated: deadline passed after ${termination.exploredNodes} nodes (best remainder ${termination.bestRemainder})\n`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Renders the message for inputs rejected before the k chain started
+ */
+function renderRejection(termination, x, y) {
+    if (termination.message) {
+        return termination.message;
+    }
+    switch (termination.code) {
+        case OutcomeCode.ZERO_OPERAND:
+            return termination.operands.map(name => `Error: ${name} cannot be zero.`).join('');
+        case OutcomeCode.NOT_COPRIME:
+            return `${x} and ${y} are not coprime (GCD = ${termination.gcd}), no inverse exists`;
+        default:
+            return 'Error: x and y must be positive integers';
+    }
+}
+
+/**
+ * Renders a trace as the human-readable explanation returned in `result`
+ * @param {Object} trace - Trace object
+ * @returns {string} Detailed steps
+ */
+function renderTrace(trace) {
+    const { x, y, termination } = trace;
+    const operand = trace.reducedFrom === undefined ? x : `${trace.reducedFrom} (≡ ${x})`;
+    const target = trace.target === undefined ? 1 : trace.target;
+    let result = trace.target === undefined
+        ? `\n\nCalculating the inverse of ${operand} mod ${y}...\n`
+        : `\n\nCalculating z with (z * ${operand}) mod ${y} = ${target}...\n`;
+
+    if (termination && isRejection(termination.code)) {
+        return result + renderRejection(termination, x, y);
+    }
+
+    for (const entry of trace.steps) {
+        result += renderEntry(entry, y, trace.variant);
+    }
+    if (termination) {
+        result += renderTermination(termination);
+    }
+
+    if (trace.method === 'kchain' && trace.multiplier !== undefined) {
+        result += `Remainder ${termination.remainder ?? x} divides ${target}: multiplier = ${trace.multiplier}\n`;
+        result += `(k[1] * k[2] * ... * k[n] * ${trace.multiplier}) mod y = ${trace.z}\n`;
+    } else if (trace.method === 'kchain') {
+        result += `(k[1] * k[2] * ... * k[n]) mod y = ${trace.z}\n`;
+    } else if (trace.method === 'fermat') {
+        result += `x^(y-2) mod y = ${trace.z}\n`;
+    } else {
+        const sought = trace.target === undefined ? 'inverse' : 'z';
+        result += `\nAlgorithm failed to find ${sought}: final remainder = ${trace.r[trace.r.length - 1]}\n`;
+        if (trace.method === 'fallback') {
+            result += `\nFallback: ${sought} from extended Euclidean = ${trace.z}\n`;
+        } else if (trace.expectedInverse !== undefined) {
+            result += `\nNote: Correct inverse (using extended Euclidean) = ${trace.expectedInverse}\n`;
+        }
+    }
+
+    result += `\n\nFinal Values:\n`;
+    result += `x = ${x}\n`;
+    result += `y = ${y}\n`;
+    result += `k[] = [${trace.k.join(', ')}]\n`;
+    result += `r[] = [${trace.r.join(', ')}]\n`;
+    result += `z = ${trace.z}\n`;
+
+    result += `\n\nValidation step:\n`;
+    result += `((${trace.z} * ${x}) mod ${y}) == ${target} is ${trace.valid}\n`;
+
+    return result;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        OutcomeCode,
+        TraceCheck,
+        InvariantViolationError,
+        isRejection,
+        createTrace,
+        createStep,
+        enableDebug,
+        recordStep,
+        recordSteps,
+        recordAdjustment,
+        recordBacktrack,
+        terminate,
+        terminateSpecialCase,
+        rejectOperands,
+        reduceOperand,
+        reduceTarget,
+        applyFallback,
+        stepEntries,
+        countSteps,
+        renderTrace
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModTrace = {
+        OutcomeCode,
+        TraceCheck,
+        InvariantViolationError,
+        isRejection,
+        createTrace,
+        createStep,
+        enableDebug,
+        recordStep,
+        recordSteps,
+        recordAdjustment,
+        recordBacktrack,
+        terminate,
+        terminateSpecialCase,
+        rejectOperands,
+        reduceOperand,
+        reduceTarget,
+        applyFallback,
+        stepEntries,
+        countSteps,
+        renderTrace
+    };
+}
+
+})();
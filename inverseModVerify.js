@@ -0,0 +1,205 @@
+/**
+ * InverseMod Algorithm - Trace Verifier
+ * Original algorithm by Cody Weber (2022)
+ *
+ * Re-checks a k-chain from scratch, without trusting the variant that produced it. For
+ * x mod y with k[] and r[], every step i (1-based, r[0] standing for x mod y, so an x >= y is
+ * checked as its least residue) must satisfy:
+ *
+ * - the bounds:     y < r[i-1]*k[i] < r[i-1] + y ('strict'), or only y < r[i-1]*k[i] ('relaxed',
+ *                   the bound normalizeKForBounds keeps in the Backtrack variant)
+ * - the remainder:  r[i] = (r[i-1] * k[i]) mod y
+ * - the invariant:  (k[1] * ... * k[i] * x) mod y = r[i]
+ *
+ * and the chain must end at 1. The invariant at the last step then gives (z * x) mod y = 1 for
+ * z = (k[1] * ... * k[n]) mod y, which must equal the inverse the run claims.
+ * In target mode (seeking z with (z * x) mod y = t) the chain may instead end at any remainder
+ * r dividing t, and z = (k[1] * ... * k[n] * t/r) mod y.
+ * The result is a certificate naming the first violated check, so a chain whose printed
+ * steps disagree with its final k[] is caught automatically.
+ */
+
+// Scoped like the variants so the browser build does not leak its helpers as globals
+(function () {
+
+// Shared helpers (Node.js: require, browser: globals from earlier <script> tags)
+const Arithmetic = (typeof require !== 'undefined')
+    ? require('./inverseModArithmetic.js')
+    : window.InverseModArithmetic;
+const Trace = (typeof require !== 'undefined')
+    ? require('./inverseModTrace.js')
+    : window.InverseModTrace;
+
+const VERIFY_BOUNDS = ['strict', 'relaxed'];
+
+// Checks recorded in certificate.violation.check (see inverseModTrace.js)
+const TraceCheck = Trace.TraceCheck;
+
+/**
+ * Converts a chain value to BigInt, or null when it is not an integer
+ */
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isSafeInteger(value)) return BigInt(value);
+    if (Arithmetic.isNumericString(value)) return BigInt(value.trim());
+    return null;
+}
+
+/**
+ * Builds a failed certificate
+ */
+function reject(certificate, step, check, message, context = {}) {
+    certificate.valid = false;
+    certificate.violation = { step, check, message, ...context };
+    return certificate;
+}
+
+/**
+ * Verifies a k-chain for x mod y
+ * @param {number|bigint|string} x - Value being inverted
+ * @param {number|bigint|string} y - Modulus
+ * @param {Array<number|bigint|string>} k - k values, k[0] being the first step's
+ * @param {Array<number|bigint|string>} r - Remainders, r[i] being the remainder after step i + 1
+ * @param {Object} [options] - {bounds: 'strict' | 'relaxed' (default 'relaxed'), maxTweak: number (relaxed only,
+ *   default no cap) largest allowed k - (floor(y/r) + 1), z: claimed inverse to check against the chain,
+ *   target: t for a target-mode chain (default 1)}
+ * @returns {Object} Certificate {valid, steps, z, violation}: z is the chain's product mod y (times t/r in target
+ *   mode, in the caller's type), violation is null or {step, check, message, ...} for the first failed check (step is 1-based,
+ *   0 for checks on the whole chain)
+ */
+function verifyTrace(x, y, k, r, options = {}) {
+    const bounds = options.bounds ?? 'relaxed';
+    if (!VERIFY_BOUNDS.includes(bounds)) {
+        throw new Error(`Unknown bounds "${bounds}"; available: ${VERIFY_BOUNDS.join(', ')}`);
+    }
+    const maxTweak = bounds === 'relaxed' && options.maxTweak !== undefined ? BigInt(options.maxTweak) : null;
+    const toOutput = Arithmetic.prepareOperands(x, y).toOutput;
+    const bigX = toBigInt(x);
+    const bigY = toBigInt(y);
+    if (bigX === null || bigY === null || bigY < 2n) {
+        throw new RangeError(`x and y must be integers with y > 1, got x = ${x}, y = ${y}`);
+    }
+
+    const certificate = { valid: true, steps: k.length, z: toOutput(0n), violation: null };
+    if (k.length !== r.length) {
+        return reject(certificate, 0, TraceCheck.LENGTH_MISMATCH, `k[] has ${k.length} values but r[] has ${r.length}`);
+    }
+
+    const start = ((bigX % bigY) + bigY) % bigY;
+    let prevR = start;
+    let product = 1n;
+    for (let i = 0; i < k.length; i++) {
+        const step = i + 1;
+        const kValue = toBigInt(k[i]);
+        const rValue = toBigInt(r[i]);
+        if (kValue === null || kValue <= 0n) {
+            return reject(certificate, step, TraceCheck.INVALID_K, `k[${step}] = ${k[i]} is not a positive integer`);
+        }
+
+        // x ≡ 1 needs no step; variants still record one with k ≡ 1 (k = 1, or y + 1 which no bound admits)
+        const identity = start === 1n && k.length === 1 && kValue % bigY === 1n;
+        const scaled = prevR * kValue;
+        if (!identity) {
+            if (scaled <= bigY) {
+                return reject(certificate, step, TraceCheck.LOWER_BOUND,
+                    `${y} < (${prevR} * ${kValue}) does not hold`, { prevR: toOutput(prevR), k: k[i] });
+            }
+            if (bounds === 'strict' && scaled >= prevR + bigY) {
+                return reject(certificate, step, TraceCheck.UPPER_BOUND,
+                    `(${prevR} * ${kValue}) < (${prevR} + ${y}) does not hold`, { prevR: toOutput(prevR), k: k[i] });
+            }
+            if (maxTweak !== null && kValue - (bigY / prevR + 1n) > maxTweak) {
+                return reject(certificate, step, TraceCheck.MAX_TWEAK,
+                    `k[${step}] = ${kValue} is more than ${maxTweak} above ${bigY / prevR + 1n}`, { prevR: toOutput(prevR), k: k[i] });
+            }
+        }
+
+        const expected = scaled % bigY;
+        if (rValue !== expected) {
+            return reject(certificate, step, TraceCheck.REMAINDER,
+                `r[${step}] = ${r[i]} but (${prevR} * ${kValue}) % ${y} = ${expected}`, { expected: toOutput(expected), actual: r[i] });
+        }
+
+        product = (product * kValue) % bigY;
+        const invariant = (product * start) % bigY;
+        if (invariant !== rValue) {
+            return reject(certificate, step, TraceCheck.INVARIANT,
+                `(k[1] * ... * k[${step}] * ${x}) % ${y} = ${invariant}, not r[${step}] = ${r[i]}`, { expected: toOutput(invariant), actual: r[i] });
+        }
+        prevR = rValue;
+    }
+
+    certificate.z = toOutput(product);
+    if (options.target !== undefined) {
+        const target = Arithmetic.toResidue(options.target, bigY);
+        if (prevR === 0n || target % prevR !== 0n) {
+            return reject(certificate, 0, TraceCheck.NOT_TARGET, `The chain ends at remainder ${prevR}, which does not divide ${target}`,
+                { remainder: toOutput(prevR) });
+        }
+        product = (product * (target / prevR)) % bigY;
+        certificate.z = toOutput(product);
+    } else if (prevR !== 1n) {
+        return reject(certificate, 0, TraceCheck.NOT_ONE, `The chain ends at remainder ${prevR}, not 1`, { remainder: toOutput(prevR) });
+    }
+    if (options.z !== undefined) {
+        const claimed = toBigInt(options.z);
+        if (claimed === null || ((claimed % bigY) + bigY) % bigY !== product) {
+            const formula = options.target === undefined ? 'k[1] * ... * k[n]' : 'k[1] * ... * k[n] * t/r';
+            return reject(certificate, 0, TraceCheck.INVERSE,
+                `Claimed z = ${options.z} but (${formula}) % ${y} = ${product}`, { expected: certificate.z, actual: options.z });
+        }
+    }
+    return certificate;
+}
+
+/**
+ * Verifies the chain of a trace returned by inverseModFull (any variant) or the humanized search.
+ * On top of verifyTrace(trace.x, trace.y, trace.k, trace.r, {z: trace.z, target: trace.target}), the last k.length step
+ * entries (the run of the final chain, after any backtrack replays) must show the same k and r values.
+ * A run whose chain did not reach 1 fails even if hybrid mode answered it (trace.method 'fallback').
+ * @param {Object} trace - Trace object (see inverseModTrace.js)
+ * @param {Object} [options] - verifyTrace options (bounds, maxTweak)
+ * @returns {Object} Certificate, as verifyTrace
+ */
+function verifyRun(trace, options = {}) {
+    const z = trace.method === 'kchain' ? trace.z : undefined;
+    const certificate = verifyTrace(trace.x, trace.y, trace.k, trace.r, { ...options, z, target: trace.target });
+    if (!certificate.valid) {
+        return certificate;
+    }
+
+    const steps = Trace.stepEntries(trace).slice(-trace.k.length);
+    if (steps.length !== trace.k.length) {
+        return reject(certificate, 0, TraceCheck.STEP_ENTRY, `The trace records ${steps.length} steps for ${trace.k.length} k values`);
+    }
+    for (let i = 0; i < steps.length; i++) {
+        const entry = steps[i];
+        if (entry.index !== i + 1 || entry.k !== trace.k[i] || entry.newR !== trace.r[i]) {
+            return reject(certificate, i + 1, TraceCheck.STEP_ENTRY,
+                `Step ${entry.index} shows k = ${entry.k}, r = ${entry.newR} but k[${i + 1}] = ${trace.k[i]}, r[${i + 1}] = ${trace.r[i]}`,
+                { entry });
+        }
+    }
+    return certificate;
+}
+
+// Export functions for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        VERIFY_BOUNDS,
+        TraceCheck,
+        verifyTrace,
+        verifyRun
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment
+    window.InverseModVerify = {
+        VERIFY_BOUNDS,
+        TraceCheck,
+        verifyTrace,
+        verifyRun
+    };
+}
+
+})();
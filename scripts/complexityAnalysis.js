@@ -1,41 +1,60 @@
 /*
- * Empirical Complexity Analysis for InverseMod (Fixed)
- * Produces CSV of (x,y,steps,success) and prints summary statistics.
+ * Empirical Complexity Analysis for InverseMod (Fixed by default, any registered strategy)
+ * Produces CSV of (x,y,steps,success,nodes,precision_risk) and prints summary statistics.
+ * precision_risk is 1 when multiplying the k values out before reducing mod y would have passed
+ * 2^53, i.e. a run that a naive Number implementation would have got wrong.
+ * With --by-primality it also compares prime y with composite y.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { inverseModStats, gcd } = require('../inverseModFixed');
+const { gcd } = require('../inverseModArithmetic');
+const Registry = require('../inverseModRegistry');
+const { countSteps, OutcomeCode } = require('../inverseModTrace');
+const { inverseModMany } = require('../inverseModBatch');
+const { isPrime } = require('../inverseModFactor');
 
-function analyzeRange(maxY, samplePerY = 0) {
+function toRow(x, y, trace, success) {
+    // Search strategies (humanized*) also report how many tree nodes they explored
+    const nodes = trace && trace.exploredNodes !== undefined ? trace.exploredNodes : '';
+    const precisionAtRisk = trace ? trace.precisionAtRisk : false;
+    return { x, y, steps: trace ? countSteps(trace) : 0, success, nodes, precisionAtRisk };
+}
+
+// The first samplePerY x values relatively prime to each y, found by running each candidate x
+// against every modulus that still needs samples (inverseModMany skips the non-coprime ones)
+function sampleRange(maxY, samplePerY, strategy) {
+    const ys = Array.from({ length: maxY - 1 }, (_, i) => i + 2);
+    const needed = new Map(ys.map(y => [y, samplePerY]));
     const rows = [];
-    for (let y = 2; y <= maxY; y++) {
-        const xs = [];
-        if (samplePerY > 0) {
-            // sample specific x values relatively prime to y
-            let x = 1;
-            while (xs.length < samplePerY && x < 5 * samplePerY) {
-                if (gcd(x, y) === 1) xs.push(x);
-                x++;
-            }
-            if (xs.length === 0) xs.push(1);
-        } else {
-            for (let x = 1; x < y; x++) {
-                if (gcd(x, y) === 1) xs.push(x);
-            }
+    for (let x = 1; x < 5 * samplePerY; x++) {
+        const open = ys.filter(y => needed.get(y) > 0);
+        if (open.length === 0) break;
+        for (const result of inverseModMany(x, open, { strategy, includeTraces: true }).results) {
+            if (result.code === OutcomeCode.NOT_COPRIME || result.code === OutcomeCode.ZERO_OPERAND) continue;
+            needed.set(result.y, needed.get(result.y) - 1);
+            rows.push(toRow(x, result.y, result.trace, result.success));
         }
+    }
+    return rows.sort((a, b) => a.y - b.y || a.x - b.x);
+}
 
-        for (const x of xs) {
-            const { steps, success } = inverseModStats(x, y);
-            rows.push({ x, y, steps, success });
+function analyzeRange(maxY, samplePerY = 0, strategy = Registry.DEFAULT_STRATEGY) {
+    if (samplePerY > 0) return sampleRange(maxY, samplePerY, strategy);
+    const rows = [];
+    for (let y = 2; y <= maxY; y++) {
+        for (let x = 1; x < y; x++) {
+            if (gcd(x, y) !== 1) continue;
+            const { trace, success } = Registry.solve(x, y, { strategy });
+            rows.push(toRow(x, y, trace, success));
         }
     }
     return rows;
 }
 
 function writeCsv(rows, outPath) {
-    const header = 'x,y,steps,success\n';
-    const lines = rows.map(r => `${r.x},${r.y},${r.steps},${r.success ? 1 : 0}`).join('\n');
+    const header = 'x,y,steps,success,nodes,precision_risk\n';
+    const lines = rows.map(r => `${r.x},${r.y},${r.steps},${r.success ? 1 : 0},${r.nodes},${r.precisionAtRisk ? 1 : 0}`).join('\n');
     fs.writeFileSync(outPath, header + lines);
 }
 
@@ -53,7 +72,9 @@ function summarize(rows) {
         const maxSteps = Math.max(...arr.map(r => r.steps));
         const minSteps = Math.min(...arr.map(r => r.steps));
         const successRate = succ.length / arr.length;
-        summary.push({ y, avgSteps, maxSteps, minSteps, successRate });
+        const nodeCounts = arr.map(r => r.nodes).filter(n => n !== '');
+        const avgNodes = nodeCounts.length ? nodeCounts.reduce((a, b) => a + b, 0) / nodeCounts.length : null;
+        summary.push({ y, avgSteps, maxSteps, minSteps, successRate, avgNodes });
     }
 
     summary.sort((a, b) => a.y - b.y);
@@ -61,23 +82,53 @@ function summarize(rows) {
 }
 
 function printSummary(summary) {
-    console.log('y, avgSteps, maxSteps, minSteps, successRate, log2(y)');
+    console.log('y, avgSteps, maxSteps, minSteps, successRate, avgNodes, log2(y)');
     for (const s of summary) {
         const log2y = Math.log2(s.y);
-        console.log(`${s.y}, ${s.avgSteps.toFixed(3)}, ${s.maxSteps}, ${s.minSteps}, ${(s.successRate*100).toFixed(1)}%, ${log2y.toFixed(3)}`);
+        console.log(`${s.y}, ${s.avgSteps.toFixed(3)}, ${s.maxSteps}, ${s.minSteps}, ${(s.successRate*100).toFixed(1)}%, ${s.avgNodes === null ? '' : s.avgNodes.toFixed(1)}, ${log2y.toFixed(3)}`);
+    }
+}
+
+// Success rate and steps over all prime y against all composite y
+function summarizeByPrimality(rows) {
+    const groups = { prime: [], composite: [] };
+    const primes = new Map();
+    for (const r of rows) {
+        if (!primes.has(r.y)) primes.set(r.y, isPrime(r.y));
+        groups[primes.get(r.y) ? 'prime' : 'composite'].push(r);
+    }
+    return Object.entries(groups).map(([kind, arr]) => ({
+        kind,
+        moduli: new Set(arr.map(r => r.y)).size,
+        pairs: arr.length,
+        successRate: arr.length ? arr.filter(r => r.success).length / arr.length : null,
+        avgSteps: arr.length ? arr.reduce((a, b) => a + b.steps, 0) / arr.length : null
+    }));
+}
+
+function printPrimalitySplit(split) {
+    console.log('\ny kind, moduli, pairs, successRate, avgSteps');
+    for (const s of split) {
+        const rate = s.successRate === null ? '' : `${(s.successRate * 100).toFixed(1)}%`;
+        console.log(`${s.kind}, ${s.moduli}, ${s.pairs}, ${rate}, ${s.avgSteps === null ? '' : s.avgSteps.toFixed(3)}`);
     }
 }
 
 function main() {
-    const maxY = parseInt(process.argv[2] || '200', 10);
-    const sample = parseInt(process.argv[3] || '0', 10); // 0 means full coprime set
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const byPrimality = process.argv.includes('--by-primality');
+    const maxY = parseInt(args[0] || '200', 10);
+    const sample = parseInt(args[1] || '0', 10); // 0 means full coprime set
+    const strategy = args[2] || Registry.DEFAULT_STRATEGY;
+    Registry.getStrategy(strategy); // fail fast on unknown names
 
-    console.log(`Running empirical complexity up to y=${maxY}${sample>0?`, samplePerY=${sample}`:''} ...`);
-    const rows = analyzeRange(maxY, sample);
+    console.log(`Running empirical complexity (${strategy}) up to y=${maxY}${sample>0?`, samplePerY=${sample}`:''} ...`);
+    const rows = analyzeRange(maxY, sample, strategy);
 
     const outDir = path.join(__dirname, '..', 'out');
     if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
-    const outPath = path.join(outDir, `complexity_y${maxY}_s${sample}.csv`);
+    const suffix = strategy === Registry.DEFAULT_STRATEGY ? '' : `_${strategy}`;
+    const outPath = path.join(outDir, `complexity_y${maxY}_s${sample}${suffix}.csv`);
     writeCsv(rows, outPath);
     console.log(`CSV written: ${outPath}`);
 
@@ -95,6 +146,10 @@ function main() {
     const a = num/den;
     const b = meanY - a*meanX;
     console.log(`\nRegression avgSteps ≈ ${a.toFixed(3)} * log2(y) + ${b.toFixed(3)} (R^2 not computed)`);
+
+    if (byPrimality) {
+        printPrimalitySplit(summarizeByPrimality(rows));
+    }
 }
 
 if (require.main === module) {
@@ -0,0 +1,98 @@
+/*
+ * Optimality Analysis for InverseMod: how far each strategy's chain is from the shortest one
+ * Compares every registered strategy with the shortest-chain oracle (inverseModOracle.js)
+ * and produces a CSV of (x,y,optimal,count,<strategy>_steps...) plus a per-strategy summary
+ * (with --by-primality, one for prime y and one for composite y).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { gcd } = require('../inverseModArithmetic');
+const Registry = require('../inverseModRegistry');
+const Oracle = require('../inverseModOracle');
+const { isPrime } = require('../inverseModFactor');
+
+/**
+ * Chain length of a strategy's answer, or null when it did not produce one with its own k-chain
+ */
+function chainSteps(x, y, strategy) {
+    const { trace, success, method } = Registry.solve(x, y, { strategy });
+    return success && method === 'kchain' ? trace.k.length : null;
+}
+
+function analyzeRange(maxY, strategies, oracleOptions) {
+    const rows = [];
+    for (let y = 3; y <= maxY; y++) {
+        const graph = Oracle.buildTransitionGraph(y, oracleOptions);
+        // x = 1 is skipped: the oracle needs no step, the variants record an identity step
+        for (let x = 2; x < y; x++) {
+            if (gcd(x, y) !== 1) continue;
+            const oracle = Oracle.shortestChain(x, y, { graph });
+            const row = { x, y, optimal: oracle.length ?? '', count: oracle.count };
+            for (const strategy of strategies) {
+                row[strategy] = chainSteps(x, y, strategy) ?? '';
+            }
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+function writeCsv(rows, strategies, outPath) {
+    const header = ['x', 'y', 'optimal', 'count', ...strategies.map(s => `${s}_steps`)].join(',') + '\n';
+    const lines = rows.map(r => [r.x, r.y, r.optimal, r.count, ...strategies.map(s => r[s])].join(',')).join('\n');
+    fs.writeFileSync(outPath, header + lines);
+}
+
+function summarize(rows, strategies) {
+    return strategies.map(strategy => {
+        // Only rows where both the strategy and the oracle found a chain can be compared
+        const compared = rows.filter(r => r[strategy] !== '' && r.optimal !== '');
+        const gaps = compared.map(r => r[strategy] - r.optimal);
+        const optimal = gaps.filter(g => g === 0).length;
+        const avgGap = gaps.length ? gaps.reduce((a, b) => a + b, 0) / gaps.length : null;
+        const maxGap = gaps.length ? Math.max(...gaps) : null;
+        return { strategy, chains: compared.length, optimal, avgGap, maxGap };
+    });
+}
+
+function printSummary(rows, summary) {
+    const reachable = rows.filter(r => r.optimal !== '').length;
+    console.log(`${rows.length} coprime pairs, ${reachable} with a chain under the oracle's bounds`);
+    console.log('strategy, chains, optimalChains, avgGap, maxGap');
+    for (const s of summary) {
+        const share = s.chains ? ` (${(s.optimal / s.chains * 100).toFixed(1)}%)` : '';
+        console.log(`${s.strategy}, ${s.chains}, ${s.optimal}${share}, ${s.avgGap === null ? '' : s.avgGap.toFixed(3)}, ${s.maxGap ?? ''}`);
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const byPrimality = process.argv.includes('--by-primality');
+    const maxY = parseInt(args[0] || '100', 10);
+    const bounds = args[1] || 'relaxed';
+    const strategies = args[2] ? args[2].split(',') : Registry.listStrategies().map(s => s.name);
+    strategies.forEach(name => Registry.getStrategy(name)); // fail fast on unknown names
+
+    console.log(`Comparing ${strategies.join(', ')} with the ${bounds} shortest-chain oracle up to y=${maxY} ...`);
+    const rows = analyzeRange(maxY, strategies, { bounds });
+
+    const outDir = path.join(__dirname, '..', 'out');
+    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
+    const outPath = path.join(outDir, `optimality_y${maxY}_${bounds}.csv`);
+    writeCsv(rows, strategies, outPath);
+    console.log(`CSV written: ${outPath}`);
+
+    printSummary(rows, summarize(rows, strategies));
+    if (byPrimality) {
+        for (const prime of [true, false]) {
+            const group = rows.filter(r => isPrime(r.y) === prime);
+            console.log(`\n${prime ? 'Prime' : 'Composite'} y:`);
+            printSummary(group, summarize(group, strategies));
+        }
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,99 @@
+/*
+ * Target-Residue Analysis for InverseMod: driving the chain to t versus inverting and multiplying
+ * For every coprime (x, y) and every target t in [2, y), compares target mode (solve with
+ * {target: t}) with the inverse chain followed by z = inverse * t. Produces a CSV of
+ * (x,y,inverse_steps,targets,target_solved,target_steps,rescued) per pair plus a summary.
+ * Target mode stops at the first remainder dividing t, so its chain is a prefix of the
+ * inverse chain: it is never longer, and it can succeed where the inverse chain fails later.
+ * With --by-primality the summary is repeated for prime y and for composite y.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { gcd } = require('../inverseModArithmetic');
+const Registry = require('../inverseModRegistry');
+const { countSteps } = require('../inverseModTrace');
+const { isPrime } = require('../inverseModFactor');
+
+function analyzePair(x, y, strategy) {
+    const inverse = Registry.solve(x, y, { strategy });
+    const inverseSteps = countSteps(inverse.trace);
+    const row = { x, y, inverseSteps: inverse.success ? inverseSteps : '', targets: 0, solved: 0, steps: 0, rescued: 0, shorter: 0 };
+    for (let t = 2; t < y; t++) {
+        const run = Registry.solve(x, y, { strategy, target: t });
+        row.targets++;
+        if (!run.success) continue;
+        const steps = countSteps(run.trace);
+        row.solved++;
+        row.steps += steps;
+        if (!inverse.success) row.rescued++;
+        else if (steps < inverseSteps) row.shorter++;
+    }
+    return row;
+}
+
+function analyzeRange(maxY, strategy) {
+    const rows = [];
+    for (let y = 3; y <= maxY; y++) {
+        for (let x = 2; x < y; x++) {
+            if (gcd(x, y) !== 1) continue;
+            rows.push(analyzePair(x, y, strategy));
+        }
+    }
+    return rows;
+}
+
+function writeCsv(rows, outPath) {
+    const header = 'x,y,inverse_steps,targets,target_solved,target_steps,rescued\n';
+    const lines = rows.map(r => `${r.x},${r.y},${r.inverseSteps},${r.targets},${r.solved},${r.steps},${r.rescued}`).join('\n');
+    fs.writeFileSync(outPath, header + lines);
+}
+
+function printSummary(rows) {
+    const targets = rows.reduce((sum, r) => sum + r.targets, 0);
+    const viaInverse = rows.filter(r => r.inverseSteps !== '');
+    // Inverting then multiplying costs the inverse chain once per target
+    const inverseSolved = viaInverse.reduce((sum, r) => sum + r.targets, 0);
+    const inverseSteps = viaInverse.reduce((sum, r) => sum + r.inverseSteps * r.targets, 0);
+    const solved = rows.reduce((sum, r) => sum + r.solved, 0);
+    const steps = rows.reduce((sum, r) => sum + r.steps, 0);
+    const rescued = rows.reduce((sum, r) => sum + r.rescued, 0);
+    const shorter = rows.reduce((sum, r) => sum + r.shorter, 0);
+    const share = count => `${count}/${targets} (${(count / targets * 100).toFixed(1)}%)`;
+
+    console.log(`${rows.length} coprime pairs, ${targets} (x, y, t) targets`);
+    console.log(`inverse then multiply: ${share(inverseSolved)} solved, avg steps ${(inverseSteps / inverseSolved).toFixed(3)}`);
+    console.log(`target mode:           ${share(solved)} solved, avg steps ${(steps / solved).toFixed(3)}`);
+    console.log(`target mode solved ${rescued} targets whose inverse chain fails; stopped early on ${shorter} of the ${inverseSolved} the inverse also solves`);
+}
+
+function main() {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const byPrimality = process.argv.includes('--by-primality');
+    const maxY = parseInt(args[0] || '60', 10);
+    const strategy = args[1] || Registry.DEFAULT_STRATEGY;
+    if (!Registry.getStrategy(strategy).guarantees.target) {
+        throw new Error(`Strategy ${strategy} does not support target mode`);
+    }
+
+    console.log(`Comparing target mode with inverse-then-multiply up to y=${maxY} (${strategy}) ...`);
+    const rows = analyzeRange(maxY, strategy);
+
+    const outDir = path.join(__dirname, '..', 'out');
+    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
+    const outPath = path.join(outDir, `target_y${maxY}_${strategy}.csv`);
+    writeCsv(rows, outPath);
+    console.log(`CSV written: ${outPath}`);
+
+    printSummary(rows);
+    if (byPrimality) {
+        for (const prime of [true, false]) {
+            console.log(`\n${prime ? 'Prime' : 'Composite'} y:`);
+            printSummary(rows.filter(r => isPrime(r.y) === prime));
+        }
+    }
+}
+
+if (require.main === module) {
+    main();
+}
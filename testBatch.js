@@ -0,0 +1,157 @@
+/**
+ * Test file for batch inversion (Montgomery's trick) and one x against many moduli
+ */
+
+const assert = require('assert');
+
+const { inverseModBatch, inverseModMany } = require('./inverseModBatch.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const Registry = require('./inverseModRegistry.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { NoConvergenceError, InvalidInputError, PrecisionError } = require('./inverseModErrors.js');
+
+function testMatchesSingleInverses() {
+    console.log('=== Batch inverses match one-by-one inverses ===');
+    const y = 1000003;
+    const xs = Array.from({ length: 2000 }, (_, i) => (i * 7919 + 12345) % (3 * y) - y);
+    for (const strategy of ['fixed', 'backtrack', 'humanized']) {
+        const batch = inverseModBatch(xs, y, { strategy, hybrid: true });
+        assert.strictEqual(batch.success, true, strategy);
+        assert.strictEqual(batch.strategy, strategy);
+        batch.inverses.forEach((inverse, i) => {
+            if (inverse === null) return;
+            assert.strictEqual(inverse, Arithmetic.modInverse(Arithmetic.leastResidue(xs[i], y), y), `${strategy} ${xs[i]}`);
+        });
+        const invertible = xs.length - batch.failures.length;
+        assert.strictEqual(batch.multiplications, 3 * (invertible - 1));
+        console.log(`${strategy}: ${invertible} inverses, ${batch.multiplications} multiplications, one ${batch.method} inversion`);
+    }
+}
+
+function testNonInvertibleInputs() {
+    console.log('\n=== Non-invertible inputs are reported, not fatal ===');
+    const batch = inverseModBatch([5, 4, 0, 7, 24, -1], 12, { hybrid: true });
+    assert.strictEqual(batch.success, true);
+    assert.deepStrictEqual(batch.inverses, [5, null, null, 7, null, 11]);
+    assert.deepStrictEqual(batch.failures, [
+        { index: 1, x: 4, code: OutcomeCode.NOT_COPRIME, gcd: 4 },
+        { index: 2, x: 0, code: OutcomeCode.ZERO_OPERAND, gcd: 12 },
+        { index: 4, x: 24, code: OutcomeCode.ZERO_OPERAND, gcd: 12 }
+    ]);
+
+    // Values that are not usable integers are failures of their own, not of the batch
+    const mixed = inverseModBatch([3, 2.5, 4, 2 ** 60, 'abc'], 7);
+    assert.deepStrictEqual([mixed.success, mixed.inverses], [true, [5, null, 2, null, null]]);
+    assert.deepStrictEqual(mixed.failures.map(({ index, code }) => [index, code]),
+        [[1, OutcomeCode.INVALID_INPUT], [3, OutcomeCode.PRECISION_LOSS], [4, OutcomeCode.INVALID_INPUT]]);
+    assert.strictEqual(mixed.failures[0].reason, '2.5 is not an integer');
+    assert.deepStrictEqual(inverseModBatch([3, 2.5], 7, { throwOnError: true }).inverses, [5, null]);
+
+    const none = inverseModBatch([2, 4, 6], 8);
+    assert.deepStrictEqual([none.success, none.outcome, none.failures.length], [true, null, 3]);
+    assert.deepStrictEqual(inverseModBatch([], 7).inverses, []);
+}
+
+function testFailedInversion() {
+    console.log('\n=== A failed k-chain fails every invertible input ===');
+    // 5 * 7 = 11 mod 12, whose FIXED chain ends at 0
+    const failed = inverseModBatch([5, 7, 6], 12);
+    assert.deepStrictEqual([failed.success, failed.inverses, failed.outcome.code], [false, [null, null, null], OutcomeCode.ZERO_REMAINDER]);
+    assert.strictEqual(failed.failures.length, 1);
+    assert.strictEqual(failed.outcome.code, Registry.solve(11, 12).outcome.code);
+    assert.throws(() => inverseModBatch([5, 7], 12, { throwOnError: true }), NoConvergenceError);
+    assert.deepStrictEqual(inverseModBatch([5, 7], 12, { hybrid: true }).inverses, [5, 7]);
+
+    const invalid = inverseModBatch([3], -7);
+    assert.deepStrictEqual([invalid.success, invalid.outcome.code], [false, OutcomeCode.INVALID_INPUT]);
+    assert.throws(() => inverseModBatch([3], 0, { throwOnError: true }), InvalidInputError);
+    const unsafe = inverseModBatch([3], 2 ** 60);
+    assert.deepStrictEqual([unsafe.success, unsafe.outcome.code, unsafe.outcome.operand], [false, OutcomeCode.PRECISION_LOSS, 'y']);
+    assert.throws(() => inverseModBatch([3], 2.5, { throwOnError: true }), InvalidInputError);
+    assert.throws(() => inverseModBatch([3], 2 ** 60, { throwOnError: true }), PrecisionError);
+}
+
+function testTypesAndRepresentation() {
+    console.log('\n=== BigInt, strings and symmetric output ===');
+    const y = (1n << 127n) - 1n;
+    const xs = [3n, '123456789012345678901234567890', 5n];
+    const batch = inverseModBatch(xs, y, { hybrid: true });
+    batch.inverses.forEach((inverse, i) => {
+        assert.strictEqual(typeof inverse, 'bigint');
+        assert.strictEqual(inverse * BigInt(xs[i]) % y, 1n);
+    });
+    assert.deepStrictEqual(inverseModBatch([6, 31], 37, { representation: 'symmetric' }).inverses, [-6, 6]);
+    assert.deepStrictEqual(inverseModBatch([6n, 31n], 37n).inverses, [31n, 6n]);
+}
+
+function testManyModuli() {
+    console.log('\n=== One x against many moduli ===');
+    const ys = Array.from({ length: 300 }, (_, i) => i + 2);
+    for (const strategy of ['fixed', 'robust', 'humanized']) {
+        const many = inverseModMany(-123456, ys, { strategy, hybrid: true });
+        many.results.forEach((result, i) => {
+            const single = Registry.solve(Arithmetic.leastResidue(-123456, ys[i]), ys[i], { strategy, hybrid: true });
+            if (result.method === null) {
+                assert.strictEqual(result.gcd, Arithmetic.gcd(123456, ys[i]), `${strategy} ${ys[i]}`);
+                return;
+            }
+            assert.deepStrictEqual([result.y, result.inverse, result.code], [ys[i], single.inverse, single.outcome.code], `${strategy} ${ys[i]}`);
+        });
+        const total = Object.values(many.counts).reduce((a, b) => a + b, 0);
+        assert.strictEqual(total, ys.length);
+        console.log(`${strategy}: ${JSON.stringify(many.counts)}`);
+    }
+
+    const many = inverseModMany(10, [7, 11, 12, 13, 7, -5, 5]);
+    assert.strictEqual(many.success, false);
+    assert.deepStrictEqual(many.results.map(result => result.inverse), [5, 10, null, 4, 5, null, null]);
+    assert.deepStrictEqual(many.failures, [
+        { index: 2, y: 12, code: OutcomeCode.NOT_COPRIME, gcd: 2 },
+        { index: 5, y: -5, code: OutcomeCode.INVALID_INPUT, operand: 'y' },
+        { index: 6, y: 5, code: OutcomeCode.ZERO_OPERAND, gcd: 5 }
+    ]);
+    assert.deepStrictEqual(many.counts, { REACHED_ONE: 4, NOT_COPRIME: 1, INVALID_INPUT: 1, ZERO_OPERAND: 1 });
+
+    // A bad modulus is that slot's failure, not the whole list's; y = 0 is a zero operand as in the variants
+    const bad = inverseModMany(5, [7, 2.5, 2 ** 60, 0, 11]);
+    assert.deepStrictEqual(bad.results.map(result => result.inverse), [3, null, null, null, 9]);
+    assert.deepStrictEqual(bad.failures, [
+        { index: 1, y: 2.5, code: OutcomeCode.INVALID_INPUT, operand: 'y' },
+        { index: 2, y: 2 ** 60, code: OutcomeCode.PRECISION_LOSS, operand: 'y' },
+        { index: 3, y: 0, code: OutcomeCode.ZERO_OPERAND }
+    ]);
+    assert.strictEqual(bad.results[1].reason, '2.5 is not an integer');
+    assert.deepStrictEqual(bad.results[3].operands, ['y']);
+    assert.strictEqual(Registry.solve(5, 0).outcome.code, OutcomeCode.ZERO_OPERAND);
+    assert.deepStrictEqual(inverseModMany(2.5, [7, 11]).counts, { INVALID_INPUT: 2 });
+    assert.strictEqual(many.results[0].trace, undefined);
+
+    // A k-chain failure is one modulus's result, and throwing mode does not apply
+    const failed = inverseModMany(5, [12, 37], { throwOnError: true, includeTraces: true });
+    assert.deepStrictEqual(failed.failures, [{ index: 0, y: 12, code: Registry.solve(5, 12).outcome.code }]);
+    assert.strictEqual(failed.results[1].trace.valid, true);
+
+    const big = inverseModMany('123456789012345678901234567890', [1000003, (1n << 127n) - 1n], { representation: 'symmetric' });
+    assert.strictEqual(big.success, true);
+    for (const { y, inverse } of big.results) {
+        assert.strictEqual(typeof inverse, 'bigint');
+        assert.strictEqual(Arithmetic.leastResidue(inverse * 123456789012345678901234567890n, BigInt(y)), 1n);
+    }
+    assert.deepStrictEqual(inverseModMany(6, []), { x: 6, success: true, results: [], failures: [], counts: {} });
+
+    // The same modulus as a Number and as a BigInt (or numeric string) keeps each caller's type
+    const mixed = inverseModMany(31, [37, 37n, ' 37', 37, 12n, 12]);
+    assert.deepStrictEqual(mixed.results.map(result => result.inverse), [6, 6n, 6n, 6, null, null]);
+    assert.deepStrictEqual(inverseModMany(10, [5n, 5]).results.map(result => result.gcd), [5n, 5]);
+}
+
+function run() {
+    testMatchesSingleInverses();
+    testNonInvertibleInputs();
+    testFailedInversion();
+    testTypesAndRepresentation();
+    testManyModuli();
+    console.log('\nAll batch tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,95 @@
+/**
+ * Test file for the BigInt / large-modulus paths of every InverseMod variant
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+
+const variants = [
+    { name: 'Original', inverse: InverseMod.inverseMod },
+    { name: 'Fixed', inverse: InverseModFixed.inverseMod },
+    { name: 'Robust', inverse: InverseModRobust.inverseMod },
+    { name: 'Backtrack', inverse: InverseModBacktrack.inverseMod },
+    { name: 'Human', inverse: Human.modularInverse }
+];
+
+// Prime moduli: every remainder is coprime to y, so all variants converge
+const MERSENNE_127 = (1n << 127n) - 1n;
+const P_25519 = (1n << 255n) - 19n;
+
+function expectValidInverse(name, z, x, y) {
+    console.log(`${name}: inverse(${x}, ${y}) = ${z}`);
+    assert.strictEqual(typeof z, typeof y, `${name} should return the operand type`);
+    assert.strictEqual((BigInt(z) * BigInt(x)) % BigInt(y), 1n, `${name} validation failed`);
+}
+
+function testBigIntOperands() {
+    console.log('=== BigInt operands ===');
+    for (const { name, inverse } of variants) {
+        expectValidInverse(name, inverse(31n, 37n), 31n, 37n);
+        expectValidInverse(name, inverse(123456789012345678901234567890n, MERSENNE_127), 123456789012345678901234567890n, MERSENNE_127);
+        // Chain of 33 steps, inside every variant's iteration limit
+        expectValidInverse(name, inverse(2n ** 200n + 7n, P_25519), 2n ** 200n + 7n, P_25519);
+    }
+}
+
+function testNumericStrings() {
+    console.log('\n=== Numeric string operands ===');
+    for (const { name, inverse } of variants) {
+        assert.strictEqual(inverse('31', '37'), 6n, `${name} should parse numeric strings as BigInt`);
+        expectValidInverse(name, inverse('98765432109876543210', MERSENNE_127.toString()), 98765432109876543210n, MERSENNE_127);
+    }
+}
+
+function testNumberPromotion() {
+    console.log('\n=== Number path promotion ===');
+    // The product of k values overflows 2^53 long before y does
+    const y = 1000000007;
+    for (const { name, inverse } of variants) {
+        expectValidInverse(name, inverse(1234567, y), 1234567, y);
+    }
+
+    // y above MAX_SAFE_INTEGER / 2: r * k would overflow, so the loop runs on BigInt internally
+    const bigY = 2 ** 52 + 1;
+    for (const { name, inverse } of variants.filter(v => v.name !== 'Human')) {
+        const z = inverse(3, bigY);
+        assert.strictEqual(typeof z, 'number');
+        assert.strictEqual(Arithmetic.mulMod(z, 3, bigY), 1, `${name} promoted run returned a wrong inverse`);
+    }
+}
+
+function testUnsafeNumbersFailLoudly() {
+    console.log('\n=== Unsafe Numbers ===');
+    for (const { name, inverse } of variants) {
+        // No inverse in result mode (0 from the k-chain variants, null from the humanized API)
+        assert.ok(!inverse(2 ** 60, 7), `${name} should reject unsafe Numbers`);
+        assert.throws(() => inverse(2 ** 60, 7, { throwOnError: true }), Arithmetic.PrecisionError, name);
+    }
+    const human = Human.computeModularInverse(2 ** 60, 7);
+    assert.deepStrictEqual([human.success, human.outcome.code], [false, 'PRECISION_LOSS']);
+    console.log('Unsafe Numbers rejected');
+}
+
+function testRunInverseModKeepsBigStrings() {
+    console.log('\n=== runInverseMod with large strings ===');
+    const res = InverseModFixed.runInverseMod('123456789012345678901234567890', MERSENNE_127.toString(), false);
+    assert.strictEqual(res.success, true);
+    expectValidInverse('Fixed.runInverseMod', res.z, 123456789012345678901234567890n, MERSENNE_127);
+}
+
+function run() {
+    testBigIntOperands();
+    testNumericStrings();
+    testNumberPromotion();
+    testUnsafeNumbersFailLoudly();
+    testRunInverseModKeepsBigStrings();
+    console.log('\nAll BigInt tests passed.');
+}
+
+if (require.main === module) run();
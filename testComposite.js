@@ -0,0 +1,162 @@
+/**
+ * Test file for factorization and the composite-modulus (CRT) solver
+ */
+
+const assert = require('assert');
+
+const { factorize, isProbablePrime } = require('./inverseModFactor.js');
+const { crt, inverseModComposite } = require('./inverseModComposite.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const Registry = require('./inverseModRegistry.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { InvalidInputError, NotCoprimeError, NoConvergenceError } = require('./inverseModErrors.js');
+
+/**
+ * Multiplies a factorization back out
+ */
+function expand(factors) {
+    return factors.reduce((product, { factor, exponent }) => product * BigInt(factor) ** BigInt(exponent), 1n);
+}
+
+function testPrimality() {
+    console.log('=== Miller-Rabin and powMod ===');
+    const sieve = Array.from({ length: 5000 }, (_, n) => n >= 2);
+    for (let p = 2; p * p < sieve.length; p++) {
+        for (let m = p * p; m < sieve.length; m += p) sieve[m] = false;
+    }
+    sieve.forEach((prime, n) => assert.strictEqual(isProbablePrime(n), prime, `${n}`));
+    // Carmichael numbers and strong pseudoprimes to small bases
+    for (const n of [561, 1105, 1729, 2047, 3215031751, 3825123056546413051n]) {
+        assert.strictEqual(isProbablePrime(n), false, `${n}`);
+    }
+    assert.strictEqual(isProbablePrime((1n << 127n) - 1n), true);
+    assert.strictEqual(isProbablePrime('9007199254740881'), true);
+
+    assert.strictEqual(Arithmetic.powMod(3, 200, 1000003), Number(3n ** 200n % 1000003n));
+    assert.strictEqual(Arithmetic.powMod(-2, 5, 7), 3);
+    assert.strictEqual(Arithmetic.powMod(5n, 0n, 1n), 0n);
+    assert.strictEqual(Arithmetic.powMod(2 ** 40 + 1, 3, Number.MAX_SAFE_INTEGER), Number((2n ** 40n + 1n) ** 3n % 9007199254740991n));
+}
+
+function testFactorize() {
+    console.log('\n=== Trial division and Pollard rho ===');
+    for (let n = 1; n < 3000; n++) {
+        const factors = factorize(n);
+        assert.strictEqual(expand(factors), BigInt(n));
+        factors.forEach(({ factor, prime }) => assert.ok(prime && isProbablePrime(factor), `${n}: ${factor}`));
+    }
+    assert.deepStrictEqual(factorize(360), [
+        { factor: 2, exponent: 3, prime: true },
+        { factor: 3, exponent: 2, prime: true },
+        { factor: 5, exponent: 1, prime: true }
+    ]);
+    assert.deepStrictEqual(factorize(1), []);
+
+    // Past the trial limit: rho splits the rest
+    assert.deepStrictEqual(factorize(2 ** 53 - 1).map(entry => entry.factor), [6361, 69431, 20394401]);
+    assert.deepStrictEqual(factorize(1000003n ** 2n * 1000033n), [
+        { factor: 1000003n, exponent: 2, prime: true },
+        { factor: 1000033n, exponent: 1, prime: true }
+    ]);
+    assert.deepStrictEqual(factorize('18446744073709551617').map(entry => entry.factor), [274177n, 67280421310721n]);
+
+    // Out of budget, a part stays composite but the parts are still pairwise coprime
+    const primes = [1000003n, 1000033n, 1000037n];
+    for (let budget = 1; budget < 2000; budget += 53) {
+        const n = primes[0] ** 2n * primes[1] * primes[2];
+        const factors = factorize(n, { trialLimit: 10, maxRhoIterations: budget });
+        assert.strictEqual(expand(factors), n);
+        for (const a of factors) {
+            for (const b of factors) {
+                if (a !== b) assert.strictEqual(Arithmetic.gcd(a.factor, b.factor), 1n, `budget ${budget}`);
+            }
+        }
+    }
+    assert.deepStrictEqual(factorize(1000003n * 1000033n, { maxRhoIterations: 10 }), [{ factor: 1000036000099n, exponent: 1, prime: false }]);
+    assert.throws(() => factorize(0), InvalidInputError);
+}
+
+function testCrt() {
+    console.log('\n=== Chinese Remainder Theorem ===');
+    assert.deepStrictEqual(crt([2, 3, 2], [3, 5, 7]), { residue: 23, modulus: 105 });
+    assert.deepStrictEqual(crt([5n], [12n]), { residue: 5n, modulus: 12n });
+    assert.deepStrictEqual(crt([], []), { residue: 0, modulus: 1 });
+    assert.throws(() => crt([1, 1], [4, 6]), NotCoprimeError);
+}
+
+function testCompositeInverses() {
+    console.log('\n=== Inverses modulo composite y ===');
+    for (const strategy of ['fixed', 'robust', 'backtrack']) {
+        let direct = 0;
+        let composite = 0;
+        let coprime = 0;
+        for (let y = 4; y <= 150; y++) {
+            if (isProbablePrime(y)) continue;
+            for (let x = 1; x < y; x++) {
+                if (Arithmetic.gcd(x, y) !== 1) continue;
+                coprime++;
+                if (Registry.solve(x, y, { strategy }).success) direct++;
+                const result = inverseModComposite(x, y, { strategy });
+                if (!result.success) {
+                    assert.ok(result.factors.some(entry => !entry.success));
+                    assert.strictEqual(result.outcome.modulus, result.factors.find(entry => entry.outcome.code !== OutcomeCode.REACHED_ONE).modulus);
+                    continue;
+                }
+                composite++;
+                assert.strictEqual(result.inverse, Arithmetic.modInverse(x, y), `${strategy} ${x} mod ${y}`);
+                assert.strictEqual(result.factors.reduce((product, entry) => product * entry.modulus, 1), y);
+                result.factors.forEach(entry => assert.strictEqual((entry.inverse * entry.residue) % entry.modulus, 1 % entry.modulus));
+            }
+        }
+        assert.ok(composite > direct, strategy);
+        console.log(`${strategy}: composite y up to 150, ${direct}/${coprime} inverses directly, ${composite}/${coprime} through the factors`);
+    }
+
+    // 5 mod 12: 5 mod 4 = 1 and 5 mod 3 = 2 both reach 1, where the chain mod 12 does not
+    const twelve = inverseModComposite(5, 12);
+    assert.deepStrictEqual([twelve.success, twelve.inverse, twelve.method, twelve.outcome.code], [true, 5, 'kchain', OutcomeCode.REACHED_ONE]);
+    assert.deepStrictEqual(twelve.factors.map(entry => [entry.modulus, entry.residue, entry.inverse, entry.steps]), [[4, 1, 1, 1], [3, 2, 2, 1]]);
+    assert.strictEqual(twelve.factors[0].trace.valid, true);
+
+    const hybrid = inverseModComposite(31, 360, { hybrid: true });
+    assert.deepStrictEqual([hybrid.inverse, hybrid.method], [Arithmetic.modInverse(31, 360), 'fallback']);
+    assert.strictEqual(inverseModComposite(31, 360).outcome.modulus, 8);
+    assert.throws(() => inverseModComposite(31, 360, { throwOnError: true }), NoConvergenceError);
+
+    // Lifting the prime-power factors from the chain mod p
+    const lifted = inverseModComposite(31, 360, { lift: true });
+    assert.deepStrictEqual([lifted.inverse, lifted.method], [Arithmetic.modInverse(31, 360), 'kchain']);
+    assert.deepStrictEqual(lifted.factors.map(entry => [entry.modulus, entry.trace.y, entry.lifts && entry.lifts.length]), [[8, 2, 2], [9, 3, 1], [5, 5, undefined]]);
+    for (let x = 1; x < 1024 * 9; x += 2) {
+        if (x % 3 === 0) continue;
+        assert.strictEqual(inverseModComposite(x, 1024 * 9, { lift: true }).inverse, Arithmetic.modInverse(x, 1024 * 9), `${x}`);
+    }
+}
+
+function testRejectionsAndTypes() {
+    console.log('\n=== Rejections, BigInt and representation ===');
+    assert.deepStrictEqual(inverseModComposite(4, 6).outcome, { code: OutcomeCode.NOT_COPRIME, gcd: 2 });
+    assert.strictEqual(inverseModComposite(12, 6).outcome.code, OutcomeCode.ZERO_OPERAND);
+    assert.strictEqual(inverseModComposite(3, -7).outcome.code, OutcomeCode.INVALID_INPUT);
+    assert.throws(() => inverseModComposite(4, 6, { throwOnError: true }), NotCoprimeError);
+    assert.throws(() => inverseModComposite(3, 0, { throwOnError: true }), InvalidInputError);
+
+    const y = 1000003n ** 2n * 1000033n;
+    const big = inverseModComposite(-7n, y, { strategy: 'fixed', hybrid: true, representation: 'symmetric' });
+    assert.strictEqual(typeof big.inverse, 'bigint');
+    assert.ok(big.inverse * 2n <= y && big.inverse * 2n > -y);
+    assert.strictEqual(Arithmetic.leastResidue(big.inverse * -7n, y), 1n);
+    assert.deepStrictEqual(big.factors.map(entry => entry.modulus), [1000003n ** 2n, 1000033n]);
+    assert.strictEqual(inverseModComposite('5', '12').inverse, 5n);
+}
+
+function run() {
+    testPrimality();
+    testFactorize();
+    testCrt();
+    testCompositeInverses();
+    testRejectionsAndTypes();
+    console.log('\nAll composite tests passed.');
+}
+
+if (require.main === module) run();
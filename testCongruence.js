@@ -0,0 +1,121 @@
+/**
+ * Test file for linear congruences and congruence systems
+ */
+
+const assert = require('assert');
+
+const { solveLinearCongruence, solveCongruences } = require('./inverseModCongruence.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { InvalidInputError, NoConvergenceError, PrecisionError } = require('./inverseModErrors.js');
+
+/**
+ * Every z in [0, m) with a * z = b (mod m), by trying them all
+ */
+function bruteForce(a, b, m) {
+    const mod = value => ((value % m) + m) % m;
+    return Array.from({ length: m }, (_, z) => z).filter(z => mod(a * z) === mod(b));
+}
+
+function testLinearCongruences() {
+    console.log('=== a * z = b (mod m) against brute force ===');
+    for (const strategy of ['fixed', 'backtrack', 'humanized']) {
+        let solvable = 0;
+        for (let m = 1; m <= 40; m++) {
+            for (let a = -m; a <= m; a++) {
+                for (let b = -3; b <= m; b++) {
+                    const expected = bruteForce(a, b, m);
+                    const result = solveLinearCongruence(a, b, m, { strategy, hybrid: true });
+                    assert.strictEqual(result.success, true);
+                    assert.strictEqual(result.solvable, expected.length > 0, `${strategy}: ${a} z = ${b} mod ${m}`);
+                    assert.deepStrictEqual(result.solutions, expected, `${strategy}: ${a} z = ${b} mod ${m}`);
+                    if (result.solvable) {
+                        solvable++;
+                        assert.deepStrictEqual([result.count, result.modulus * result.gcd], [expected.length, m]);
+                    } else {
+                        assert.deepStrictEqual(result.outcome, { code: OutcomeCode.NOT_COPRIME, gcd: result.gcd });
+                    }
+                }
+            }
+        }
+        console.log(`${strategy}: ${solvable} solvable congruences checked`);
+    }
+}
+
+function testLinearDetails() {
+    console.log('\n=== gcd > 1, failed chains and limits ===');
+    const split = solveLinearCongruence(6, 4, 10);
+    assert.deepStrictEqual([split.gcd, split.residue, split.modulus, split.count, split.solutions], [2, 4, 5, 2, [4, 9]]);
+    assert.deepStrictEqual([split.method, split.outcome.code], ['kchain', OutcomeCode.REACHED_ONE]);
+
+    // Every z solves 0 * z = 0, and no inverse is needed for it
+    const everything = solveLinearCongruence(0, 0, 4);
+    assert.deepStrictEqual([everything.solutions, everything.method, everything.outcome], [[0, 1, 2, 3], null, null]);
+    assert.strictEqual(solveLinearCongruence(2, 0, 4000, { maxSolutions: 1 }).solutions, null);
+
+    // 5 mod 12 has an inverse the fixed chain misses
+    const failed = solveLinearCongruence(5, 1, 12);
+    assert.deepStrictEqual([failed.success, failed.solvable, failed.outcome.code], [false, null, OutcomeCode.ZERO_REMAINDER]);
+    assert.throws(() => solveLinearCongruence(5, 1, 12, { throwOnError: true }), NoConvergenceError);
+    assert.deepStrictEqual(solveLinearCongruence(5, 1, 12, { hybrid: true }).solutions, [5]);
+
+    assert.strictEqual(solveLinearCongruence(3, 1, 0).outcome.code, OutcomeCode.INVALID_INPUT);
+    assert.throws(() => solveLinearCongruence(3, 1, -7, { throwOnError: true }), InvalidInputError);
+
+    const big = solveLinearCongruence(6n, 4n, (1n << 89n) - 1n);
+    assert.strictEqual(typeof big.residue, 'bigint');
+    assert.strictEqual((6n * big.residue) % ((1n << 89n) - 1n), 4n);
+    assert.strictEqual(solveLinearCongruence('14', '30', '100', { hybrid: true }).residue, 45n);
+}
+
+function testSystems() {
+    console.log('\n=== Generalized CRT against brute force ===');
+    const moduli = [4, 6, 9, 10, 15];
+    let checked = 0;
+    for (const m1 of moduli) {
+        for (const m2 of moduli) {
+            for (let r1 = 0; r1 < m1; r1++) {
+                for (let r2 = 0; r2 < m2; r2 += 3) {
+                    const congruences = [{ b: r1, m: m1 }, { a: 2, b: r2, m: m2 }, { b: 1, m: 7 }];
+                    const range = m1 * m2 * 7;
+                    const expected = Array.from({ length: range }, (_, z) => z)
+                        .filter(z => z % m1 === r1 && (2 * z - r2) % m2 === 0 && z % 7 === 1);
+                    const result = solveCongruences(congruences, { hybrid: true });
+                    assert.strictEqual(result.success, true);
+                    assert.strictEqual(result.solvable, expected.length > 0, JSON.stringify(congruences));
+                    if (!result.solvable) {
+                        assert.ok([0, 1].includes(result.conflict.index));
+                        continue;
+                    }
+                    checked++;
+                    assert.strictEqual(result.residue, expected[0], JSON.stringify(congruences));
+                    assert.strictEqual(result.modulus, expected[1] === undefined ? range : expected[1] - expected[0]);
+                }
+            }
+        }
+    }
+    console.log(`${checked} solvable systems checked`);
+
+    assert.deepStrictEqual(solveCongruences([{ b: 2, m: 6 }, { b: 8, m: 10 }, { b: 5, m: 7 }]).residue, 68);
+    assert.deepStrictEqual(solveCongruences([{ b: 1, m: 6 }, { b: 2, m: 4 }]).conflict, { index: 1, gcd: 2, reason: 'inconsistent' });
+    assert.deepStrictEqual(solveCongruences([{ a: 2, b: 1, m: 4 }]).conflict, { index: 0, gcd: 2, reason: 'unsolvable' });
+    assert.deepStrictEqual([solveCongruences([]).residue, solveCongruences([]).modulus], [0, 1]);
+
+    const failed = solveCongruences([{ b: 1, m: 7 }, { a: 5, b: 1, m: 12 }]);
+    assert.deepStrictEqual([failed.success, failed.solvable, failed.outcome.index], [false, null, 1]);
+    assert.throws(() => solveCongruences([{ b: 1, m: 7 }, { b: 1, m: 0 }], { throwOnError: true }), InvalidInputError);
+
+    const primes = [1000003n, 1000033n, 1000037n, 1000039n];
+    const bigSystem = solveCongruences(primes.map((m, i) => ({ b: BigInt(i + 1), m })), { hybrid: true });
+    assert.strictEqual(bigSystem.modulus, primes.reduce((a, b) => a * b));
+    primes.forEach((m, i) => assert.strictEqual(bigSystem.residue % m, BigInt(i + 1)));
+    assert.throws(() => solveCongruences(primes.map((m, i) => ({ b: i + 1, m: Number(m) })), { hybrid: true }), PrecisionError);
+}
+
+function run() {
+    testLinearCongruences();
+    testLinearDetails();
+    testSystems();
+    console.log('\nAll congruence tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,130 @@
+/**
+ * Test file for debug mode: invariant checks at every k-step
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Trace = require('./inverseModTrace.js');
+const { gcd } = require('./inverseModArithmetic.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testCorrectRunsPass() {
+    console.log('=== Debug mode accepts every coprime pair with y < 150 ===');
+    for (const { name, module } of variants) {
+        for (let y = 2; y < 150; y++) {
+            for (let x = 1; x < 2 * y; x++) {
+                if (gcd(x, y) !== 1) continue;
+                const plain = module.inverseModFull(x, y);
+                const debug = module.inverseModFull(x, y, { debug: true });
+                assert.deepStrictEqual(debug.trace, plain.trace, `${name} ${x} mod ${y}`);
+            }
+        }
+        console.log(`${name}: no violations`);
+    }
+    const big = InverseModFixed.inverseModFull(123456789n, (1n << 89n) - 1n, { debug: true });
+    assert.strictEqual(big.trace.termination.code, InverseModFixed.inverseModFull(123456789n, (1n << 89n) - 1n).trace.termination.code);
+
+    for (const searchStrategy of Human.SEARCH_STRATEGIES) {
+        for (let y = 2; y < 80; y++) {
+            for (let x = 1; x < y; x++) {
+                Human.findInverseWithBacktracking(x, y, { debug: true, searchStrategy, memoize: true });
+            }
+        }
+    }
+    console.log('Humanized: no violations');
+}
+
+function assertViolation(run, check, index) {
+    let caught = null;
+    try {
+        run();
+    } catch (error) {
+        caught = error;
+    }
+    assert.ok(caught instanceof Trace.InvariantViolationError, `expected an InvariantViolationError, got ${caught}`);
+    assert.strictEqual(caught.check, check, caught.message);
+    assert.strictEqual(caught.step.index, index);
+    // The partial trace ends with the offending step
+    const steps = Trace.stepEntries(caught.trace);
+    assert.strictEqual(steps[steps.length - 1], caught.step);
+    return caught;
+}
+
+function testViolationsThrow() {
+    console.log('\n=== Violations throw with the partial trace ===');
+    // Injected k values are checked like the k rule's
+    const error = assertViolation(() => InverseModFixed.inverseModFull(31, 37, { debug: true, chooseK: () => 3 }), Trace.TraceCheck.UPPER_BOUND, 1);
+    console.log(error.message);
+    const steps = InverseModFixed.inverseModIterate(31, 37, { debug: true });
+    steps.next();
+    assertViolation(() => steps.next(1), Trace.TraceCheck.LOWER_BOUND, 2);
+
+    // The original port's first k oversteps when x divides y, but such x is rejected before the chain
+    const rejected = InverseMod.inverseModFull(2, 4, { debug: true }).trace;
+    assert.deepStrictEqual([rejected.termination.code, rejected.steps.length], [Trace.OutcomeCode.NOT_COPRIME, 0]);
+}
+
+function testAdjustmentAndInvariant() {
+    console.log('\n=== Adjusted k and the running product ===');
+    const start = (bounds) => {
+        const trace = Trace.createTrace('backtrack', 31, 37);
+        Trace.enableDebug(trace, { bounds });
+        Trace.recordStep(trace, 1, 31, 2, 25);
+        return trace;
+    };
+
+    // A step that does not use the k a local adjustment chose (an off-by-one in tryLocalAdjustK)
+    assertViolation(() => {
+        const trace = start('relaxed');
+        Trace.recordAdjustment(trace, 2, 2, 3, 1);
+        Trace.recordStep(trace, 2, 25, 4, 26);
+    }, Trace.TraceCheck.STEP_ENTRY, 2);
+
+    // An adjustment must make progress
+    assertViolation(() => {
+        const trace = start('relaxed');
+        Trace.recordAdjustment(trace, 2, 2, 4, 26);
+        Trace.recordStep(trace, 2, 25, 4, 26);
+    }, Trace.TraceCheck.DECREASING, 2);
+
+    // A step that does not continue from r[1]
+    assertViolation(() => Trace.recordStep(start('strict'), 2, 24, 2, 11), Trace.TraceCheck.INVARIANT, 2);
+    assertViolation(() => Trace.recordStep(start('strict'), 3, 13, 3, 2), Trace.TraceCheck.STEP_ENTRY, 3);
+
+    // Replays after a backtrack start a new run of the chain at step 1
+    const trace = start('strict');
+    Trace.recordSteps(trace, [Trace.createStep(1, 31, 2, 25, 37), Trace.createStep(2, 25, 2, 13, 37)]);
+    assert.strictEqual(Trace.countSteps(trace), 3);
+}
+
+function testHumanizedTable() {
+    console.log('\n=== Humanized: chains taken from the transposition table are checked too ===');
+    const table = Human.createTranspositionTable();
+    Human.findInverseWithBacktracking(31, 37, { transpositionTable: table });
+    // Corrupt the chain stored for 31: 25 * 3 % 37 is 1, not 2
+    const entries = table.values().next().value;
+    entries.set(31, { chain: { multipliers: [2, 3], remainders: [31, 25, 2] } });
+    assert.strictEqual(Human.findInverseWithBacktracking(31, 37, { transpositionTable: table }).found, true);
+    assertViolation(() => Human.findInverseWithBacktracking(31, 37, { transpositionTable: table, debug: true }), Trace.TraceCheck.INVARIANT, 2);
+}
+
+function run() {
+    testCorrectRunsPass();
+    testViolationsThrow();
+    testAdjustmentAndInvariant();
+    testHumanizedTable();
+    console.log('\nAll debug mode tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,190 @@
+/**
+ * Test file for the typed errors and throwing mode
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Registry = require('./inverseModRegistry.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const {
+    InverseModError,
+    InvalidInputError,
+    NotCoprimeError,
+    NoConvergenceError,
+    PrecisionError,
+    errorFromOutcome
+} = require('./inverseModErrors.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+/**
+ * Runs a call that must throw and returns the error
+ */
+function caught(run) {
+    try {
+        run();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error');
+}
+
+function testHierarchy() {
+    console.log('=== Error classes ===');
+    for (const ErrorClass of [InvalidInputError, NotCoprimeError, NoConvergenceError, PrecisionError]) {
+        const error = new ErrorClass('message', {});
+        assert.ok(error instanceof InverseModError && error instanceof Error, ErrorClass.name);
+        assert.strictEqual(error.name, ErrorClass.name);
+    }
+    assert.strictEqual(Arithmetic.PrecisionError, PrecisionError);
+    // A real subclass: the prototype chain agrees with instanceof
+    assert.strictEqual(Object.getPrototypeOf(PrecisionError.prototype), InverseModError.prototype);
+    assert.ok(!(new PrecisionError('', {}) instanceof RangeError));
+    assert.ok(!(new PrecisionError('', {}) instanceof NotCoprimeError));
+    assert.ok(!(new RangeError('') instanceof InverseModError));
+    assert.strictEqual(new NotCoprimeError('', {}).code, OutcomeCode.NOT_COPRIME);
+    assert.strictEqual(new PrecisionError('', {}).code, OutcomeCode.PRECISION_LOSS);
+
+    assert.ok(caught(() => Arithmetic.selectArithmetic(2.5, 7)) instanceof InvalidInputError);
+    assert.strictEqual(caught(() => Arithmetic.prepareOperands(3, 'abc')).operand, 'y');
+    assert.ok(errorFromOutcome({ code: OutcomeCode.ZERO_OPERAND, operands: ['x'] }) instanceof InvalidInputError);
+    assert.ok(errorFromOutcome({ code: OutcomeCode.CYCLE, step: 3 }) instanceof NoConvergenceError);
+}
+
+function testVariantsThrow() {
+    console.log('\n=== Throwing mode in every variant ===');
+    for (const { name, module } of variants) {
+        const options = { throwOnError: true };
+
+        const coprime = caught(() => module.inverseModFull(4, 6, options));
+        assert.strictEqual(coprime.code, module.inverseModFull(4, 6).trace.termination.code, name);
+        assert.ok(coprime instanceof NotCoprimeError, name);
+        assert.deepStrictEqual([coprime.code, coprime.gcd, coprime.x, coprime.y], [OutcomeCode.NOT_COPRIME, 2, 4, 6]);
+
+        const zero = caught(() => module.inverseMod(0, 7, options));
+        assert.ok(zero instanceof InvalidInputError, name);
+        assert.deepStrictEqual([zero.code, zero.operands], [OutcomeCode.ZERO_OPERAND, ['x']]);
+
+        const parse = caught(() => module.runInverseMod('12abc', 7, true, options));
+        assert.ok(parse instanceof InvalidInputError, name);
+        assert.deepStrictEqual([parse.code, parse.operand, parse.position], [OutcomeCode.INVALID_INPUT, 'x', 2]);
+
+        const unsafe = caught(() => module.runInverseMod(3, 2 ** 60, true, options));
+        assert.ok(unsafe instanceof PrecisionError, name);
+        assert.deepStrictEqual([unsafe.value, unsafe.limit], [2 ** 60, Number.MAX_SAFE_INTEGER]);
+        assert.deepStrictEqual(module.runInverseMod(3, 2 ** 60).outcome,
+            { code: OutcomeCode.PRECISION_LOSS, operand: 'y', position: null, reason: unsafe.message.replace('y: ', ''), value: 2 ** 60, limit: Number.MAX_SAFE_INTEGER });
+
+        // Non-integers are invalid input in both modes, not a loss of precision
+        for (const value of [2.5, NaN, 'abc']) {
+            const { z, trace } = module.inverseModFull(value, 7);
+            assert.deepStrictEqual([z, trace.termination.code, trace.termination.operand], [0, OutcomeCode.INVALID_INPUT, 'x'], name);
+            const invalid = caught(() => module.inverseModFull(7, value, options));
+            assert.ok(invalid instanceof InvalidInputError, name);
+            assert.deepStrictEqual([invalid.code, invalid.operand], [OutcomeCode.INVALID_INPUT, 'y'], name);
+        }
+
+        // Successful runs are unaffected
+        assert.strictEqual(module.inverseMod(31, 37, options), 6, name);
+        assert.strictEqual(module.runInverseMod('31', '37', false, options).z, 6);
+    }
+
+    // 5 mod 12 has an inverse (5) that the k-chains miss
+    for (const { name, module } of variants) {
+        const { trace } = module.inverseModFull(5, 12);
+        if (trace.valid) continue;
+        const error = caught(() => module.inverseModFull(5, 12, { throwOnError: true }));
+        assert.ok(error instanceof NoConvergenceError, name);
+        assert.strictEqual(error.code, trace.termination.code);
+        assert.strictEqual(error.step, trace.termination.step);
+        assert.strictEqual(error.trace.valid, false);
+        console.log(`${name}: ${error.message}`);
+    }
+
+    // Limits name themselves, and hybrid answers are successes
+    const limited = caught(() => InverseModFixed.inverseModFull(31, 37, { maxIterations: 2, throwOnError: true }));
+    assert.deepStrictEqual([limited.code, limited.limitReached], [OutcomeCode.ITERATION_LIMIT, 'maxIterations']);
+    assert.strictEqual(InverseModFixed.inverseMod(5, 12, { hybrid: true, throwOnError: true }), 5);
+}
+
+function testResultModeCodes() {
+    console.log('\n=== Result objects carry the same codes ===');
+    const pairs = [[4, 6], [5, 12], [31, 37]];
+    for (const [x, y] of pairs) {
+        const result = InverseModFixed.runInverseMod(x, y);
+        let code = OutcomeCode.REACHED_ONE;
+        try {
+            InverseModFixed.runInverseMod(x, y, true, { throwOnError: true });
+        } catch (error) {
+            code = error.code;
+        }
+        assert.strictEqual(code, result.outcome.code, `${x} mod ${y}`);
+    }
+}
+
+function testRegistryAndHumanized() {
+    console.log('\n=== solve() and the humanized API ===');
+    const failed = caught(() => Registry.solve(5, 12, { strategy: 'fixed', throwOnError: true }));
+    assert.ok(failed instanceof NoConvergenceError);
+    assert.strictEqual(failed.code, Registry.solve(5, 12, { strategy: 'fixed' }).outcome.code);
+    assert.ok(caught(() => Registry.solve(4, 6, { strategy: 'humanized', throwOnError: true })) instanceof NotCoprimeError);
+    assert.strictEqual(Registry.solve(31, 37, { throwOnError: true }).inverse, 6);
+
+    // Unsafe Numbers are a result by default in every strategy, and a PrecisionError only when asked
+    for (const { name } of Registry.listStrategies()) {
+        const unsafe = Registry.solve(3, 2 ** 60, { strategy: name });
+        assert.deepStrictEqual([unsafe.success, unsafe.outcome.code, unsafe.outcome.value], [false, OutcomeCode.PRECISION_LOSS, 2 ** 60], name);
+        assert.ok(caught(() => Registry.solve(3, 2 ** 60, { strategy: name, throwOnError: true })) instanceof PrecisionError, name);
+    }
+
+    // Strategies that do not know throwOnError still throw through solve()
+    Registry.registerStrategy({
+        name: 'never',
+        version: '0.0.1',
+        run: () => ({ inverse: null, trace: null, outcome: { code: OutcomeCode.SEARCH_EXHAUSTED, step: 0, exploredNodes: 0 } })
+    });
+    assert.strictEqual(caught(() => Registry.solve(3, 7, { strategy: 'never', throwOnError: true })).code, OutcomeCode.SEARCH_EXHAUSTED);
+
+    assert.ok(caught(() => Human.computeModularInverse('abc', 7, { throwOnError: true })) instanceof InvalidInputError);
+    assert.ok(caught(() => Human.computeModularInverse(2 ** 60, 7, { throwOnError: true })) instanceof PrecisionError);
+    const exhausted = caught(() => Human.computeModularInverse(31, 37, { maxNodes: 1, throwOnError: true }));
+    assert.ok(exhausted instanceof NoConvergenceError);
+    assert.strictEqual(exhausted.code, Human.computeModularInverse(31, 37, { maxNodes: 1 }).outcome.code);
+    assert.strictEqual(Human.computeModularInverse(31, 37, { throwOnError: true }).inverse, 6);
+}
+
+async function testAsync() {
+    console.log('\n=== Async humanized API ===');
+    await assert.rejects(Human.computeModularInverseAsync(4, 6, { throwOnError: true }), NotCoprimeError);
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(Human.computeModularInverseAsync(31, 37, { signal: controller.signal, throwOnError: true }),
+        error => error instanceof NoConvergenceError && error.code === OutcomeCode.CANCELLED);
+}
+
+async function run() {
+    testHierarchy();
+    testVariantsThrow();
+    testResultModeCodes();
+    testRegistryAndHumanized();
+    await testAsync();
+    console.log('\nAll error tests passed.');
+}
+
+if (require.main === module) {
+    run().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Test file for the primality test, the Fermat strategy and 'auto'
+ */
+
+const assert = require('assert');
+
+const { inverseModFull, inverseMod } = require('./inverseModFermat.js');
+const Factor = require('./inverseModFactor.js');
+const { isPrime, isProbablePrime } = Factor;
+const Arithmetic = require('./inverseModArithmetic.js');
+const Registry = require('./inverseModRegistry.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { InvalidInputError, NotCoprimeError } = require('./inverseModErrors.js');
+
+function testIsPrime() {
+    console.log('=== isPrime against a sieve ===');
+    const limit = 20000;
+    const sieve = new Array(limit).fill(true);
+    sieve[0] = sieve[1] = false;
+    for (let p = 2; p * p < limit; p++) {
+        if (sieve[p]) for (let q = p * p; q < limit; q += p) sieve[q] = false;
+    }
+    for (let n = 0; n < limit; n++) {
+        assert.strictEqual(isPrime(n), sieve[n], `${n}`);
+    }
+    assert.strictEqual(isPrime(-7), false);
+    assert.strictEqual(isPrime('2305843009213693951'), true);
+
+    // psi_13: a strong pseudoprime to every base isProbablePrime tries
+    const psi13 = 3317044064679887385961981n;
+    assert.strictEqual(isProbablePrime(psi13), true);
+    assert.strictEqual(isPrime(psi13), false);
+    assert.strictEqual(isPrime((1n << 89n) - 1n), true);
+    assert.strictEqual(isPrime((1n << 89n) + 1n), false);
+
+    // Above 3.3e24 the strong Lucas test keeps large moduli fast
+    assert.strictEqual(isPrime((1n << 255n) - 19n), true);
+    assert.strictEqual(isPrime((1n << 521n) - 1n), true);
+    assert.strictEqual(isPrime((1n << 521n) + 1n), false);
+    assert.strictEqual(isPrime(((1n << 61n) - 1n) * ((1n << 89n) - 1n)), false);
+    // No Selfridge parameter exists for a square, so the Lucas test rejects it up front
+    assert.strictEqual(isPrime(((1n << 89n) - 1n) ** 2n), false);
+}
+
+function testFermat() {
+    console.log('\n=== Fermat inverses for prime y ===');
+    for (const y of [2, 3, 5, 7, 37, 97, 199]) {
+        for (let x = 1; x < y; x++) {
+            const { z, trace } = inverseModFull(x, y);
+            assert.strictEqual(z, Arithmetic.modInverse(x, y), `${x} mod ${y}`);
+            assert.deepStrictEqual([trace.valid, trace.method, trace.termination.code], [true, 'fermat', OutcomeCode.REACHED_ONE]);
+        }
+    }
+
+    // 35 = 0b100011: six bits, three set after the leading one
+    const { trace, result } = inverseModFull(31, 37);
+    assert.deepStrictEqual(trace.steps.map(entry => [entry.bit, entry.exponent]), [[1, 1], [0, 2], [0, 4], [0, 8], [1, 17], [1, 35]]);
+    assert.deepStrictEqual(trace.steps[trace.steps.length - 1], { type: 'power', index: 6, bit: 1, exponent: 35, value: 6 });
+    assert.ok(result.includes('Bit 5 = 1: square and multiply, x^17 mod 37 = 31'));
+    assert.ok(result.includes('Bit 2 = 0: square, x^2 mod 37 = 36'));
+    assert.ok(result.includes('x^(y-2) mod y = 6'));
+
+    assert.strictEqual(inverseMod(-6, 37), 6);
+    assert.strictEqual(inverseMod(31, 37, { representation: 'symmetric' }), 6);
+    assert.strictEqual(inverseMod(32, 37, { representation: 'symmetric' }), -15);
+
+    const y = (1n << 127n) - 1n;
+    const big = inverseModFull(123456789n, y).z;
+    assert.strictEqual(Arithmetic.mulMod(big, 123456789n, y), 1n);
+    assert.strictEqual(inverseMod('3', '7'), 5n);
+}
+
+function testRejections() {
+    console.log('\n=== Rejected moduli ===');
+    // gcd is checked before primality
+    assert.deepStrictEqual(inverseModFull(4, 6).trace.termination.gcd, 2);
+    assert.strictEqual(inverseModFull(4, 6).trace.termination.code, OutcomeCode.NOT_COPRIME);
+    const { code, operand, reason } = inverseModFull(5, 12).trace.termination;
+    assert.deepStrictEqual([code, operand, reason], [OutcomeCode.INVALID_INPUT, 'y', 'not prime']);
+    assert.strictEqual(inverseModFull(5, -7).trace.termination.code, OutcomeCode.INVALID_INPUT);
+    assert.deepStrictEqual(inverseModFull(0, 7).trace.termination.operands, ['x']);
+    assert.strictEqual(inverseMod(5, 12), 0);
+    assert.throws(() => inverseModFull(5, 12, { throwOnError: true }), InvalidInputError);
+    assert.throws(() => inverseModFull(14, 7, { throwOnError: true }), NotCoprimeError);
+
+    // assumePrime skips the primality check; the result is then checked, not trusted
+    const assumed = inverseModFull(5, 12, { assumePrime: true }).trace;
+    assert.deepStrictEqual([assumed.termination.code, assumed.valid], [OutcomeCode.REACHED_ONE, false]);
+}
+
+function testAuto() {
+    console.log('\n=== auto: Fermat for prime y, a k-chain otherwise ===');
+    assert.deepStrictEqual(Registry.getStrategy('fermat').guarantees, { complete: false, terminates: true, bigint: true, target: false });
+    assert.throws(() => Registry.solve(31, 37, { strategy: 'fermat', target: 5 }), /target mode/);
+
+    const prime = Registry.solve(31, 37, { strategy: 'auto' });
+    assert.deepStrictEqual([prime.success, prime.inverse, prime.trace.variant, prime.method], [true, 6, 'fermat', 'fermat']);
+
+    // auto tests y once and tells fermat so
+    const calls = [];
+    Factor.isPrime = n => {
+        calls.push(n);
+        return isPrime(n);
+    };
+    try {
+        const y = (1n << 521n) - 1n;
+        assert.strictEqual(Registry.solve(12345n, y, { strategy: 'auto' }).success, true);
+        assert.deepStrictEqual(calls, [y]);
+    } finally {
+        Factor.isPrime = isPrime;
+    }
+
+    const composite = Registry.solve(5, 12, { strategy: 'auto' });
+    assert.deepStrictEqual([composite.success, composite.trace.variant], [false, 'fixed']);
+    const humanized = Registry.solve(5, 12, { strategy: 'auto', composite: 'humanized' });
+    assert.deepStrictEqual([humanized.success, humanized.inverse], [true, 5]);
+
+    for (let y = 2; y <= 120; y++) {
+        for (let x = 1; x < y; x++) {
+            const run = Registry.solve(x, y, { strategy: 'auto', hybrid: true });
+            assert.strictEqual(run.trace.variant === 'fermat', isPrime(y), `${x} mod ${y}`);
+            assert.strictEqual(run.inverse, Arithmetic.modInverse(x, y), `${x} mod ${y}`);
+        }
+    }
+}
+
+function run() {
+    testIsPrime();
+    testFermat();
+    testRejections();
+    testAuto();
+    console.log('\nAll Fermat tests passed.');
+}
+
+if (require.main === module) run();
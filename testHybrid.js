@@ -0,0 +1,89 @@
+/**
+ * Test file for hybrid mode: k-chain first, extended Euclidean fallback when the chain fails
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Registry = require('./inverseModRegistry.js');
+const Trace = require('./inverseModTrace.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testFallbackProvenance() {
+    console.log('=== Fallback: 5 mod 12 ===');
+    for (const { name, module } of variants) {
+        const plain = module.inverseModFull(5, 12);
+        const { z, trace, result } = module.inverseModFull(5, 12, { hybrid: true });
+        assert.strictEqual(z, 5, `${name} should fall back to the exact inverse`);
+        assert.strictEqual(trace.method, 'fallback');
+        assert.strictEqual(trace.valid, true);
+
+        // The failed chain is kept exactly as the non-hybrid run produced it
+        assert.deepStrictEqual(trace.failedChain.k, plain.trace.k);
+        assert.deepStrictEqual(trace.failedChain.r, plain.trace.r);
+        assert.strictEqual(trace.failedChain.z, plain.trace.z);
+        assert.strictEqual(trace.failedChain.termination.code, plain.trace.termination.code);
+        assert.ok(result.includes('Fallback: inverse from extended Euclidean = 5'));
+        console.log(`${name}: chain ended with ${trace.termination.code}, fallback z = ${z}`);
+    }
+}
+
+function testChainResultUnchanged() {
+    console.log('\n=== Chain success is reported as kchain ===');
+    for (const { name, module } of variants) {
+        const { z, trace } = module.inverseModFull(31, 37, { hybrid: true });
+        assert.strictEqual(z, 6, name);
+        assert.strictEqual(trace.method, 'kchain');
+        assert.strictEqual(trace.failedChain, undefined);
+    }
+}
+
+function testAlwaysCorrect() {
+    console.log('\n=== Every coprime pair with y < 60 ===');
+    for (const { name, module } of variants) {
+        for (let y = 2; y < 60; y++) {
+            for (let x = 1; x < y; x++) {
+                if (Arithmetic.gcd(x, y) !== 1) continue;
+                assert.strictEqual(module.inverseMod(x, y, { hybrid: true }) * x % y, 1, `${name} ${x} mod ${y}`);
+            }
+        }
+    }
+    // No inverse exists: hybrid mode cannot invent one
+    assert.strictEqual(InverseModFixed.inverseMod(4, 6, { hybrid: true }), 0);
+    console.log('Hybrid mode returned a valid inverse for every coprime pair');
+}
+
+function testHumanizedAndRegistry() {
+    console.log('\n=== Humanized and registry ===');
+    const human = Human.computeModularInverse(7, 16, { hybrid: true, maxNodes: 1 });
+    assert.strictEqual(human.success, true);
+    assert.strictEqual(human.method, 'fallback');
+    assert.strictEqual(human.inverse, 7);
+    assert.strictEqual(human.details.trace.failedChain.termination.code, Trace.OutcomeCode.NODE_BUDGET_EXHAUSTED);
+
+    const big = Registry.solve(5n, 12n, { strategy: 'robust', hybrid: true });
+    assert.deepStrictEqual([big.success, big.inverse, big.method], [true, 5n, 'fallback']);
+    assert.strictEqual(Registry.solve(5, 12, { strategy: 'robust' }).method, null);
+    assert.strictEqual(Registry.solve(31, 37).method, 'kchain');
+}
+
+function run() {
+    testFallbackProvenance();
+    testChainResultUnchanged();
+    testAlwaysCorrect();
+    testHumanizedAndRegistry();
+    console.log('\nAll hybrid tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,95 @@
+/**
+ * Test file for the lazy step generator inverseModIterate
+ */
+
+const assert = require('assert');
+
+const InverseModFixed = require('./inverseModFixed.js');
+const Trace = require('./inverseModTrace.js');
+
+const { inverseModIterate } = InverseModFixed;
+
+function testMatchesInverseModFull() {
+    console.log('=== Generator steps match inverseModFull ===');
+    for (const [x, y] of [[31, 37], [5, 12], [7n, 1000000007n], [4, 6]]) {
+        const steps = [...inverseModIterate(x, y)];
+        const { trace } = InverseModFixed.inverseModFull(x, y);
+        assert.deepStrictEqual(steps, Trace.stepEntries(trace), `${x} mod ${y}`);
+        console.log(`${x} mod ${y}: ${steps.length} steps, ${trace.termination.code}`);
+    }
+}
+
+function testReturnValueIsTrace() {
+    console.log('\n=== Return value ===');
+    const steps = inverseModIterate(31, 37);
+    let next = steps.next();
+    while (!next.done) next = steps.next();
+    assert.strictEqual(next.value.z, 6);
+    assert.strictEqual(next.value.termination.code, Trace.OutcomeCode.REACHED_ONE);
+    assert.strictEqual(Trace.renderTrace(next.value), InverseModFixed.inverseModFull(31, 37).result);
+}
+
+function testInjectK() {
+    console.log('\n=== Injecting k ===');
+    // The FIXED rule takes 4 steps for 31 mod 37; k = 3 after the first step finishes in 2
+    const steps = inverseModIterate(31, 37);
+    const first = steps.next().value;
+    assert.deepStrictEqual([first.prevR, first.k, first.newR], [31, 2, 25]);
+    const second = steps.next(3).value;
+    assert.deepStrictEqual([second.prevR, second.k, second.newR], [25, 3, 1]);
+    const done = steps.next();
+    assert.strictEqual(done.done, true);
+    assert.deepStrictEqual(done.value.k, [2, 3]);
+    assert.strictEqual(done.value.z, 6);
+
+    // Numbers are accepted as injected k for BigInt runs
+    const big = inverseModIterate(31n, 37n);
+    big.next();
+    assert.strictEqual(big.next(3).value.k, 3n);
+
+    // A k that does not make progress ends the chain like the built-in checks do
+    const stalled = inverseModIterate(31, 37);
+    stalled.next();
+    stalled.next(1);
+    assert.strictEqual(stalled.next().value.termination.code, Trace.OutcomeCode.NON_DECREASING);
+
+    const bad = inverseModIterate(31, 37);
+    bad.next();
+    assert.throws(() => bad.next(0), RangeError);
+
+    // r * k past 2^53 on the Number path: the remainder is still exact
+    const y = 2 ** 52 - 3;
+    const wide = inverseModIterate(1234567, y, { chooseK: () => y - 2 }).next().value;
+    assert.strictEqual(wide.newR, Number(1234567n * BigInt(y - 2) % BigInt(y)));
+    console.log('Injected k values are used for the next step');
+}
+
+function testCustomRuleAndEarlyStop() {
+    console.log('\n=== chooseK and stopping early ===');
+    // Always pick the largest k below the upper bound y < r*k < r + y
+    const largest = (prevR, y) => (prevR + y - 1) / prevR | 0;
+    const trace = (() => {
+        const steps = inverseModIterate(31, 37, { chooseK: largest });
+        let next = steps.next();
+        while (!next.done) next = steps.next();
+        return next.value;
+    })();
+    assert.ok(Trace.stepEntries(trace).every(step => step.bounds.upper));
+
+    let seen = 0;
+    for (const step of inverseModIterate(2n ** 200n + 7n, (1n << 255n) - 19n)) {
+        assert.strictEqual(typeof step.newR, 'bigint');
+        if (++seen === 3) break;
+    }
+    assert.strictEqual(seen, 3);
+}
+
+function run() {
+    testMatchesInverseModFull();
+    testReturnValueIsTrace();
+    testInjectK();
+    testCustomRuleAndEarlyStop();
+    console.log('\nAll generator tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,84 @@
+/**
+ * Test file for the configurable iteration, backtrack and tweak limits
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Registry = require('./inverseModRegistry.js');
+const Trace = require('./inverseModTrace.js');
+
+const M521 = (1n << 521n) - 1n;
+
+function testDefaultsAreRecorded() {
+    console.log('=== Default limits ===');
+    assert.deepStrictEqual(InverseMod.inverseModFull(31, 37).trace.limits, { maxIterations: Infinity });
+    assert.deepStrictEqual(InverseModFixed.inverseModFull(31, 37).trace.limits, { maxIterations: 100 });
+    assert.deepStrictEqual(InverseModRobust.inverseModFull(31, 37).trace.limits, { maxIterations: 100 });
+    assert.deepStrictEqual(InverseModBacktrack.inverseModFull(31, 37).trace.limits, { maxIterations: 200, maxBacktracks: 5, maxTweak: 5 });
+}
+
+function testMaxIterations() {
+    console.log('\n=== maxIterations ===');
+    // 31 mod 37 needs 4 steps
+    for (const module of [InverseMod, InverseModFixed, InverseModRobust, InverseModBacktrack]) {
+        const { z, trace } = module.inverseModFull(31, 37, { maxIterations: 2 });
+        assert.strictEqual(trace.termination.code, Trace.OutcomeCode.ITERATION_LIMIT, trace.variant);
+        assert.strictEqual(trace.termination.limitReached, 'maxIterations');
+        assert.strictEqual(trace.termination.limit, 2);
+        assert.strictEqual(Trace.countSteps(trace), 2);
+        assert.notStrictEqual(z, 6);
+        assert.strictEqual(module.inverseMod(31, 37, { maxIterations: 4 }), 6, `${trace.variant} succeeds with enough iterations`);
+    }
+
+    // The default cap of 100 is too small for this 521-bit chain; raising it lets the chain finish
+    const x = 2n ** 300n + 7n;
+    assert.strictEqual(InverseModFixed.inverseModFull(x, M521).trace.termination.limitReached, 'maxIterations');
+    const z = InverseModFixed.inverseMod(x, M521, { maxIterations: 1000 });
+    assert.strictEqual((z * x) % M521, 1n);
+    console.log('Raised maxIterations recovers the 521-bit case');
+}
+
+function testBacktrackLimits() {
+    console.log('\n=== maxTweak and maxBacktracks ===');
+    // 5 mod 6 is rescued by a local k adjustment; without tweaks there is nothing to record
+    const tweaked = InverseModBacktrack.inverseModFull(5, 6).trace;
+    assert.ok(tweaked.steps.some(entry => entry.type === 'adjustment'));
+    const untweaked = InverseModBacktrack.inverseModFull(5, 6, { maxTweak: 0 }).trace;
+    assert.ok(!untweaked.steps.some(entry => entry.type === 'adjustment'));
+    assert.strictEqual(untweaked.termination.limitReached, 'maxTweak');
+
+    const stuck = InverseModBacktrack.inverseModFull(3, 4).trace.termination;
+    assert.deepStrictEqual([stuck.code, stuck.limitReached], [Trace.OutcomeCode.NON_DECREASING, 'maxTweak']);
+
+    assert.deepStrictEqual(InverseModBacktrack.inverseModFull(31, 37, { maxBacktracks: 0 }).trace.limits.maxBacktracks, 0);
+    assert.strictEqual(InverseModBacktrack.inverseModFull(31, 37).trace.termination.limitReached, undefined);
+}
+
+function testOptionsReachEveryEntryPoint() {
+    console.log('\n=== runInverseMod, inverseModStats and solve() ===');
+    const run = InverseModRobust.runInverseMod('31', '37', true, { maxIterations: 1 });
+    assert.strictEqual(run.outcome.limitReached, 'maxIterations');
+    assert.strictEqual(InverseModFixed.runInverseMod(31, 37, false, { maxIterations: 1 }).outcome.code, Trace.OutcomeCode.ITERATION_LIMIT);
+    assert.strictEqual(InverseModFixed.inverseModStats(31, 37, { maxIterations: 1 }).steps, 1);
+
+    const solved = Registry.solve(31, 37, { strategy: 'backtrack', maxIterations: 1 });
+    assert.strictEqual(solved.success, false);
+    assert.strictEqual(solved.outcome.limitReached, 'maxIterations');
+    const budget = Registry.solve(7, 16, { strategy: 'humanized', maxNodes: 1 });
+    assert.strictEqual(budget.outcome.limitReached, 'maxNodes');
+    console.log('Limits passed through every entry point');
+}
+
+function run() {
+    testDefaultsAreRecorded();
+    testMaxIterations();
+    testBacktrackLimits();
+    testOptionsReachEveryEntryPoint();
+    console.log('\nAll limit tests passed.');
+}
+
+if (require.main === module) run();
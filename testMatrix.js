@@ -0,0 +1,139 @@
+/**
+ * Test file for matrix inverses and determinants mod m
+ */
+
+const assert = require('assert');
+
+const { inverseModMatrix, determinantMod } = require('./inverseModMatrix.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { verifyRun } = require('./inverseModVerify.js');
+const { InvalidInputError, NotCoprimeError, NoConvergenceError, PrecisionError } = require('./inverseModErrors.js');
+
+/**
+ * Determinant by cofactor expansion along the first row
+ */
+function cofactorDeterminant(matrix) {
+    if (matrix.length === 1) return matrix[0][0];
+    return matrix[0].reduce((sum, value, j) => {
+        const minor = matrix.slice(1).map(row => row.filter((_, k) => k !== j));
+        return sum + (j % 2 === 0 ? 1 : -1) * value * cofactorDeterminant(minor);
+    }, 0);
+}
+
+/**
+ * (a * b) mod m for square matrices
+ */
+function multiply(a, b, m) {
+    return a.map(row => b.map((_, j) => Arithmetic.leastResidue(row.reduce((sum, value, k) => sum + value * b[k][j], 0), m)));
+}
+
+function identity(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Checks one matrix with hybrid mode (so every pivot is inverted) against the cofactor determinant
+ */
+function checkMatrix(matrix, m) {
+    const label = `${JSON.stringify(matrix)} mod ${m}`;
+    const determinant = Arithmetic.leastResidue(cofactorDeterminant(matrix), m);
+    const invertible = Arithmetic.gcd(determinant, m) === 1;
+    const det = determinantMod(matrix, m, { hybrid: true });
+    assert.deepStrictEqual([det.success, det.determinant, det.invertible], [true, determinant, invertible], label);
+    assert.strictEqual(det.singular === null, invertible, label);
+
+    const result = inverseModMatrix(matrix, m, { hybrid: true });
+    assert.strictEqual(result.success, invertible, label);
+    assert.strictEqual(result.determinant, determinant, label);
+    if (invertible) {
+        assert.deepStrictEqual(multiply(matrix, result.inverse, m), identity(matrix.length), label);
+        assert.deepStrictEqual(multiply(result.inverse, matrix, m), identity(matrix.length), label);
+    } else {
+        assert.deepStrictEqual(result.outcome, { code: OutcomeCode.NOT_COPRIME, gcd: result.singular.gcd, column: result.singular.column });
+        assert.ok(Arithmetic.gcd(determinant, m) % result.singular.gcd === 0, label);
+    }
+    return invertible;
+}
+
+function testAgainstCofactors() {
+    console.log('=== Every 2x2 matrix mod small m ===');
+    for (const m of [2, 4, 6, 7, 9]) {
+        let invertible = 0;
+        for (let code = 0; code < m ** 4; code++) {
+            const [a, b, c, d] = [0, 1, 2, 3].map(i => Math.floor(code / m ** i) % m);
+            if (checkMatrix([[a, b], [c, d]], m)) invertible++;
+        }
+        console.log(`mod ${m}: ${invertible}/${m ** 4} invertible`);
+    }
+
+    console.log('\n=== Pseudo-random 3x3 and 4x4 matrices ===');
+    let seed = 12345;
+    const next = bound => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % bound;
+    };
+    for (const m of [10, 12, 26, 30, 97, 360]) {
+        for (let trial = 0; trial < 300; trial++) {
+            const n = 3 + (trial % 2);
+            checkMatrix(Array.from({ length: n }, () => Array.from({ length: n }, () => next(m))), m);
+        }
+    }
+}
+
+function testPivots() {
+    console.log('\n=== Pivot runs, swaps and failures ===');
+    // The Hill cipher key from the textbook example
+    const hill = inverseModMatrix([[3, 3], [2, 5]], 26);
+    assert.deepStrictEqual([hill.inverse, hill.determinant, hill.method], [[[15, 17], [20, 9]], 9, 'kchain']);
+    assert.deepStrictEqual(hill.pivots.map(entry => [entry.column, entry.pivot, entry.inverse]), [[0, 3, 9], [1, 3, 9]]);
+    hill.pivots.forEach(entry => assert.strictEqual(verifyRun(entry.trace).valid, true));
+
+    // Column 0 has no unit mod 26 in row 0: row 1 is swapped in
+    const swapped = inverseModMatrix([[2, 1], [3, 4]], 26);
+    assert.deepStrictEqual([swapped.pivots[0].row, swapped.pivots[0].combined], [1, false]);
+    // Neither 2 nor 3 is a unit mod 6, but their rows combine to pivot 1 (the matrix is its own inverse)
+    const combined = inverseModMatrix([[2, 3], [3, 2]], 6, { hybrid: true });
+    assert.deepStrictEqual([combined.pivots[0].combined, combined.pivots[0].pivot, combined.inverse], [true, 1, [[2, 3], [3, 2]]]);
+
+    // 5 mod 12 is a unit the fixed chain misses
+    const failed = inverseModMatrix([[5, 0], [0, 1]], 12);
+    assert.deepStrictEqual([failed.success, failed.outcome.code, failed.outcome.column], [false, OutcomeCode.ZERO_REMAINDER, 0]);
+    assert.strictEqual(determinantMod([[5, 0], [0, 1]], 12).success, false);
+    assert.throws(() => inverseModMatrix([[5, 0], [0, 1]], 12, { throwOnError: true }), NoConvergenceError);
+    assert.deepStrictEqual(inverseModMatrix([[5, 0], [0, 1]], 12, { strategy: 'humanized' }).inverse, [[5, 0], [0, 1]]);
+
+    const singular = inverseModMatrix([[1, 2], [2, 4]], 7);
+    assert.deepStrictEqual([singular.singular, singular.determinant, singular.inverse], [{ column: 1, gcd: 7 }, 0, null]);
+    assert.throws(() => inverseModMatrix([[1, 2], [2, 4]], 7, { throwOnError: true }), NotCoprimeError);
+}
+
+function testInputsAndTypes() {
+    console.log('\n=== Input checks, BigInt and representation ===');
+    assert.deepStrictEqual(inverseModMatrix([[1, 2]], 7).outcome, { code: OutcomeCode.INVALID_INPUT, operand: 'matrix', reason: 'not square' });
+    assert.deepStrictEqual(determinantMod([], 7).outcome.operand, 'matrix');
+    assert.strictEqual(inverseModMatrix([[1]], 1).outcome.operand, 'm');
+    assert.throws(() => determinantMod([[1]], -5, { throwOnError: true }), InvalidInputError);
+    assert.throws(() => inverseModMatrix([[2 ** 60]], 7), PrecisionError);
+
+    const p = (1n << 61n) - 1n;
+    const matrix = [[p - 1n, 5n, 7n], [3n, 11n, 13n], [17n, 19n, 23n]];
+    const big = inverseModMatrix(matrix, p, { hybrid: true });
+    assert.strictEqual(typeof big.determinant, 'bigint');
+    const product = matrix.map(row => big.inverse.map((_, j) => Arithmetic.leastResidue(row.reduce((sum, value, k) => sum + value * big.inverse[k][j], 0n), p)));
+    assert.deepStrictEqual(product, [[1n, 0n, 0n], [0n, 1n, 0n], [0n, 0n, 1n]]);
+    assert.deepStrictEqual(inverseModMatrix([['3', '3'], ['2', '5']], '26').inverse, [[15n, 17n], [20n, 9n]]);
+
+    const symmetric = inverseModMatrix([[3, 3], [2, 5]], 26, { representation: 'symmetric' }).inverse;
+    assert.deepStrictEqual(symmetric, [[-11, -9], [-6, 9]]);
+    assert.deepStrictEqual(inverseModMatrix([[-23, 29], [2, 5]], 26).inverse, [[15, 17], [20, 9]]);
+}
+
+function run() {
+    testAgainstCofactors();
+    testPivots();
+    testInputsAndTypes();
+    console.log('\nAll matrix tests passed.');
+}
+
+if (require.main === module) run();
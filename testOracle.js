@@ -0,0 +1,118 @@
+/**
+ * Test file for the shortest-chain oracle
+ */
+
+const assert = require('assert');
+
+const Oracle = require('./inverseModOracle.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const { gcd } = require('./inverseModArithmetic.js');
+
+/**
+ * Counts every k-sequence of exactly `length` steps from r to 1 by plain enumeration
+ */
+function countChains(r, y, length, maxTweak) {
+    if (length === 0) return r === 1 ? 1 : 0;
+    let total = 0;
+    const kMin = Math.floor(y / r) + 1;
+    for (let k = kMin; k <= kMin + maxTweak; k++) {
+        const next = (r * k) % y;
+        if (next !== 0) total += countChains(next, y, length - 1, maxTweak);
+    }
+    return total;
+}
+
+function testChainsAreValid() {
+    console.log('=== Oracle chains are valid k-chains ===');
+    for (let y = 3; y <= 120; y++) {
+        const graph = Oracle.buildTransitionGraph(y);
+        for (let x = 2; x < y; x++) {
+            const chain = Oracle.shortestChain(x, y, { graph });
+            if (gcd(x, y) !== 1) {
+                assert.strictEqual(chain.found, false, `${x} mod ${y} has no inverse`);
+                continue;
+            }
+            if (!chain.found) continue;
+            assert.strictEqual(chain.k.length, chain.length);
+            let r = x;
+            chain.k.forEach((k, i) => {
+                assert.ok(y < r * k && k <= Math.floor(y / r) + 1 + graph.maxTweak, `${x} mod ${y} step ${i + 1}`);
+                r = (r * k) % y;
+                assert.strictEqual(r, chain.r[i]);
+            });
+            assert.strictEqual(r, 1);
+            assert.strictEqual((chain.z * x) % y, 1);
+        }
+    }
+    assert.deepStrictEqual(Oracle.shortestChain(31, 37).k, [6]);
+}
+
+function testStrictBoundsReproduceFixed() {
+    console.log('\n=== Strict bounds allow a single chain: the FIXED one ===');
+    for (let y = 3; y <= 150; y++) {
+        const graph = Oracle.buildTransitionGraph(y, { bounds: 'strict' });
+        for (let x = 2; x < y; x++) {
+            if (gcd(x, y) !== 1) continue;
+            const chain = Oracle.shortestChain(x, y, { graph });
+            const fixed = InverseModFixed.inverseModFull(x, y).trace;
+            assert.strictEqual(chain.found, fixed.valid, `${x} mod ${y}`);
+            if (chain.found) {
+                assert.deepStrictEqual(chain.k, fixed.k, `${x} mod ${y}`);
+                assert.strictEqual(chain.count, 1);
+            }
+        }
+    }
+    console.log(Oracle.shortestChain(31, 37, { bounds: 'strict' }));
+}
+
+function testCountsMatchEnumeration() {
+    console.log('\n=== Shortest-chain counts match enumeration ===');
+    for (let y = 3; y <= 40; y++) {
+        const graph = Oracle.buildTransitionGraph(y, { maxTweak: 3 });
+        for (let x = 2; x < y; x++) {
+            const chain = Oracle.shortestChain(x, y, { graph });
+            if (!chain.found) continue;
+            assert.strictEqual(chain.count, countChains(x, y, chain.length, 3), `${x} mod ${y}`);
+            // No shorter chain exists
+            if (chain.length > 1) assert.strictEqual(countChains(x, y, chain.length - 1, 3), 0);
+        }
+    }
+}
+
+function testRelaxedNeverLonger() {
+    console.log('\n=== Relaxing the bounds never lengthens the shortest chain ===');
+    for (let y = 3; y <= 100; y++) {
+        const strict = Oracle.buildTransitionGraph(y, { bounds: 'strict' });
+        const relaxed = Oracle.buildTransitionGraph(y, { maxTweak: 2 });
+        const wider = Oracle.buildTransitionGraph(y, { maxTweak: 5 });
+        for (let x = 2; x < y; x++) {
+            const lengths = [strict, relaxed, wider].map(graph => Oracle.shortestChain(x, y, { graph }).length);
+            for (let i = 1; i < lengths.length; i++) {
+                if (lengths[i - 1] !== null) assert.ok(lengths[i] !== null && lengths[i] <= lengths[i - 1], `${x} mod ${y}`);
+            }
+        }
+    }
+}
+
+function testEdgeCases() {
+    console.log('\n=== Edge cases ===');
+    assert.deepStrictEqual(Oracle.shortestChain(1, 10).length, 0);
+    assert.deepStrictEqual(Oracle.shortestChain(11, 10).z, 1);
+    assert.strictEqual(Oracle.shortestChain(20, 10).found, false);
+    assert.strictEqual(Oracle.shortestChain(31n, '37').z, 6);
+    assert.throws(() => Oracle.buildTransitionGraph(10, { bounds: 'loose' }), /Unknown bounds "loose"/);
+    assert.throws(() => Oracle.buildTransitionGraph(2000000), RangeError);
+    assert.throws(() => Oracle.shortestChain(3, 11, { graph: Oracle.buildTransitionGraph(7) }), /built for y = 7/);
+    console.log('Edge cases handled');
+}
+
+function run() {
+    testChainsAreValid();
+    testStrictBoundsReproduceFixed();
+    testCountsMatchEnumeration();
+    testRelaxedNeverLonger();
+    testEdgeCases();
+    console.log('\nAll oracle tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,111 @@
+/**
+ * Test file for the strict input parser
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Trace = require('./inverseModTrace.js');
+const { parseInteger, parsePositiveInteger, parseOperands } = require('./inverseModParse.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testAccepted() {
+    console.log('=== Accepted inputs ===');
+    const cases = [
+        ['31', 31],
+        ['  37\n', 37],
+        ['+5', 5],
+        ['-12', -12],
+        ['0', 0],
+        ['0x1F', 31],
+        ['0XfF', 255],
+        ['0b1011', 11],
+        ['0o17', 15],
+        ['1_000_003', 1000003],
+        ['0xffff_fffb', 4294967291],
+        ['9007199254740991', Number.MAX_SAFE_INTEGER],
+        ['9007199254740993', 9007199254740993n],
+        ['-0x20000000000001', -(2n ** 53n + 1n)],
+        [42, 42],
+        [42n, 42n]
+    ];
+    for (const [input, expected] of cases) {
+        assert.deepStrictEqual(parseInteger(input), { ok: true, value: expected }, JSON.stringify(String(input)));
+    }
+}
+
+function testRejected() {
+    console.log('\n=== Rejected inputs name the offending position ===');
+    const cases = [
+        ['12abc', 2, '"a" is not a valid decimal digit'],
+        ['1e5', 1, '"e" is not a valid decimal digit'],
+        ['4.5', 1, 'unexpected character "."'],
+        ['12 3', 3, 'unexpected character "3"'],
+        ['', 0, 'empty input'],
+        ['   ', 3, 'empty input'],
+        ['-', 1, 'expected digits'],
+        ['0x', 2, 'expected hexadecimal digits after "0x"'],
+        ['0b102', 4, '"2" is not a valid binary digit'],
+        ['0o8', 2, '"8" is not a valid octal digit'],
+        ['1__000', 1, 'a digit separator "_" must sit between two digits'],
+        ['_1', 0, 'a digit separator "_" must sit between two digits'],
+        ['1000_', 4, 'a digit separator "_" must sit between two digits'],
+        ['--1', 1, 'unexpected character "-"']
+    ];
+    for (const [input, position, reason] of cases) {
+        const parsed = parseInteger(input, 'x');
+        assert.strictEqual(parsed.ok, false, input);
+        assert.deepStrictEqual([parsed.position, parsed.reason], [position, reason], input);
+    }
+    console.log(parseInteger('12abc', 'x').message);
+
+    assert.strictEqual(parseInteger(4.5).reason, '4.5 is not an integer');
+    assert.strictEqual(parseInteger(2 ** 60).position, null);
+    assert.strictEqual(parseInteger(null).reason, 'expected a string, Number or BigInt, got null');
+    assert.strictEqual(parsePositiveInteger('0').reason, '0 is not a positive integer');
+    assert.strictEqual(parsePositiveInteger(-3n).ok, false);
+    assert.deepStrictEqual(parseOperands('31', '0x25'), { ok: true, x: 31, y: 37 });
+    assert.strictEqual(parseOperands('31', 'abc').error.name, 'y');
+}
+
+function testRunInverseMod() {
+    console.log('\n=== runInverseMod parses strictly in every variant ===');
+    for (const { name, module } of variants) {
+        const bad = module.runInverseMod('12abc', 7, false);
+        assert.strictEqual(bad.success, false, name);
+        assert.deepStrictEqual(bad.outcome, { code: Trace.OutcomeCode.INVALID_INPUT, operand: 'x', position: 2, reason: '"a" is not a valid decimal digit' });
+        assert.strictEqual(bad.result, 'Error: x: "a" is not a valid decimal digit at position 2 in "12abc"');
+        assert.strictEqual(module.runInverseMod(3, '1e5', false).outcome.operand, 'y');
+        assert.strictEqual(module.isPositiveInteger('12abc'), false);
+        assert.strictEqual(module.isPositiveInteger('0x10'), true);
+
+        const hex = module.runInverseMod('0x1F', '0b100101', false);
+        assert.deepStrictEqual([hex.success, hex.z], [true, 6], name);
+
+        // Past 2^53 the inputs stay exact and the run moves to BigInt
+        const big = module.runInverseMod('3', '1_000_000_000_000_000_003', false);
+        assert.strictEqual(typeof big.z, 'bigint', name);
+        if (big.success) {
+            assert.strictEqual(big.z * 3n % 1000000000000000003n, 1n);
+        }
+        console.log(`${name}: 0x1F mod 0b100101 = ${hex.z}, 3 mod 10^18 + 3 ${big.success ? `= ${big.z}` : `stopped with ${big.outcome.code}`}`);
+    }
+}
+
+function run() {
+    testAccepted();
+    testRejected();
+    testRunInverseMod();
+    console.log('\nAll parser tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,115 @@
+/**
+ * Test file for exact modular products on the Number path
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const Errors = require('./inverseModErrors.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testMulModMatchesBigInt() {
+    console.log('=== mulMod on Numbers matches BigInt ===');
+    const moduli = [7, 1000000007, 2 ** 31 - 1, 2 ** 52 + 1, Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER - 2];
+    let seed = 12345;
+    const random = (limit) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return Math.floor((seed / 2147483648) * limit);
+    };
+    for (const m of moduli) {
+        for (let i = 0; i < 500; i++) {
+            const a = random(m);
+            const b = i % 2 ? random(m) : m - 1 - random(Math.min(m, 1000));
+            const expected = Number((BigInt(a) * BigInt(b)) % BigInt(m));
+            assert.strictEqual(Arithmetic.mulMod(a, b, m), expected, `${a} * ${b} mod ${m}`);
+        }
+    }
+    // Signs follow %, as the direct product would
+    assert.strictEqual(Arithmetic.mulMod(-(2 ** 40), 2 ** 40, 1000000007), Number((-(2n ** 80n)) % 1000000007n));
+    assert.throws(() => Arithmetic.mulMod(2 ** 60, 3, 7), Arithmetic.PrecisionError);
+}
+
+function testAccumulateProduct() {
+    console.log('\n=== Products are reduced after every factor ===');
+    const values = [1000003, 999983, 1000033, 999979, 1000037];
+    const m = 1000000007;
+    const expected = values.reduce((a, b) => (a * BigInt(b)) % BigInt(m), 1n);
+    const { product, precisionAtRisk } = Arithmetic.accumulateProduct(values, m);
+    assert.strictEqual(product, Number(expected));
+    assert.strictEqual(precisionAtRisk, true);
+    assert.deepStrictEqual(Arithmetic.accumulateProduct([2, 3, 5], 7), { product: 2, precisionAtRisk: false });
+    assert.deepStrictEqual(Arithmetic.accumulateProduct(values.map(BigInt), BigInt(m)), { product: expected, precisionAtRisk: false });
+    assert.strictEqual(Arithmetic.productMod(values, m), Number(expected));
+}
+
+function testVariantsFlagRisk() {
+    console.log('\n=== Variants flag runs whose naive product would overflow ===');
+    // The k values for 1234567 mod 1000000007 multiply out far past 2^53
+    for (const { name, module } of [...variants, { name: 'Humanized', module: null }]) {
+        const { trace, z } = module
+            ? module.inverseModFull(1234567, 1000000007)
+            : { trace: Human.findInverseWithBacktracking(1234567, 1000000007).trace, z: null };
+        if (trace.valid) {
+            assert.strictEqual(typeof trace.z, 'number');
+            assert.strictEqual(Number(BigInt(trace.z) * 1234567n % 1000000007n), 1, name);
+        }
+        console.log(`${name}: valid = ${trace.valid}, precisionAtRisk = ${trace.precisionAtRisk}${z === null ? '' : `, z = ${z}`}`);
+    }
+
+    const small = InverseModFixed.inverseModFull(31, 37).trace;
+    assert.strictEqual(small.precisionAtRisk, false);
+    assert.strictEqual(InverseModFixed.inverseModFull(31n, 37n).trace.precisionAtRisk, false);
+
+    // Find a Number run whose k product passes 2^53 and check it is flagged but exact
+    let flagged = null;
+    for (let x = 2; x < 5000 && !flagged; x++) {
+        const stats = InverseModFixed.inverseModStats(x, 1000000007);
+        if (stats.success && stats.precisionAtRisk) flagged = { x, stats };
+    }
+    assert.ok(flagged, 'expected a run with an overflowing k product');
+    assert.strictEqual(Number(BigInt(flagged.stats.z) * BigInt(flagged.x) % 1000000007n), 1);
+    console.log(`Fixed ${flagged.x} mod 1000000007: ${flagged.stats.steps} steps, flagged and exact`);
+}
+
+function testUnsafeInputs() {
+    console.log('\n=== Unsafe Number inputs give PRECISION_LOSS ===');
+    for (const { name, module } of variants) {
+        const { z, trace } = module.inverseModFull(2 ** 60, 7);
+        assert.deepStrictEqual([z, trace.valid, trace.steps.length], [0, false, 0], name);
+        const { code, operand, value, limit } = trace.termination;
+        assert.deepStrictEqual([code, operand, value, limit], ['PRECISION_LOSS', 'x', 2 ** 60, Number.MAX_SAFE_INTEGER], name);
+
+        // Only throwing mode raises PrecisionError
+        let caught = null;
+        try {
+            module.inverseModFull(2 ** 60, 7, { throwOnError: true });
+        } catch (error) {
+            caught = error;
+        }
+        assert.ok(caught instanceof Arithmetic.PrecisionError, name);
+        assert.ok(caught instanceof Errors.InverseModError, `${name}: PrecisionError is an InverseModError`);
+        assert.strictEqual(caught.code, 'PRECISION_LOSS');
+        assert.deepStrictEqual([caught.value, caught.limit, caught.x, caught.y], [2 ** 60, Number.MAX_SAFE_INTEGER, 2 ** 60, 7]);
+    }
+}
+
+function run() {
+    testMulModMatchesBigInt();
+    testAccumulateProduct();
+    testVariantsFlagRisk();
+    testUnsafeInputs();
+    console.log('\nAll precision tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,100 @@
+/**
+ * Test file for Hensel lifting to prime-power moduli
+ */
+
+const assert = require('assert');
+
+const { inverseModPrimePower } = require('./inverseModPrimePower.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const Registry = require('./inverseModRegistry.js');
+const { OutcomeCode } = require('./inverseModTrace.js');
+const { verifyRun } = require('./inverseModVerify.js');
+const { InvalidInputError, NotCoprimeError, PrecisionError } = require('./inverseModErrors.js');
+
+function testSmallPrimePowers() {
+    console.log('=== Lifted inverses match the extended Euclidean inverse ===');
+    for (const strategy of ['fixed', 'robust', 'backtrack', 'humanized']) {
+        let lifted = 0;
+        let direct = 0;
+        for (const [p, e] of [[2, 10], [3, 6], [5, 4], [7, 3], [11, 2]]) {
+            const modulus = p ** e;
+            for (let x = 1; x < modulus; x++) {
+                if (x % p === 0) continue;
+                if (Registry.solve(x, modulus, { strategy }).success) direct++;
+                const result = inverseModPrimePower(x, p, e, { strategy });
+                if (!result.success) continue;
+                lifted++;
+                assert.strictEqual(result.inverse, Arithmetic.modInverse(x, modulus), `${strategy} ${x} mod ${p}^${e}`);
+                assert.strictEqual(result.trace.base.y, p);
+                assert.strictEqual(result.trace.lifts[result.trace.lifts.length - 1].modulus, modulus);
+            }
+        }
+        assert.ok(lifted > direct, strategy);
+        console.log(`${strategy}: ${direct} inverses with the chain mod p^e, ${lifted} lifted from the chain mod p`);
+    }
+}
+
+function testLiftingSteps() {
+    console.log('\n=== Each lift doubles the exponent ===');
+    const { inverse, trace, method, outcome } = inverseModPrimePower(7, 3, 5);
+    assert.deepStrictEqual([inverse, method, outcome.code], [139, 'kchain', OutcomeCode.REACHED_ONE]);
+    assert.deepStrictEqual([trace.x, trace.p, trace.e, trace.modulus], [7, 3, 5, 243]);
+    assert.strictEqual(verifyRun(trace.base).valid, true);
+    assert.deepStrictEqual(trace.lifts.map(lift => [lift.step, lift.fromModulus, lift.modulus]), [[1, 3, 9], [2, 9, 81], [3, 81, 243]]);
+    for (const lift of trace.lifts) {
+        assert.strictEqual((lift.inverse * 7) % lift.modulus, 1);
+        assert.strictEqual(lift.error % lift.fromModulus, 0);
+    }
+    assert.deepStrictEqual(inverseModPrimePower(5, 7, 1).trace.lifts, []);
+}
+
+function testPowersOfTwo() {
+    console.log('\n=== 2^64 from the inverse mod 2 ===');
+    const x = 0x9E3779B97F4A7C15n;
+    const result = inverseModPrimePower(x, 2n, 64);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual((result.inverse * x) % (1n << 64n), 1n);
+    assert.deepStrictEqual(result.trace.lifts.map(lift => lift.modulus), [4n, 16n, 256n, 65536n, 1n << 32n, 1n << 64n]);
+    assert.strictEqual(Registry.solve(x, 1n << 64n).success, false);
+    console.log(`inverse of ${x} mod 2^64 = ${result.inverse} (${result.trace.lifts.length} lifts; the chain mod 2^64 fails)`);
+
+    const symmetric = inverseModPrimePower(-3n, 5n, 40, { representation: 'symmetric' }).inverse;
+    assert.ok(symmetric * 2n <= 5n ** 40n && symmetric * 2n > -(5n ** 40n));
+    assert.strictEqual(Arithmetic.leastResidue(symmetric * -3n, 5n ** 40n), 1n);
+    assert.strictEqual(Arithmetic.mulMod(inverseModPrimePower(3, 2, 52).inverse, 3, 2 ** 52), 1);
+    // p^e past 2^53 on Numbers is a PRECISION_LOSS result, and a PrecisionError only in throwing mode
+    const unsafe = inverseModPrimePower(3, 2, 60);
+    assert.deepStrictEqual([unsafe.success, unsafe.outcome.code, unsafe.outcome.operand, unsafe.outcome.value],
+        [false, OutcomeCode.PRECISION_LOSS, 'p', 2 ** 60]);
+    assert.throws(() => inverseModPrimePower(3, 2, 60, { throwOnError: true }), PrecisionError);
+    assert.strictEqual(inverseModPrimePower(2 ** 60, 3, 2).outcome.code, OutcomeCode.PRECISION_LOSS);
+    assert.strictEqual(inverseModPrimePower(3, '2', 60).inverse, Arithmetic.modInverse(3n, 1n << 60n));
+}
+
+function testRejections() {
+    console.log('\n=== Rejections and base-case failures ===');
+    assert.deepStrictEqual(inverseModPrimePower(6, 3, 2).outcome, { code: OutcomeCode.NOT_COPRIME, gcd: 3 });
+    assert.strictEqual(inverseModPrimePower(9, 3, 2).outcome.code, OutcomeCode.ZERO_OPERAND);
+    assert.deepStrictEqual(inverseModPrimePower(5, 4, 2).outcome, { code: OutcomeCode.INVALID_INPUT, operand: 'p', reason: 'not prime' });
+    assert.strictEqual(inverseModPrimePower(5, 3, 0).outcome.operand, 'e');
+    assert.deepStrictEqual(inverseModPrimePower(2.5, 3, 2).outcome, { code: OutcomeCode.INVALID_INPUT, operand: 'x', reason: '2.5 is not an integer' });
+    // psi_13 passes plain Miller-Rabin with the first 13 prime bases, but not isPrime
+    const psi13 = 3317044064679887385961981n;
+    assert.deepStrictEqual(inverseModPrimePower(2n, psi13, 2).outcome, { code: OutcomeCode.INVALID_INPUT, operand: 'p', reason: 'not prime' });
+    assert.throws(() => inverseModPrimePower(5, 9, 2, { throwOnError: true }), InvalidInputError);
+    assert.throws(() => inverseModPrimePower(6, 3, 2, { throwOnError: true }), NotCoprimeError);
+
+    // A base chain that stops short is not lifted
+    const failed = inverseModPrimePower(3, 7, 4, { maxIterations: 0 });
+    assert.deepStrictEqual([failed.success, failed.outcome.code, failed.trace.lifts], [false, OutcomeCode.ITERATION_LIMIT, []]);
+}
+
+function run() {
+    testSmallPrimePowers();
+    testLiftingSteps();
+    testPowersOfTwo();
+    testRejections();
+    console.log('\nAll prime-power tests passed.');
+}
+
+if (require.main === module) run();
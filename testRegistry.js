@@ -0,0 +1,86 @@
+/**
+ * Test file for the strategy registry and the unified solve() entry point
+ */
+
+const assert = require('assert');
+
+const Registry = require('./inverseModRegistry.js');
+const Trace = require('./inverseModTrace.js');
+
+function testBuiltinStrategies() {
+    console.log('=== Built-in strategies ===');
+    const names = Registry.listStrategies().map(s => s.name);
+    assert.deepStrictEqual(names, [
+        'original', 'fixed', 'robust', 'backtrack', 'fermat', 'humanized',
+        'humanized-bfs', 'humanized-best-first', 'humanized-beam', 'humanized-iterative-deepening', 'auto'
+    ]);
+    for (const strategy of Registry.listStrategies()) {
+        assert.ok(strategy.version, `${strategy.name} should declare a version`);
+        assert.strictEqual(typeof strategy.guarantees.complete, 'boolean');
+        console.log(`${strategy.name} v${strategy.version}: ${strategy.description}`);
+    }
+}
+
+function testSolveShape() {
+    console.log('\n=== solve() result shape ===');
+    for (const { name } of Registry.listStrategies()) {
+        const res = Registry.solve(31, 37, { strategy: name });
+        assert.strictEqual(res.success, true, `${name} should solve 31 mod 37`);
+        assert.strictEqual(res.inverse, 6);
+        assert.strictEqual(res.strategy, name);
+        assert.strictEqual(res.outcome.code, Trace.OutcomeCode.REACHED_ONE);
+    }
+    assert.strictEqual(Registry.solve(31, 37).strategy, Registry.DEFAULT_STRATEGY);
+    assert.strictEqual(Registry.solve(31n, 37n, { strategy: 'robust' }).inverse, 6n);
+}
+
+function testFailuresAreNormalized() {
+    console.log('\n=== Failures ===');
+    // Original always multiplies out its k chain, even when the chain ended at 0
+    const original = Registry.solve(5, 12, { strategy: 'original' });
+    assert.strictEqual(original.success, false);
+    assert.strictEqual(original.inverse, null);
+    assert.ok(original.trace);
+
+    assert.strictEqual(original.outcome.code, Trace.OutcomeCode.ZERO_REMAINDER);
+
+    // Every strategy except the original port rejects non-coprime input up front
+    for (const { name } of Registry.listStrategies().filter(s => s.name !== 'original')) {
+        const res = Registry.solve(4, 6, { strategy: name });
+        assert.strictEqual(res.success, false, `${name} should fail for non-coprime input`);
+        assert.strictEqual(res.inverse, null);
+        assert.deepStrictEqual([res.outcome.code, res.outcome.gcd], [Trace.OutcomeCode.NOT_COPRIME, 2], `${name} outcome`);
+    }
+}
+
+function testCustomStrategy() {
+    console.log('\n=== Custom strategy ===');
+    const Arithmetic = require('./inverseModArithmetic.js');
+    Registry.registerStrategy({
+        name: 'test-euclid',
+        version: '0.1.0',
+        description: 'Extended Euclidean algorithm',
+        guarantees: { complete: true },
+        run: (x, y) => {
+            const { gcd, x: s } = Arithmetic.extendedGcd(x, y);
+            return { inverse: gcd === 1 ? ((s % y) + y) % y : null, trace: null };
+        }
+    });
+    const res = Registry.solve(5, 12, { strategy: 'test-euclid' });
+    assert.deepStrictEqual(res, { success: true, inverse: 5, strategy: 'test-euclid', version: '0.1.0', method: null, trace: null, outcome: null });
+    assert.strictEqual(Registry.getStrategy('test-euclid').guarantees.terminates, true);
+
+    assert.throws(() => Registry.registerStrategy({ name: 'fixed', version: '2', run: () => ({}) }), /already registered/);
+    assert.throws(() => Registry.solve(1, 2, { strategy: 'missing' }), /Unknown strategy/);
+    console.log('Custom strategy registered and solved');
+}
+
+function run() {
+    testBuiltinStrategies();
+    testSolveShape();
+    testFailuresAreNormalized();
+    testCustomStrategy();
+    console.log('\nAll registry tests passed.');
+}
+
+if (require.main === module) run();
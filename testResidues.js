@@ -0,0 +1,94 @@
+/**
+ * Test file for negative and non-normalized operands and the residue representations
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Registry = require('./inverseModRegistry.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const { OutcomeCode, isRejection } = require('./inverseModTrace.js');
+const { verifyRun } = require('./inverseModVerify.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testRepresentations() {
+    console.log('=== leastResidue and toRepresentation ===');
+    assert.deepStrictEqual([-6, 31, 37, 68, 0].map(value => Arithmetic.leastResidue(value, 37)), [31, 31, 0, 31, 0]);
+    assert.strictEqual(Arithmetic.leastResidue(-6n, 37n), 31n);
+    assert.strictEqual(Arithmetic.toRepresentation(31, 37), 31);
+    assert.strictEqual(Arithmetic.toRepresentation(31, 37, 'symmetric'), -6);
+    assert.strictEqual(Arithmetic.toRepresentation(18, 37, 'symmetric'), 18);
+    assert.strictEqual(Arithmetic.toRepresentation(19, 37, 'symmetric'), -18);
+    // (-m/2, m/2]: for even m, m/2 stays positive
+    assert.strictEqual(Arithmetic.toRepresentation(6, 12, 'symmetric'), 6);
+    assert.strictEqual(Arithmetic.toRepresentation(-6, 12, 'symmetric'), 6);
+    assert.strictEqual(Arithmetic.toRepresentation(7n, 12n, 'symmetric'), -5n);
+    assert.throws(() => Arithmetic.toRepresentation(3, 7, 'balanced'), /Unknown representation "balanced"/);
+}
+
+function testVariantsReduce() {
+    console.log('\n=== Negative x and x >= y give the inverse of the residue ===');
+    for (const { name, module } of variants) {
+        for (let y = 2; y < 60; y++) {
+            for (let x = 1; x < y; x++) {
+                const reference = module.inverseModFull(x, y);
+                for (const shifted of [x - y, x + y, x - 3 * y, x + 5 * y]) {
+                    const { z, trace } = module.inverseModFull(shifted, y);
+                    assert.strictEqual(z, reference.z, `${name} ${shifted} mod ${y}`);
+                    assert.strictEqual(trace.termination.code, reference.trace.termination.code);
+                    // Rejected inputs stop before the reduction
+                    if (isRejection(trace.termination.code)) continue;
+                    assert.deepStrictEqual([trace.x, trace.reducedFrom, trace.k], [x, shifted, reference.trace.k]);
+                    assert.strictEqual(verifyRun(trace).valid, reference.trace.valid && trace.method === 'kchain');
+                }
+            }
+        }
+        assert.strictEqual(module.inverseModFull(31, 37).trace.reducedFrom, undefined);
+        assert.strictEqual(module.inverseMod(-6n, 37n), 6n);
+
+        // Multiples of y have no inverse, and the modulus must be positive
+        const multiple = module.inverseModFull(-74, 37).trace.termination.code;
+        assert.ok([OutcomeCode.ZERO_OPERAND, OutcomeCode.NOT_COPRIME].includes(multiple), `${name}: ${multiple}`);
+        const negative = module.inverseModFull(5, -7).trace.termination;
+        assert.deepStrictEqual([negative.code, negative.operand], [OutcomeCode.INVALID_INPUT, 'y']);
+        console.log(`${name}: ${module.inverseModSteps(-6, 37).split('\n')[2]}`);
+    }
+}
+
+function testSymmetricOutput() {
+    console.log('\n=== Symmetric output ===');
+    for (const { name, module } of variants) {
+        for (let x = -40; x <= 40; x++) {
+            if (Arithmetic.gcd(Arithmetic.leastResidue(x, 37), 37) !== 1) continue;
+            const { z, trace } = module.inverseModFull(x, 37, { representation: 'symmetric', hybrid: true });
+            assert.ok(z > -18.5 && z <= 18.5, `${name} ${x}: ${z}`);
+            assert.strictEqual(Arithmetic.leastResidue(z * x, 37), 1);
+            assert.ok(trace.z >= 0 && trace.z < 37);
+        }
+        assert.strictEqual(module.runInverseMod('-0x6', 37, false, { representation: 'symmetric' }).z, 6);
+        assert.strictEqual(module.inverseMod(4, 6, { representation: 'symmetric' }), 0);
+    }
+    assert.strictEqual(Registry.solve(6, 37, { representation: 'symmetric' }).inverse, -6);
+    assert.strictEqual(Registry.solve(6, 37, { strategy: 'humanized', representation: 'symmetric' }).inverse, -6);
+    assert.strictEqual(Human.computeModularInverse(-31n, 37n, { representation: 'symmetric' }).inverse, -6n);
+    assert.strictEqual(Human.computeModularInverse(-31, 37).inverse, 31);
+}
+
+function run() {
+    testRepresentations();
+    testVariantsReduce();
+    testSymmetricOutput();
+    console.log('\nAll residue tests passed.');
+}
+
+if (require.main === module) run();
@@ -0,0 +1,114 @@
+/**
+ * Test file for target-residue mode: z with (z * x) mod y = t
+ */
+
+const assert = require('assert');
+
+const { inverseModFull, inverseModIterate } = require('./inverseModFixed.js');
+const Arithmetic = require('./inverseModArithmetic.js');
+const Registry = require('./inverseModRegistry.js');
+const { OutcomeCode, TraceCheck } = require('./inverseModTrace.js');
+const { verifyRun, verifyTrace } = require('./inverseModVerify.js');
+const { NotCoprimeError, NoConvergenceError } = require('./inverseModErrors.js');
+
+function testAgainstBruteForce() {
+    console.log('=== Target mode against brute force ===');
+    let reached = 0;
+    let total = 0;
+    for (let y = 2; y <= 40; y++) {
+        for (let x = 1; x < y; x++) {
+            const inverse = inverseModFull(x, y).trace;
+            for (let t = 0; t < y; t++) {
+                const solvable = Array.from({ length: y }, (_, z) => z).some(z => (z * x) % y === t);
+                const { z, trace } = inverseModFull(x, y, { target: t });
+                total++;
+                if (!solvable) {
+                    assert.deepStrictEqual([trace.termination.code, trace.termination.gcd], [OutcomeCode.NOT_COPRIME, Arithmetic.gcd(x, y)]);
+                    continue;
+                }
+                const hybrid = inverseModFull(x, y, { target: t, hybrid: true });
+                assert.strictEqual((hybrid.z * x) % y, t, `hybrid ${x} mod ${y} -> ${t}`);
+                if (!trace.valid) {
+                    assert.strictEqual(hybrid.z, Arithmetic.modDivide(t, x, y));
+                    continue;
+                }
+                reached++;
+                assert.strictEqual((z * x) % y, t, `${x} mod ${y} -> ${t}`);
+                assert.strictEqual(verifyRun(trace, { bounds: 'strict' }).valid, true, `${x} mod ${y} -> ${t}`);
+                // For coprime x the target chain is a prefix of the inverse chain
+                if (Arithmetic.gcd(x, y) === 1) {
+                    assert.deepStrictEqual(trace.k, inverse.k.slice(0, trace.k.length));
+                }
+                if (inverse.valid) {
+                    assert.ok(trace.k.length <= inverse.k.length);
+                }
+            }
+        }
+    }
+    console.log(`${reached}/${total} targets reached by the chain`);
+}
+
+function testOutcomes() {
+    console.log('\n=== Outcomes, trace and rendering ===');
+    // 31 * 6 = 1 (mod 37), so z = 6 * 5
+    const { z, trace, result } = inverseModFull(31, 37, { target: 5 });
+    assert.deepStrictEqual([z, trace.target, trace.multiplier, trace.method], [30, 5, 5, 'kchain']);
+    assert.deepStrictEqual(trace.termination, { code: OutcomeCode.REACHED_TARGET, step: 4, remainder: 1, multiplier: 5 });
+    assert.ok(result.includes('Calculating z with (z * 31) mod 37 = 5'));
+    assert.ok(result.includes('((30 * 31) mod 37) == 5 is true'));
+
+    // Remainder 2 after one step divides 4: stop there, multiplier 2
+    const early = inverseModFull(6, 10, { target: 4 }).trace;
+    assert.deepStrictEqual([early.k, early.r, early.multiplier, early.z], [[2], [2], 2, 4]);
+    // x itself divides t: no step at all
+    const none = inverseModFull(3, 7, { target: 6 }).trace;
+    assert.deepStrictEqual([none.k, none.z, none.termination.step, none.termination.code], [[], 2, 0, OutcomeCode.REACHED_TARGET]);
+
+    // t = 1 (also as -36 or 38) is the plain inverse run
+    assert.deepStrictEqual(inverseModFull(31, 37, { target: 38 }), inverseModFull(31, 37));
+    assert.strictEqual(inverseModFull(31, 37, { target: -32 }).trace.target, 5);
+
+    assert.deepStrictEqual(inverseModFull(4, 6, { target: 3 }).trace.termination.gcd, 2);
+    assert.throws(() => inverseModFull(4, 6, { target: 3, throwOnError: true }), NotCoprimeError);
+    assert.throws(() => inverseModFull(5, 12, { target: 7, throwOnError: true }), NoConvergenceError);
+    assert.strictEqual(inverseModFull(5, 12, { target: 7, hybrid: true }).trace.method, 'fallback');
+
+    const steps = inverseModIterate(31, 37, { target: 2 });
+    assert.strictEqual(steps.next().value.newR, 25);
+    assert.strictEqual(steps.next().value.newR, 13);
+    assert.strictEqual(steps.next().value.newR, 2);
+    assert.deepStrictEqual([steps.next().value.z, (12 * 31) % 37], [12, 2]);
+
+    const chain = inverseModFull(31, 37).trace;
+    assert.strictEqual(verifyTrace(31, 37, chain.k.slice(0, 1), chain.r.slice(0, 1), { target: 5 }).violation.check, TraceCheck.NOT_TARGET);
+    assert.strictEqual(verifyTrace(31, 37, chain.k.slice(0, 3), chain.r.slice(0, 3), { target: 4, z: 24 }).valid, true);
+}
+
+function testRegistryAndTypes() {
+    console.log('\n=== Registry, BigInt and modDivide ===');
+    const solved = Registry.solve(31, 37, { target: 5 });
+    assert.deepStrictEqual([solved.success, solved.inverse, solved.outcome.code], [true, 30, OutcomeCode.REACHED_TARGET]);
+    assert.strictEqual(Registry.getStrategy('fixed').guarantees.target, true);
+    assert.strictEqual(Registry.getStrategy('robust').guarantees.target, false);
+    assert.throws(() => Registry.solve(31, 37, { strategy: 'robust', target: 5 }), /target mode/);
+
+    const y = (1n << 89n) - 1n;
+    const big = inverseModFull(123456789n, y, { target: '1000000000000000000000', hybrid: true });
+    assert.strictEqual(typeof big.z, 'bigint');
+    assert.strictEqual(Arithmetic.mulMod(big.z, 123456789n, y), 10n ** 21n);
+    assert.strictEqual(inverseModFull(31, 37, { target: 5n }).z, 30);
+
+    assert.strictEqual(Arithmetic.modDivide(4, 6, 10), 4);
+    assert.strictEqual(Arithmetic.modDivide(3, 4, 6), null);
+    assert.strictEqual(Arithmetic.modDivide(0n, 4n, 4n), 0n);
+    assert.strictEqual(Arithmetic.toResidue('-1', 37), 36);
+}
+
+function run() {
+    testAgainstBruteForce();
+    testOutcomes();
+    testRegistryAndTypes();
+    console.log('\nAll target tests passed.');
+}
+
+if (require.main === module) run();
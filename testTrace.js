@@ -0,0 +1,147 @@
+/**
+ * Test file for the structured step trace returned by every InverseMod variant
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Trace = require('./inverseModTrace.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod },
+    { name: 'Fixed', module: InverseModFixed },
+    { name: 'Robust', module: InverseModRobust },
+    { name: 'Backtrack', module: InverseModBacktrack }
+];
+
+function testSuccessfulChain() {
+    console.log('=== Successful chain: 31 mod 37 ===');
+    for (const { name, module } of variants) {
+        const { result, z, trace } = module.inverseModFull(31, 37);
+        assert.strictEqual(result, Trace.renderTrace(trace), `${name} result should be rendered from the trace`);
+        assert.strictEqual(trace.termination.code, Trace.OutcomeCode.REACHED_ONE);
+        assert.strictEqual(trace.method, 'kchain');
+        assert.strictEqual(trace.valid, true);
+        assert.strictEqual(trace.z, z);
+
+        // Each step's remainder follows from the previous one and feeds the next
+        const steps = Trace.stepEntries(trace);
+        steps.forEach((step, i) => {
+            assert.strictEqual(step.newR, (step.prevR * step.k) % 37, `${name} step ${step.index}`);
+            assert.strictEqual(step.bounds.lower, 37 < step.prevR * step.k);
+            if (i > 0) assert.strictEqual(step.prevR, steps[i - 1].newR);
+        });
+        assert.deepStrictEqual(trace.r, steps.map(step => step.newR));
+        console.log(`${name}: ${Trace.countSteps(trace)} steps, k = [${trace.k.join(', ')}]`);
+    }
+}
+
+function testStepWording() {
+    console.log('\n=== Step lines keep each variant\'s wording ===');
+    // As before the trace: Original and Fixed write (y + prevR), Robust and Backtrack (prevR + y)
+    const upper = { Original: '(37 + 31)', Fixed: '(37 + 31)', Robust: '(31 + 37)', Backtrack: '(31 + 37)' };
+    for (const { name, module } of variants) {
+        const { result } = module.inverseModFull(31, 37);
+        assert.ok(result.includes(`Step 1: 37 < (31 * 2) < ${upper[name]}, ((31 * 2) % 37) = 25\n`), name);
+    }
+}
+
+function testOutcomeCodes() {
+    console.log('\n=== Outcome codes ===');
+    const fixed = InverseModFixed.inverseModFull(5, 12).trace;
+    assert.strictEqual(fixed.termination.code, Trace.OutcomeCode.ZERO_REMAINDER);
+    assert.strictEqual(fixed.termination.step, Trace.countSteps(fixed));
+    assert.strictEqual(fixed.termination.remainder, 0);
+    assert.strictEqual(fixed.method, null);
+    assert.strictEqual(fixed.valid, false);
+
+    for (const { name, module } of variants.filter(v => v.name !== 'Original')) {
+        const notCoprime = module.inverseModFull(6, 9).trace.termination;
+        assert.deepStrictEqual([notCoprime.code, notCoprime.gcd, notCoprime.step], [Trace.OutcomeCode.NOT_COPRIME, 3, 0], name);
+
+        const zero = module.inverseModFull(0, 0).trace.termination;
+        assert.strictEqual(zero.code, Trace.OutcomeCode.ZERO_OPERAND, name);
+        assert.deepStrictEqual(zero.operands, ['x', 'y'], name);
+    }
+    // The original port only rejects multiples of y
+    assert.strictEqual(InverseMod.inverseModFull(8, 4).trace.termination.code, Trace.OutcomeCode.ZERO_OPERAND);
+
+    const special = InverseModFixed.inverseModFull(4, 6).trace;
+    assert.strictEqual(special.steps.length, 0);
+    assert.ok(InverseModFixed.inverseModFull(4, 6).result.includes('not coprime (GCD = 2)'));
+
+    const nonDecreasing = InverseModBacktrack.inverseModFull(3, 4).trace.termination;
+    assert.deepStrictEqual(nonDecreasing, { code: Trace.OutcomeCode.NON_DECREASING, step: 2, remainder: 2, limitReached: 'maxTweak' });
+
+    const limited = InverseModFixed.inverseModFull(2n ** 300n + 7n, (1n << 521n) - 1n).trace.termination;
+    assert.strictEqual(limited.code, Trace.OutcomeCode.ITERATION_LIMIT);
+    assert.strictEqual(limited.limit, 100);
+
+    const budget = Human.computeModularInverse(7, 16, { maxNodes: 1 }).outcome;
+    assert.deepStrictEqual([budget.code, budget.limit], [Trace.OutcomeCode.NODE_BUDGET_EXHAUSTED, 1]);
+
+    assert.strictEqual(InverseModFixed.runInverseMod('abc', 7).outcome.code, Trace.OutcomeCode.INVALID_INPUT);
+    assert.strictEqual(InverseModFixed.runInverseMod(31, 37, false).outcome.code, Trace.OutcomeCode.REACHED_ONE);
+
+    const robust = InverseModRobust.inverseModFull(1, 10).trace;
+    assert.strictEqual(robust.steps[0].identity, true);
+
+    // Robust and Backtrack record the extended Euclidean answer when the chain fails
+    const backtrack = InverseModBacktrack.inverseModFull(7, 16).trace;
+    if (!backtrack.valid) {
+        assert.strictEqual((backtrack.expectedInverse * 7) % 16, 1);
+    }
+    console.log('Outcome codes recorded as expected');
+}
+
+function testAdjustmentEntries() {
+    console.log('\n=== Adjustment entries: 5 mod 6 ===');
+    const { trace } = InverseModBacktrack.inverseModFull(5, 6);
+    const types = trace.steps.map(entry => entry.type);
+    console.log(`Entry types: ${types.join(', ')}`);
+
+    // The adjustment is recorded before the step that uses the adjusted k
+    const adjustmentAt = types.indexOf('adjustment');
+    assert.ok(adjustmentAt >= 0);
+    const adjustment = trace.steps[adjustmentAt];
+    const step = trace.steps[adjustmentAt + 1];
+    assert.strictEqual(step.type, 'step');
+    assert.strictEqual(step.index, adjustment.index);
+    assert.strictEqual(step.k, adjustment.toK);
+    assert.strictEqual(Trace.countSteps(trace), types.length - 1);
+}
+
+function testStatsUseTrace() {
+    console.log('\n=== inverseModStats ===');
+    const stats = InverseModFixed.inverseModStats(31, 37);
+    assert.strictEqual(stats.steps, Trace.countSteps(InverseModFixed.inverseModFull(31, 37).trace));
+    assert.strictEqual(stats.success, true);
+    assert.strictEqual(stats.termination, Trace.OutcomeCode.REACHED_ONE);
+}
+
+function testHumanizedTrace() {
+    console.log('\n=== Humanized trace ===');
+    const res = Human.computeModularInverse(31, 37);
+    const trace = res.details.trace;
+    assert.strictEqual(trace.variant, 'humanized');
+    assert.strictEqual(trace.z, res.inverse);
+    assert.deepStrictEqual(trace.k, res.details.multipliers);
+    assert.deepStrictEqual(trace.r, res.details.remainders.slice(1));
+    console.log(Trace.renderTrace(trace));
+}
+
+function run() {
+    testSuccessfulChain();
+    testStepWording();
+    testOutcomeCodes();
+    testAdjustmentEntries();
+    testStatsUseTrace();
+    testHumanizedTrace();
+    console.log('All trace tests passed.');
+}
+
+if (require.main === module) run();
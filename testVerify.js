@@ -0,0 +1,116 @@
+/**
+ * Test file for the independent trace verifier
+ */
+
+const assert = require('assert');
+
+const InverseMod = require('./inverseMod.js');
+const InverseModFixed = require('./inverseModFixed.js');
+const InverseModRobust = require('./inverseModRobust.js');
+const InverseModBacktrack = require('./gpt5-analysis/code/inverseModBacktrack.gpt5.js');
+const Human = require('./humanized/modularInverse.js');
+const Oracle = require('./inverseModOracle.js');
+const { TraceCheck, verifyTrace, verifyRun } = require('./inverseModVerify.js');
+
+const variants = [
+    { name: 'Original', module: InverseMod, bounds: 'strict' },
+    { name: 'Fixed', module: InverseModFixed, bounds: 'strict' },
+    { name: 'Robust', module: InverseModRobust, bounds: 'strict' },
+    { name: 'Backtrack', module: InverseModBacktrack, bounds: 'relaxed' }
+];
+
+function testVariantsCertify() {
+    console.log('=== Every successful chain with y < 200 is certified ===');
+    for (const { name, module, bounds } of variants) {
+        let certified = 0;
+        for (let y = 2; y < 200; y++) {
+            for (let x = 1; x < y; x++) {
+                const { trace } = module.inverseModFull(x, y);
+                const certificate = verifyRun(trace, { bounds });
+                assert.strictEqual(certificate.valid, trace.valid, `${name} ${x} mod ${y}: ${certificate.violation && certificate.violation.message}`);
+                if (certificate.valid) {
+                    assert.strictEqual(certificate.z, trace.z);
+                    certified++;
+                }
+            }
+        }
+        console.log(`${name}: ${certified} chains certified`);
+    }
+
+    for (let y = 2; y < 100; y++) {
+        for (let x = 1; x < y; x++) {
+            const trace = Human.findInverseWithBacktracking(x, y).trace;
+            assert.strictEqual(verifyRun(trace, { maxTweak: 3 }).valid, trace.valid, `Humanized ${x} mod ${y}`);
+        }
+    }
+    const oracle = Oracle.shortestChain(31, 37);
+    assert.strictEqual(verifyTrace(31, 37, oracle.k, oracle.r, { maxTweak: 5, z: oracle.z }).valid, true);
+}
+
+function testViolations() {
+    console.log('\n=== First violating step ===');
+    // FIXED chain for 31 mod 37: k = [2, 2, 3, 19], r = [25, 13, 2, 1]
+    assert.strictEqual(verifyTrace(31, 37, [2, 2, 3, 19], [25, 13, 2, 1], { bounds: 'strict', z: 6 }).valid, true);
+
+    const cases = [
+        [[2, 2, 3], [25, 13, 2, 1], 0, TraceCheck.LENGTH_MISMATCH],
+        [[2, 0, 3, 19], [25, 13, 2, 1], 2, TraceCheck.INVALID_K],
+        [[1, 2, 3, 19], [31, 13, 2, 1], 1, TraceCheck.LOWER_BOUND],
+        [[2, 2, 4, 19], [25, 13, 15, 1], 3, TraceCheck.UPPER_BOUND],
+        [[2, 2, 3, 19], [25, 13, 3, 1], 3, TraceCheck.REMAINDER],
+        [[2, 2, 3], [25, 13, 2], 0, TraceCheck.NOT_ONE]
+    ];
+    for (const [k, r, step, check] of cases) {
+        const { valid, violation } = verifyTrace(31, 37, k, r, { bounds: 'strict' });
+        assert.strictEqual(valid, false);
+        assert.deepStrictEqual([violation.step, violation.check], [step, check], violation.message);
+    }
+
+    const wrongZ = verifyTrace(31, 37, [2, 2, 3, 19], [25, 13, 2, 1], { z: 7 });
+    assert.deepStrictEqual([wrongZ.violation.check, wrongZ.violation.expected], [TraceCheck.INVERSE, 6]);
+    assert.strictEqual(verifyTrace(31, 37, [6], [1], { maxTweak: 3 }).violation.check, TraceCheck.MAX_TWEAK);
+    assert.strictEqual(verifyTrace(31, 37, [6], [1], { bounds: 'strict' }).violation.check, TraceCheck.UPPER_BOUND);
+    console.log(verifyTrace(31, 37, [2, 2, 3, 19], [25, 13, 3, 1]).violation.message);
+}
+
+function testStepEntries() {
+    console.log('\n=== Step entries must match the final k[] ===');
+    const { trace } = InverseModFixed.inverseModFull(31, 37);
+    assert.strictEqual(verifyRun(trace).valid, true);
+
+    // A step line that was not updated when k[] was rewritten
+    const stale = { ...trace, steps: trace.steps.map(entry => entry.index === 3 ? { ...entry, k: 4 } : entry) };
+    const { violation } = verifyRun(stale);
+    assert.deepStrictEqual([violation.step, violation.check], [3, TraceCheck.STEP_ENTRY]);
+
+    // Backtrack replays: only the last run of the chain has to match
+    const abandoned = { type: 'step', index: 1, prevR: 31, k: 3, newR: 19 };
+    const replayed = { ...trace, steps: [abandoned, { type: 'backtrack', count: 1, kIndex: 0, k: 2, trigger: 'parity' }, ...trace.steps] };
+    assert.strictEqual(verifyRun(replayed).valid, true);
+
+    // Hybrid answers are not certified as k-chains: 5 mod 12 hits 3 * 4 = 12 at step 2
+    const hybrid = InverseModFixed.inverseModFull(5, 12, { hybrid: true }).trace;
+    const rejected = verifyRun(hybrid);
+    assert.deepStrictEqual([rejected.valid, rejected.violation.step, rejected.violation.check], [false, 2, TraceCheck.LOWER_BOUND]);
+}
+
+function testBigInt() {
+    console.log('\n=== BigInt chains ===');
+    const y = (1n << 89n) - 1n;
+    const { trace } = InverseModFixed.inverseModFull(123456789n, y);
+    const certificate = verifyRun(trace, { bounds: 'strict' });
+    assert.strictEqual(certificate.valid, trace.valid);
+    assert.strictEqual(verifyTrace('31', '37', ['6'], ['1']).z, 6n);
+    assert.throws(() => verifyTrace(3, 1, [], []), RangeError);
+    assert.throws(() => verifyTrace(3, 7, [5], [1], { bounds: 'loose' }), /Unknown bounds "loose"/);
+}
+
+function run() {
+    testVariantsCertify();
+    testViolations();
+    testStepEntries();
+    testBigInt();
+    console.log('\nAll verifier tests passed.');
+}
+
+if (require.main === module) run();